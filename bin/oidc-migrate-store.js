@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * Command-line entry point for `migrateStore()`. Usage:
+ *
+ *   oidc-migrate-store --from-db ./db/oidc --to-backend sqlite \
+ *     --to-db ./db/oidc [--from-backend file] [--dry-run]
+ */
+
+const { migrateStore } = require('../src/migrate-store')
+
+const USAGE = `Usage: oidc-migrate-store [options]
+
+Options:
+  --from-backend <name>  Source backend: file or sqlite (default: file)
+  --from-db <path>       Source db path (default: ./db/oidc)
+  --to-backend <name>    Destination backend (default: file)
+  --to-db <path>         Destination db path (default: ./db/oidc)
+  --dry-run              Report record counts without copying anything
+  --help                 Show this message`
+
+function parseArgs (argv) {
+  const args = { from: {}, to: {}, dryRun: false }
+  const flags = {
+    '--from-backend': value => { args.from.backend = value },
+    '--from-db': value => { args.from.dbPath = value },
+    '--to-backend': value => { args.to.backend = value },
+    '--to-db': value => { args.to.dbPath = value }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (arg === '--dry-run') {
+      args.dryRun = true
+    } else if (arg === '--help') {
+      args.help = true
+    } else if (flags[arg] && argv[i + 1]) {
+      flags[arg](argv[++i])
+    } else {
+      throw new Error(`Unknown or incomplete option: ${arg}`)
+    }
+  }
+
+  return args
+}
+
+function printReport (report) {
+  for (const entry of report.collections) {
+    const status = entry.verified === null
+      ? 'not copied'
+      : (entry.verified ? 'verified' : 'MISMATCH')
+
+    console.log(`${entry.store}/${entry.collection}\t${entry.count}\t${entry.hash}\t${status}`)
+  }
+
+  console.log(`provider.json\t${report.providerConfig}`)
+}
+
+let args
+
+try {
+  args = parseArgs(process.argv.slice(2))
+} catch (error) {
+  console.error(error.message)
+  console.error(USAGE)
+  process.exit(1)
+}
+
+if (args.help) {
+  console.log(USAGE)
+  process.exit(0)
+}
+
+migrateStore({ ...args, debug: () => {} })
+  .then(printReport)
+  .catch(error => {
+    if (error.report) {
+      printReport(error.report)
+    }
+    console.error(error.message)
+    process.exit(1)
+  })
@@ -0,0 +1,136 @@
+'use strict'
+
+const { URL } = require('whatwg-url')
+const { isSubdomainOf } = require('./domains')
+
+// Matches the server's subdomains one level deep (alice.example.com for
+// https://example.com), as `filterAudience()` always has
+const DEFAULT_SUBDOMAIN_DEPTH = 1
+
+/**
+ * Policy deciding which token audiences the resource server accepts. An
+ * audience is accepted if it matches one of the `audiences` (the server uri,
+ * by default), or else if the per-request `callback` accepts it.
+ *
+ * Each entry of `audiences` is an absolute uri, matched against the scheme,
+ * port and host of the audience:
+ *
+ *   - `https://example.com` matches that host, and its subdomains up to
+ *     `subdomainDepth` levels deep (see `isSubdomainOf()`)
+ *   - `https://*.example.com` matches any subdomain, at any depth
+ *   - `https://proxy.example.com/pods` also requires the audience path to be
+ *     under `/pods` (for reverse-proxied deployments)
+ */
+class AudiencePolicy {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.serverUri] {string} Accepted if no `audiences` are given
+   * @param [options.audiences] {Array<string>} Accepted audience uris or
+   *   patterns (see above)
+   * @param [options.subdomainDepth=1] {number} How many subdomain levels
+   *   deep the (non wildcard) audiences match. 0 to only match their host.
+   * @param [options.callback] {Function} `(aud, req) => boolean`, called
+   *   with each audience the list does not accept, and the request
+   */
+  constructor (options = {}) {
+    this.audiences = options.audiences || (options.serverUri ? [options.serverUri] : [])
+    this.subdomainDepth = options.subdomainDepth !== undefined
+      ? options.subdomainDepth
+      : DEFAULT_SUBDOMAIN_DEPTH
+    this.callback = options.callback
+
+    this.patterns = this.audiences.map(parsePattern)
+  }
+
+  /**
+   * @param aud {string|Array<string>} Audience claim of a token
+   * @param [req] {IncomingRequest} Request the token was sent with
+   *
+   * @return {boolean} Whether any of the audiences is accepted
+   */
+  allows (aud, req) {
+    if (!aud) {
+      return false
+    }
+
+    if (!Array.isArray(aud)) {
+      aud = [aud]
+    }
+
+    return aud.some(audience => this.matches(audience) ||
+      (!!this.callback && !!this.callback(audience, req)))
+  }
+
+  /**
+   * @param audience {string}
+   *
+   * @return {boolean} Whether the audience matches one of the `audiences`
+   */
+  matches (audience) {
+    let url
+
+    try {
+      url = new URL(audience)
+    } catch (err) {
+      return false
+    }
+
+    return this.patterns.some(pattern => pattern && this.patternMatches(pattern, url))
+  }
+
+  /**
+   * @param pattern {Object} See `parsePattern()`
+   * @param url {URL}
+   *
+   * @return {boolean}
+   */
+  patternMatches (pattern, url) {
+    if (url.protocol !== pattern.protocol || url.port !== pattern.port) {
+      return false
+    }
+
+    const hostMatches = pattern.wildcard
+      ? url.hostname.endsWith('.' + pattern.hostname)
+      : url.hostname === pattern.hostname ||
+        isSubdomainOf(url.hostname, pattern.hostname, this.subdomainDepth)
+
+    if (!hostMatches) {
+      return false
+    }
+
+    return !pattern.path ||
+      url.pathname === pattern.path ||
+      url.pathname.startsWith(pattern.path + '/')
+  }
+}
+
+/**
+ * @param audience {string} Audience uri or pattern
+ *
+ * @return {Object|null} `{ protocol, port, hostname, wildcard, path }`, or
+ *   null if the audience is not a valid uri
+ */
+function parsePattern (audience) {
+  let url
+
+  try {
+    url = new URL(audience)
+  } catch (err) {
+    return null
+  }
+
+  const wildcard = url.hostname.startsWith('*.')
+
+  return {
+    protocol: url.protocol,
+    port: url.port,
+    hostname: wildcard ? url.hostname.slice(2) : url.hostname,
+    wildcard,
+    path: url.pathname.replace(/\/+$/, '')
+  }
+}
+
+module.exports = AudiencePolicy
+module.exports.DEFAULT_SUBDOMAIN_DEPTH = DEFAULT_SUBDOMAIN_DEPTH
@@ -0,0 +1,145 @@
+'use strict'
+
+const validUrl = require('valid-url')
+const DiscoveryError = require('./errors/discovery-error')
+const { DISCOVERY_ERRORS } = DiscoveryError
+
+const SOLID_OIDC_CONTEXT = 'https://www.w3.org/ns/solid/oidc-context.jsonld'
+
+// Optional metadata uris, shown to the user on the consent screen
+const METADATA_URIS = ['logo_uri', 'client_uri', 'policy_uri', 'tos_uri']
+
+/**
+ * Validated Solid-OIDC Client ID Document: the JSON-LD document served at a
+ * `client_id` uri, with the client's registration metadata. Apps using one
+ * do not need to register with the provider dynamically.
+ *
+ * @see https://solidproject.org/TR/oidc#clientids-document
+ */
+class ClientIdDocument {
+  /**
+   * @constructor
+   *
+   * @param document {Object} Client ID Document
+   */
+  constructor (document) {
+    this.clientId = document.client_id
+    this.redirectUris = document.redirect_uris || []
+    this.postLogoutRedirectUris = document.post_logout_redirect_uris || []
+    this.clientName = document.client_name
+    this.logoUri = document.logo_uri
+    this.clientUri = document.client_uri
+    this.policyUri = document.policy_uri
+    this.tosUri = document.tos_uri
+    this.scope = document.scope
+    this.grantTypes = document.grant_types
+    this.responseTypes = document.response_types
+    this.defaultMaxAge = document.default_max_age
+  }
+
+  /**
+   * @param clientId {string}
+   *
+   * @return {boolean} Whether the client id is a Client ID Document uri,
+   *   rather than the id of a dynamically registered client
+   */
+  static isClientIdUri (clientId) {
+    return !!validUrl.isWebUri(clientId)
+  }
+
+  /**
+   * Validates a Client ID Document, and returns it as a ClientIdDocument
+   * instance.
+   *
+   * @param document {Object} Client ID Document
+   * @param clientId {string} Uri the document was fetched from
+   *
+   * @throws {DiscoveryError} With the DISCOVERY_INVALID_CLIENT_DOCUMENT code,
+   *   listing every problem with the document
+   *
+   * @return {ClientIdDocument}
+   */
+  static from (document, clientId) {
+    const problems = ClientIdDocument.validate(document, clientId)
+
+    if (problems.length > 0) {
+      throw new DiscoveryError(
+        `Invalid Client ID Document ${clientId}: ${problems.join('; ')}`,
+        DISCOVERY_ERRORS.INVALID_CLIENT_DOCUMENT
+      )
+    }
+
+    return new ClientIdDocument(document)
+  }
+
+  /**
+   * @param document {Object} Client ID Document
+   * @param clientId {string}
+   *
+   * @return {Array<string>} Problems with the document (empty if valid)
+   */
+  static validate (document, clientId) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      return ['not a JSON object']
+    }
+
+    const problems = []
+
+    const context = [].concat(document['@context'])
+    if (!context.includes(SOLID_OIDC_CONTEXT)) {
+      problems.push(`@context does not include ${SOLID_OIDC_CONTEXT}`)
+    }
+
+    // The document must be about the client it was fetched for (exactly, the
+    // id is compared as is by the apps and resource servers)
+    if (document.client_id !== clientId) {
+      problems.push(`client_id ${document.client_id} does not match ${clientId}`)
+    }
+
+    const redirectUris = document.redirect_uris
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+      problems.push('redirect_uris is missing or empty')
+    } else if (!redirectUris.every(uri => typeof uri === 'string' && validUrl.isUri(uri))) {
+      problems.push('redirect_uris contains an invalid uri')
+    }
+
+    if (document.client_name !== undefined && typeof document.client_name !== 'string') {
+      problems.push('client_name is not a string')
+    }
+
+    METADATA_URIS.forEach(name => {
+      if (document[name] !== undefined && !validUrl.isWebUri(document[name])) {
+        problems.push(`${name} is not a valid URL`)
+      }
+    })
+
+    return problems
+  }
+
+  /**
+   * @return {Object} Client registration, in the form the provider stores
+   *   dynamically registered clients. Client ID Document clients are public
+   *   clients (they have no secret).
+   */
+  registration () {
+    return {
+      client_id: this.clientId,
+      redirect_uris: this.redirectUris,
+      post_logout_redirect_uris: this.postLogoutRedirectUris,
+      client_name: this.clientName,
+      logo_uri: this.logoUri,
+      client_uri: this.clientUri,
+      policy_uri: this.policyUri,
+      tos_uri: this.tosUri,
+      scope: this.scope,
+      grant_types: this.grantTypes,
+      response_types: this.responseTypes,
+      default_max_age: this.defaultMaxAge,
+      token_endpoint_auth_method: 'none',
+      client_id_document: true
+    }
+  }
+}
+
+module.exports = ClientIdDocument
+module.exports.SOLID_OIDC_CONTEXT = SOLID_OIDC_CONTEXT
@@ -0,0 +1,273 @@
+'use strict'
+
+const fs = require('fs-extra')
+const path = require('path')
+const Ajv = require('ajv')
+const validUrl = require('valid-url')
+const InvalidConfigError = require('./errors/invalid-config-error')
+
+/**
+ * JSON Schema for the `OidcManager.from(config)` options. Besides the
+ * standard keywords, it uses:
+ *
+ *   - `isFunction` - the value must be a function
+ *   - `writable` - the value must be a path that can be created / written to
+ *   - the `web-uri` (absolute http(s) URI) and `web-uri-or-path` formats
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['serverUri', 'authCallbackUri', 'postLogoutUri'],
+  properties: {
+    serverUri: { type: 'string', format: 'web-uri' },
+    providerUri: { type: 'string', format: 'web-uri' },
+    authCallbackUri: { type: 'string', format: 'web-uri-or-path' },
+    postLogoutUri: { type: 'string', format: 'web-uri-or-path' },
+    dbPath: { type: 'string', minLength: 1, writable: true },
+    backend: {
+      description: "one of 'file', 'memory', 'sqlite', or a backend factory function",
+      anyOf: [
+        { enum: ['file', 'memory', 'sqlite'] },
+        { isFunction: true }
+      ]
+    },
+    saltRounds: { type: 'integer', minimum: 4, maximum: 31 },
+    delayBeforeRegisteringInitialClient: { type: 'number', minimum: 0 },
+    keyRotationOverlap: { type: 'number', minimum: 0 },
+    localRpRetry: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxAttempts: { type: 'integer', minimum: 1 },
+        initialDelay: { type: 'number', minimum: 0 },
+        maxDelay: { type: 'number', minimum: 0 }
+      }
+    },
+    discoveryCache: {
+      description: 'false, or an object with discovery cache settings',
+      anyOf: [
+        { const: false },
+        {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            maxEntries: { type: 'integer', minimum: 1 },
+            ttl: { type: 'number', minimum: 0 },
+            maxTtl: { type: 'number', minimum: 0 },
+            negativeTtl: { type: 'number', minimum: 0 }
+          }
+        }
+      ]
+    },
+    discovery: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        timeout: { type: 'integer', minimum: 1 },
+        maxSize: { type: 'integer', minimum: 1 },
+        maxRedirects: { type: 'integer', minimum: 0 },
+        profileParsers: {
+          description: 'Web ID profile parsers by media type (null disables a default parser)',
+          type: 'object',
+          additionalProperties: {
+            anyOf: [{ isFunction: true }, { type: 'null' }]
+          }
+        }
+      }
+    },
+    outboundPolicy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        requireHttps: { type: 'boolean' },
+        allowPrivateNetworks: { type: 'boolean' },
+        allowHosts: { type: 'array', items: { type: 'string', minLength: 1 } },
+        denyHosts: { type: 'array', items: { type: 'string', minLength: 1 } },
+        resolve: { isFunction: true },
+        trustedOrigins: { type: 'array', items: { type: 'string', format: 'web-uri' } }
+      }
+    },
+    issuerPolicy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        allow: { type: 'array', items: { type: 'string', format: 'web-uri' } },
+        deny: { type: 'array', items: { type: 'string', format: 'web-uri' } },
+        predicate: { isFunction: true }
+      }
+    },
+    webIdSubdomainDepth: { type: 'integer', minimum: 0 },
+    audiencePolicy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        audiences: { type: 'array', items: { type: 'string', format: 'web-uri' } },
+        subdomainDepth: { type: 'integer', minimum: 0 },
+        callback: { isFunction: true }
+      }
+    },
+    tokenTypesSupported: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { enum: ['legacyPop', 'dpop'] }
+    },
+    dpop: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        clockSkew: { type: 'number', minimum: 0 },
+        maxAge: { type: 'number', minimum: 1 },
+        requireAth: { type: 'boolean' },
+        trustForwardedHeaders: { type: 'boolean' },
+        replayCache: {
+          description: 'false, or an object with an add(jti, expiresAt) method',
+          anyOf: [
+            { const: false },
+            {
+              type: 'object',
+              required: ['add'],
+              properties: { add: { isFunction: true } }
+            }
+          ]
+        }
+      }
+    },
+    keyEncryption: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: {
+        passphrase: { type: 'string', minLength: 1 },
+        passphraseEnv: { type: 'string', minLength: 1 },
+        keyFile: { type: 'string', minLength: 1 },
+        keyFileEnv: { type: 'string', minLength: 1 }
+      }
+    },
+    host: {
+      type: 'object',
+      properties: {
+        authenticate: { isFunction: true },
+        obtainConsent: { isFunction: true },
+        logout: { isFunction: true }
+      }
+    },
+    logger: {
+      type: 'object',
+      required: ['error', 'warn', 'info', 'debug'],
+      properties: {
+        error: { isFunction: true },
+        warn: { isFunction: true },
+        info: { isFunction: true },
+        debug: { isFunction: true }
+      }
+    },
+    logLevel: { enum: ['error', 'warn', 'info', 'debug'] },
+    debug: { isFunction: true }
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, verbose: true })
+
+ajv.addFormat('web-uri', value => !!validUrl.isWebUri(value))
+ajv.addFormat('web-uri-or-path', value => {
+  return !!validUrl.isWebUri(value) || /^\/(?!\/)/.test(value)
+})
+
+ajv.addKeyword({
+  keyword: 'isFunction',
+  schemaType: 'boolean',
+  errors: false,
+  validate: (schema, data) => !schema || typeof data === 'function'
+})
+
+ajv.addKeyword({
+  keyword: 'writable',
+  type: 'string',
+  schemaType: 'boolean',
+  errors: false,
+  validate: (schema, data) => !schema || isWritablePath(data)
+})
+
+const validateSchema = ajv.compile(CONFIG_SCHEMA)
+
+/**
+ * Validates an `OidcManager.from()` config against the config schema.
+ *
+ * @param config {Object}
+ *
+ * @throws {InvalidConfigError} Listing every problem found with the config
+ */
+function validateConfig (config) {
+  // `providerUri` is accepted as an alias for `serverUri`
+  const data = Object.assign({}, config)
+  data.serverUri = data.serverUri || data.providerUri
+
+  if (!validateSchema(data)) {
+    throw new InvalidConfigError(formatErrors(validateSchema.errors))
+  }
+}
+
+/**
+ * @param errors {Array<Object>} Ajv validation errors
+ *
+ * @return {Array<string>} Human readable messages
+ */
+function formatErrors (errors) {
+  return errors
+    // The individual anyOf branch failures are summarized by the anyOf error
+    .filter(error => !error.schemaPath.includes('/anyOf/'))
+    .map(error => {
+      const property = error.instancePath
+        ? error.instancePath.slice(1).replace(/\//g, '.')
+        : 'config'
+
+      switch (error.keyword) {
+        case 'anyOf':
+          return `${property} must be ${error.parentSchema.description}`
+        case 'isFunction':
+          return `${property} must be a function`
+        case 'writable':
+          return `${property} must be a writable directory path (${path.resolve(error.data)})`
+        case 'format':
+          return error.schema === 'web-uri'
+            ? `${property} must be an absolute http(s) URI`
+            : `${property} must be an absolute http(s) URI or an absolute path`
+        default:
+          return `${property} ${error.message}`
+      }
+    })
+}
+
+/**
+ * Tests whether a directory path either exists and is writable, or could be
+ * created (its closest existing ancestor is a writable directory).
+ *
+ * @param dirPath {string}
+ *
+ * @return {boolean}
+ */
+function isWritablePath (dirPath) {
+  let current = path.resolve(dirPath)
+
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current)
+
+    if (parent === current) {
+      return false
+    }
+    current = parent
+  }
+
+  try {
+    fs.accessSync(current, fs.constants.W_OK)
+    return fs.statSync(current).isDirectory()
+  } catch (error) {
+    return false
+  }
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  isWritablePath
+}
@@ -0,0 +1,270 @@
+'use strict'
+
+const DEFAULT_MAX_ENTRIES = 1000
+
+// Used when the discovery responses have no Cache-Control max-age
+const DEFAULT_TTL = 5 * 60 * 1000
+
+// Upper bound for the max-age of discovery responses
+const DEFAULT_MAX_TTL = 24 * 60 * 60 * 1000
+
+// How long failed discoveries are remembered
+const DEFAULT_NEGATIVE_TTL = 60 * 1000
+
+/**
+ * LRU / TTL cache of Web ID -> preferred provider discovery results, used by
+ * `discoverProviderFor()` (see `preferred-provider.js`). Provider metadata
+ * (see `fetchProviderMetadata()`) is cached too, keyed by
+ * `'openid-configuration '` and the uri of the provider's OpenID
+ * configuration, and so are Client ID Documents (see
+ * `fetchClientIdDocument()`), keyed by `'client_id '` and their uri. The
+ * prefixes keep them apart from Web IDs, which may be any uri.
+ *
+ * Entries expire according to the `Cache-Control` headers of the responses
+ * the result was discovered from. Expired entries are kept (until evicted),
+ * so that their `ETag`s can be used to revalidate the Web ID profile with a
+ * conditional request. Failed discoveries are cached for `negativeTtl`.
+ */
+class DiscoveryCache {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.maxEntries=1000] {number} Least recently used entries are
+   *   evicted past this size
+   * @param [options.ttl=300000] {number} Time to live (in ms) of results
+   *   whose responses had no `Cache-Control` max-age
+   * @param [options.maxTtl=86400000] {number} Maximum time to live (in ms)
+   * @param [options.negativeTtl=60000] {number} Time to live (in ms) of
+   *   failed discoveries
+   */
+  constructor (options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL
+    this.maxTtl = options.maxTtl !== undefined ? options.maxTtl : DEFAULT_MAX_TTL
+    this.negativeTtl = options.negativeTtl !== undefined
+      ? options.negativeTtl
+      : DEFAULT_NEGATIVE_TTL
+
+    this.entries = new Map()
+  }
+
+  /**
+   * @return {number} Number of cached entries (including expired ones)
+   */
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * Returns the cache entry for a Web ID (fresh or expired), and marks it as
+   * the most recently used one.
+   *
+   * @param webId {string}
+   *
+   * @return {Object|undefined} A copy (that callers can modify) of the entry
+   *   with the `expiresAt` timestamp, and either the `error` of a failed
+   *   discovery, or the discovered `providerUris` along with the `profile` /
+   *   `headers` response validators
+   */
+  get (webId) {
+    const entry = this.entries.get(webId)
+
+    if (!entry) {
+      return entry
+    }
+
+    this.entries.delete(webId)
+    this.entries.set(webId, entry)
+
+    return copyValue(entry)
+  }
+
+  /**
+   * @param entry {Object}
+   * @param [now=Date.now()] {number}
+   *
+   * @return {boolean}
+   */
+  isFresh (entry, now = Date.now()) {
+    return !!entry && entry.expiresAt > now
+  }
+
+  /**
+   * Caches (a copy of) a successful discovery result.
+   *
+   * @param webId {string}
+   * @param result {Object}
+   * @param result.providerUris {Array<string>}
+   * @param [result.profile] {Object} Validators of the profile response
+   * @param [result.headers] {Object} Validators of the OPTIONS response
+   * @param ttl {number|null} Time to live in ms (`null` to not cache)
+   */
+  set (webId, result, ttl) {
+    if (ttl === null) {
+      this.entries.delete(webId)
+      return
+    }
+
+    this.store(webId, Object.assign(copyValue(result), {
+      expiresAt: Date.now() + ttl
+    }))
+  }
+
+  /**
+   * Caches a failed discovery, for `negativeTtl` ms.
+   *
+   * @param webId {string}
+   * @param error {Error}
+   */
+  setFailure (webId, error) {
+    if (this.negativeTtl <= 0) {
+      this.entries.delete(webId)
+      return
+    }
+
+    this.store(webId, {
+      error,
+      expiresAt: Date.now() + this.negativeTtl
+    })
+  }
+
+  /**
+   * Removes a Web ID's entry, for example after the user changed their
+   * preferred provider.
+   *
+   * @param webId {string}
+   *
+   * @return {boolean} Whether an entry was removed
+   */
+  invalidate (webId) {
+    return this.entries.delete(webId)
+  }
+
+  clear () {
+    this.entries.clear()
+  }
+
+  /**
+   * Determines how long a discovery result can be cached for, from the
+   * `Cache-Control` headers of the responses it was discovered from (the
+   * shortest max-age wins).
+   *
+   * @param cacheControlHeaders {Array<string|null>}
+   *
+   * @return {number|null} Time to live in ms (0 for `no-cache`, meaning the
+   *   result must be revalidated before use), or `null` for `no-store`
+   */
+  ttlFor (cacheControlHeaders) {
+    let ttl = null
+
+    for (const header of cacheControlHeaders) {
+      const directives = parseCacheControl(header)
+
+      if ('no-store' in directives) {
+        return null
+      }
+
+      let maxAge
+      if ('no-cache' in directives) {
+        maxAge = 0
+      } else if (/^\d+$/.test(directives['max-age'])) {
+        maxAge = parseInt(directives['max-age']) * 1000
+      }
+
+      if (maxAge !== undefined) {
+        ttl = ttl === null ? maxAge : Math.min(ttl, maxAge)
+      }
+    }
+
+    return Math.min(ttl === null ? this.ttl : ttl, this.maxTtl)
+  }
+
+  /**
+   * @param webId {string}
+   * @param entry {Object}
+   */
+  store (webId, entry) {
+    this.entries.delete(webId)
+    this.entries.set(webId, entry)
+
+    while (this.entries.size > this.maxEntries) {
+      // Maps iterate in insertion order, the first key is the least recent
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+}
+
+/**
+ * Deep copies a cached value (of plain data, arrays and instances of classes
+ * such as `ProviderMetadata`, whose prototypes are kept).
+ *
+ * @param value {*}
+ *
+ * @return {*}
+ */
+function copyValue (value) {
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  if (value instanceof Error) {
+    return copyError(value)
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(copyValue)
+  }
+
+  const copy = Object.create(Object.getPrototypeOf(value))
+
+  for (const key of Object.keys(value)) {
+    copy[key] = copyValue(value[key])
+  }
+
+  return copy
+}
+
+/**
+ * @param error {Error}
+ *
+ * @return {Error} Copy of the error, of the same class, with the same own
+ *   properties (`message`, `stack`, `code`, `statusCode` etc)
+ */
+function copyError (error) {
+  const copy = Object.create(Object.getPrototypeOf(error))
+
+  for (const name of Object.getOwnPropertyNames(error)) {
+    Object.defineProperty(copy, name, Object.getOwnPropertyDescriptor(error, name))
+  }
+
+  return copy
+}
+
+/**
+ * @param header {string|null} Cache-Control header value
+ *
+ * @return {Object} Directive name (lowercase) -> value (or `true`)
+ */
+function parseCacheControl (header) {
+  const directives = {}
+
+  if (!header) {
+    return directives
+  }
+
+  for (const part of header.split(',')) {
+    const [name, value] = part.trim().split('=')
+
+    if (name) {
+      directives[name.toLowerCase()] = value === undefined
+        ? true
+        : value.replace(/^"|"$/g, '')
+    }
+  }
+
+  return directives
+}
+
+module.exports = DiscoveryCache
+module.exports.parseCacheControl = parseCacheControl
@@ -0,0 +1,82 @@
+'use strict'
+
+const net = require('net')
+const psl = require('psl')
+
+module.exports = {
+  isPublicSuffix,
+  isSubdomainOf,
+  subdomainLevels
+}
+
+/**
+ * @param hostname {string}
+ *
+ * @return {boolean} Whether the host name is a public suffix (`co.uk`,
+ *   `github.io` etc), according to the Public Suffix List bundled with `psl`
+ */
+function isPublicSuffix (hostname) {
+  const parsed = psl.parse(hostname)
+
+  return !parsed.error && parsed.listed && !parsed.domain
+}
+
+/**
+ * Tests whether a host name is a subdomain of a domain, at most `depth`
+ * levels deep, that the domain owns. A domain never owns subdomains across a
+ * public suffix: neither `co.uk` owns `evil.co.uk`, nor `github.io` owns
+ * `alice.github.io`.
+ *
+ * Host names under a TLD that is not on the Public Suffix List (`localhost`,
+ * `.test` etc) are compared by their labels only.
+ *
+ * @param hostname {string} e.g. 'alice.example.com'
+ * @param domain {string} e.g. 'example.com'
+ * @param [depth=1] {number} Max number of subdomain levels
+ *
+ * @return {boolean}
+ */
+function isSubdomainOf (hostname, domain, depth = 1) {
+  if (net.isIP(hostname) || net.isIP(domain)) {
+    return false // IP addresses have no subdomains
+  }
+
+  hostname = hostname.toLowerCase()
+  domain = domain.toLowerCase()
+
+  const levels = subdomainLevels(hostname, domain)
+
+  if (levels < 1 || levels > depth) {
+    return false
+  }
+
+  const parsed = psl.parse(hostname)
+
+  if (parsed.error || !parsed.listed) {
+    return true
+  }
+
+  // The domain must be the registrable domain of the host name (or one of
+  // its subdomains), rather than a public suffix above it
+  return !!parsed.domain &&
+    (domain === parsed.domain || domain.endsWith('.' + parsed.domain))
+}
+
+/**
+ * @param hostname {string} e.g. 'bob.alice.example.com'
+ * @param domain {string} e.g. 'example.com'
+ *
+ * @return {number} How many levels deep the host name is in the domain (0 if
+ *   they are the same, Infinity if it is not in the domain at all)
+ */
+function subdomainLevels (hostname, domain) {
+  if (hostname === domain) {
+    return 0
+  }
+
+  if (!hostname.endsWith('.' + domain)) {
+    return Infinity
+  }
+
+  return hostname.slice(0, -domain.length - 1).split('.').length
+}
@@ -0,0 +1,253 @@
+'use strict'
+
+const crypto = require('crypto')
+const { URL } = require('whatwg-url')
+const DpopError = require('./errors/dpop-error')
+const { MemoryReplayCache } = require('./replay-cache')
+
+// How far (in ms) the clocks of the clients and this server may drift apart
+const DEFAULT_CLOCK_SKEW = 60 * 1000
+
+// How long (in ms) after its `iat` a proof is accepted
+const DEFAULT_MAX_AGE = 5 * 60 * 1000
+
+/**
+ * Checks of the DPoP proofs sent along with DPoP-bound access tokens, on top
+ * of the ones `@solid/oidc-rs` makes (the proof signature, its key matching
+ * the token `cnf`, and its `htm` and `htu` matching the request):
+ *
+ *   - the proof `iat` must be recent (within `maxAge`, give or take the
+ *     `clockSkew`)
+ *   - its `jti` must not have been seen before (see `MemoryReplayCache`)
+ *   - its `ath` must be the hash of the access token, if present (or
+ *     always, with `requireAth`)
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9449#section-4.3
+ */
+class DpopVerifier {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.clockSkew=60000] {number} Allowed clock skew (in ms)
+   * @param [options.maxAge=300000] {number} Max age (in ms) of a proof
+   * @param [options.requireAth=false] {boolean} Whether to refuse proofs
+   *   without an access token hash
+   * @param [options.trustForwardedHeaders=false] {boolean} Whether the `htu`
+   *   of proofs is checked against the request uri the `Forwarded` (or
+   *   `X-Forwarded-Proto`, `-Host` and `-Prefix`) headers describe, rather
+   *   than the serverUri. Only enable behind a proxy that sets them.
+   * @param [options.replayCache] {Object|false} Record of the seen proof
+   *   `jti`s (see `replay-cache.js`), `false` to allow replays. Defaults to a
+   *   `MemoryReplayCache`.
+   */
+  constructor (options = {}) {
+    this.clockSkew = options.clockSkew !== undefined ? options.clockSkew : DEFAULT_CLOCK_SKEW
+    this.maxAge = options.maxAge !== undefined ? options.maxAge : DEFAULT_MAX_AGE
+    this.requireAth = !!options.requireAth
+    this.trustForwardedHeaders = !!options.trustForwardedHeaders
+    this.replayCache = options.replayCache === undefined
+      ? new MemoryReplayCache()
+      : options.replayCache || null
+  }
+
+  /**
+   * @param req {IncomingRequest}
+   *
+   * @return {boolean} Whether the request is authenticated with a DPoP-bound
+   *   token
+   */
+  static isDpopRequest (req) {
+    const authorization = req.headers && req.headers.authorization
+
+    return !!authorization && /^DPoP\s/i.test(authorization)
+  }
+
+  /**
+   * Returns the base uri the `htu` of proofs is checked against (the
+   * request path is appended to it): the serverUri, or the uri the client
+   * sent the request to, according to the forwarded headers.
+   *
+   * The last of the comma separated forwarded values are used: the ones
+   * added by the closest proxy (values set by the client come first).
+   *
+   * @param req {IncomingRequest}
+   * @param serverUri {string}
+   *
+   * @return {string} Without trailing slash
+   */
+  baseUriFor (req, serverUri) {
+    const base = serverUri.replace(/\/+$/, '')
+
+    if (!this.trustForwardedHeaders) {
+      return base
+    }
+
+    const forwarded = forwardedParams(req.headers)
+    const serverUrl = new URL(base)
+
+    const proto = forwarded.proto || lastValue(req.headers['x-forwarded-proto']) ||
+      serverUrl.protocol.slice(0, -1)
+    const host = forwarded.host || lastValue(req.headers['x-forwarded-host']) ||
+      serverUrl.host
+    const prefix = lastValue(req.headers['x-forwarded-prefix']) || ''
+
+    try {
+      const url = new URL(`${proto}://${host}`)
+
+      return url.origin + ('/' + prefix).replace(/\/+/g, '/').replace(/\/$/, '')
+    } catch (err) {
+      return base
+    }
+  }
+
+  /**
+   * Verifies the DPoP proof of a request that `@solid/oidc-rs` has
+   * authenticated.
+   *
+   * @param req {IncomingRequest}
+   * @param [now=Date.now()] {number}
+   *
+   * @throws {DpopError}
+   *
+   * @return {Promise}
+   */
+  verify (req, now = Date.now()) {
+    return Promise.resolve()
+      .then(() => {
+        const proof = decodeProof(req.headers.dpop)
+        const token = req.headers.authorization.split(' ')[1]
+
+        this.verifyIssuedAt(proof, now)
+        this.verifyTokenHash(proof, token)
+
+        if (typeof proof.jti !== 'string' || !proof.jti) {
+          throw new DpopError('DPoP proof has no jti')
+        }
+
+        if (!this.replayCache) {
+          return
+        }
+
+        const expiresAt = proof.iat * 1000 + this.maxAge + this.clockSkew
+
+        return this.replayCache.add(proof.jti, expiresAt)
+          .then(isNew => {
+            if (!isNew) {
+              throw new DpopError('DPoP proof has already been used')
+            }
+          })
+      })
+  }
+
+  /**
+   * @param proof {Object} Proof payload
+   * @param now {number}
+   *
+   * @throws {DpopError}
+   */
+  verifyIssuedAt (proof, now) {
+    if (typeof proof.iat !== 'number') {
+      throw new DpopError('DPoP proof has no iat')
+    }
+
+    const issuedAt = proof.iat * 1000
+
+    if (issuedAt > now + this.clockSkew) {
+      throw new DpopError('DPoP proof is issued in the future')
+    }
+
+    if (issuedAt < now - this.maxAge - this.clockSkew) {
+      throw new DpopError('DPoP proof has expired')
+    }
+  }
+
+  /**
+   * @param proof {Object} Proof payload
+   * @param token {string} Access token
+   *
+   * @throws {DpopError}
+   */
+  verifyTokenHash (proof, token) {
+    if (proof.ath === undefined) {
+      if (this.requireAth) {
+        throw new DpopError('DPoP proof has no ath')
+      }
+
+      return
+    }
+
+    const hash = crypto.createHash('sha256').update(token || '').digest('base64')
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+    if (proof.ath !== hash) {
+      throw new DpopError('DPoP proof ath does not match the access token')
+    }
+  }
+}
+
+/**
+ * @param proof {string} DPoP header (a JWT)
+ *
+ * @throws {DpopError}
+ *
+ * @return {Object} Payload of the proof (its signature is checked by
+ *   `@solid/oidc-rs`)
+ */
+function decodeProof (proof) {
+  try {
+    const payload = JSON.parse(Buffer.from(proof.split('.')[1], 'base64').toString())
+
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('Not an object')
+    }
+
+    return payload
+  } catch (err) {
+    throw new DpopError('DPoP proof is not a valid JWT')
+  }
+}
+
+/**
+ * @param headers {Object} Request headers
+ *
+ * @return {Object} Parameters (`proto`, `host` etc) of the last element of
+ *   the `Forwarded` header
+ */
+function forwardedParams (headers) {
+  const element = lastValue(headers.forwarded)
+  const params = {}
+
+  if (!element) {
+    return params
+  }
+
+  element.split(';').forEach(pair => {
+    const [name, value] = pair.split('=')
+
+    if (name && value) {
+      params[name.trim().toLowerCase()] = value.trim().replace(/^"(.*)"$/, '$1')
+    }
+  })
+
+  return params
+}
+
+/**
+ * @param [header] {string|Array<string>}
+ *
+ * @return {string|undefined} Last of the comma separated values
+ */
+function lastValue (header) {
+  if (!header) {
+    return undefined
+  }
+
+  const values = [].concat(header).join(',').split(',')
+
+  return values[values.length - 1].trim() || undefined
+}
+
+module.exports = DpopVerifier
+module.exports.DEFAULT_CLOCK_SKEW = DEFAULT_CLOCK_SKEW
+module.exports.DEFAULT_MAX_AGE = DEFAULT_MAX_AGE
@@ -0,0 +1,51 @@
+'use strict'
+
+/**
+ * Error codes of failed provider discovery requests, see `preferred-provider.js`
+ */
+const DISCOVERY_ERRORS = {
+  TIMEOUT: 'DISCOVERY_TIMEOUT',
+  UNREACHABLE: 'DISCOVERY_UNREACHABLE',
+  TOO_LARGE: 'DISCOVERY_TOO_LARGE',
+  TOO_MANY_REDIRECTS: 'DISCOVERY_TOO_MANY_REDIRECTS',
+  UNPARSEABLE: 'DISCOVERY_UNPARSEABLE',
+  NO_ISSUER: 'DISCOVERY_NO_ISSUER',
+  FORBIDDEN: 'DISCOVERY_FORBIDDEN',
+  INVALID_METADATA: 'DISCOVERY_INVALID_METADATA',
+  INVALID_CLIENT_DOCUMENT: 'DISCOVERY_INVALID_CLIENT_DOCUMENT'
+}
+
+// HTTP status of each kind of failure (an unreachable Web ID is treated as
+// a bad request, a request refused by the `OutboundPolicy` as forbidden, the
+// other failures, including invalid provider metadata or Client ID
+// Documents, are the remote server's)
+const STATUS_CODES = {
+  [DISCOVERY_ERRORS.TIMEOUT]: 504,
+  [DISCOVERY_ERRORS.UNREACHABLE]: 400,
+  [DISCOVERY_ERRORS.TOO_LARGE]: 502,
+  [DISCOVERY_ERRORS.TOO_MANY_REDIRECTS]: 502,
+  [DISCOVERY_ERRORS.UNPARSEABLE]: 400,
+  [DISCOVERY_ERRORS.NO_ISSUER]: 400,
+  [DISCOVERY_ERRORS.FORBIDDEN]: 403,
+  [DISCOVERY_ERRORS.INVALID_METADATA]: 502,
+  [DISCOVERY_ERRORS.INVALID_CLIENT_DOCUMENT]: 502
+}
+
+class DiscoveryError extends Error {
+  /**
+   * @param message {string}
+   * @param code {string} One of `DISCOVERY_ERRORS`
+   * @param [cause] {Error} Underlying fetch or parse error
+   */
+  constructor (message, code, cause) {
+    super(message)
+
+    this.name = 'DiscoveryError'
+    this.code = code
+    this.statusCode = STATUS_CODES[code] || 400
+    this.cause = cause
+  }
+}
+
+module.exports = DiscoveryError
+module.exports.DISCOVERY_ERRORS = DISCOVERY_ERRORS
@@ -0,0 +1,35 @@
+'use strict'
+
+/**
+ * The resource server refused a request's DPoP proof (or a token that is not
+ * DPoP-bound, if only DPoP is supported), see `DpopVerifier`. Carries the same
+ * `error` / `error_description` fields as the `@solid/oidc-rs` errors.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9449#section-7.1
+ */
+class DpopError extends Error {
+  /**
+   * @param description {string}
+   * @param [error='invalid_dpop_proof'] {string} OAuth error code
+   */
+  constructor (description, error = 'invalid_dpop_proof') {
+    super(description)
+
+    this.name = 'DpopError'
+    this.statusCode = 401
+    this.error = error
+    this.error_description = description
+  }
+
+  /**
+   * @param realm {string}
+   *
+   * @return {string} `WWW-Authenticate` challenge
+   */
+  challenge (realm) {
+    return `DPoP realm="${realm}", error="${this.error}", ` +
+      `error_description="${this.error_description.replace(/"/g, "'")}"`
+  }
+}
+
+module.exports = DpopError
@@ -0,0 +1,14 @@
+'use strict'
+
+class InvalidConfigError extends Error {
+  /**
+   * @param errors {Array<string>} Every problem found with the config
+   */
+  constructor (errors) {
+    super('Invalid OidcManager config:\n  - ' + errors.join('\n  - '))
+
+    this.errors = errors
+  }
+}
+
+module.exports = InvalidConfigError
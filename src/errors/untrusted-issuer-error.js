@@ -0,0 +1,23 @@
+'use strict'
+
+/**
+ * A token was issued by an identity provider the server's `issuerPolicy`
+ * does not trust (see `IssuerPolicy`). Unlike a Web ID that could not be
+ * verified (401), the user is authenticated, but not allowed in (403).
+ */
+class UntrustedIssuerError extends Error {
+  /**
+   * @param issuer {string}
+   * @param reason {string} Why the issuer is not trusted
+   */
+  constructor (issuer, reason) {
+    super(`Issuer ${issuer} is not trusted: ${reason}`)
+
+    this.name = 'UntrustedIssuerError'
+    this.code = 'ISSUER_NOT_TRUSTED'
+    this.statusCode = 403
+    this.issuer = issuer
+  }
+}
+
+module.exports = UntrustedIssuerError
@@ -0,0 +1,73 @@
+'use strict'
+
+/**
+ * Lifecycle events emitted by OidcManager (which is an EventEmitter). Every
+ * payload includes the `event` name and an ISO `timestamp`, plus:
+ *
+ *   - 'initialized' `{ localRp }` - `initialize()` completed, `localRp` is
+ *     whether the local RP client is registered
+ *   - 'keychain:generated' `{}` - Fresh provider keys were generated
+ *   - 'keychain:rotated' `{ retireAt }` - Provider keys were rotated
+ *   - 'localRp:attempt' / 'localRp:registered' `{ attempt }`
+ *   - 'localRp:failed' `{ attempt, error }`
+ *   - 'user:created' `{ userId }`
+ *   - 'user:login' `{ webId, issuer }` - Session established via the RP
+ *     auth callback
+ *   - 'user:logout' `{ webId }`
+ *   - 'consent:granted' `{ webId, clientId, scope }`
+ *   - 'callback:failed' `{ issuer, error }` - Error in the RP auth callback
+ *   - 'webid:verification-failed' `{ webId, issuer, error }` - The token
+ *     issuer is not authorized to speak for the Web ID
+ */
+const EVENTS = {
+  INITIALIZED: 'initialized',
+  KEYCHAIN_GENERATED: 'keychain:generated',
+  KEYCHAIN_ROTATED: 'keychain:rotated',
+  LOCAL_RP_ATTEMPT: 'localRp:attempt',
+  LOCAL_RP_REGISTERED: 'localRp:registered',
+  LOCAL_RP_FAILED: 'localRp:failed',
+  USER_CREATED: 'user:created',
+  USER_LOGIN: 'user:login',
+  USER_LOGOUT: 'user:logout',
+  CONSENT_GRANTED: 'consent:granted',
+  CALLBACK_FAILED: 'callback:failed',
+  WEBID_VERIFICATION_FAILED: 'webid:verification-failed'
+}
+
+module.exports = {
+  EVENTS,
+  emitEvent,
+  oidcManagerFor
+}
+
+/**
+ * Emits a lifecycle event, if the given emitter is set (handlers may run
+ * without an OidcManager, for example in tests).
+ *
+ * @param emitter {EventEmitter|null} Typically the OidcManager instance
+ * @param event {string} One of `EVENTS`
+ * @param [payload={}] {Object}
+ */
+function emitEvent (emitter, event, payload = {}) {
+  if (!emitter || typeof emitter.emit !== 'function') {
+    return
+  }
+
+  emitter.emit(event, Object.assign({
+    event,
+    timestamp: new Date().toISOString()
+  }, payload))
+}
+
+/**
+ * @param req {IncomingRequest}
+ *
+ * @return {OidcManager|null} The OidcManager stored in `app.locals.oidc`
+ */
+function oidcManagerFor (req) {
+  if (req && req.app && req.app.locals) {
+    return req.app.locals.oidc || null
+  }
+
+  return null
+}
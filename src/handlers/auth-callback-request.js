@@ -1,6 +1,9 @@
 'use strict'
 
 const url = require('url')
+const { EVENTS, emitEvent } = require('../events')
+const Logger = require('../logger')
+const { issuersMatch } = require('../issuer')
 
 class AuthCallbackRequest {
   constructor (options) {
@@ -11,7 +14,7 @@ class AuthCallbackRequest {
     this.session = options.session
     this.returnToUrl = options.returnToUrl || '/'
     this.serverUri = options.serverUri
-    this.debug = options.debug || console.log.bind(console)
+    this.logger = options.logger || Logger.from()
   }
 
   /**
@@ -32,7 +35,11 @@ class AuthCallbackRequest {
 
     return AuthCallbackRequest.handle(request)
       .catch(error => {
-        request.debug('Error in AuthCallbackRequest.get:', error)
+        request.logger.error('Error in AuthCallbackRequest.get', { error })
+        emitEvent(request.oidcManager, EVENTS.CALLBACK_FAILED, {
+          issuer: request.issuer,
+          error
+        })
         next(error)
       })
   }
@@ -63,6 +70,7 @@ class AuthCallbackRequest {
       requestUri,
       oidcManager,
       serverUri,
+      logger: Logger.loggerFor(req, { issuer }),
       returnToUrl: req.session.returnToUrl,
       response: res,
       session: req.session
@@ -86,6 +94,7 @@ class AuthCallbackRequest {
   static handle (request) {
     return Promise.resolve()
       .then(() => request.validate())
+      .then(() => request.loadProviderMetadata())
       .then(() => request.loadClient())
       .then(rpClient => request.validateResponse(rpClient))
       .then(session => request.initSessionUserAuth(session))
@@ -104,10 +113,25 @@ class AuthCallbackRequest {
     }
   }
 
-  loadClient () {
-    const rpClientStore = this.oidcManager.clients
+  /**
+   * Fetches and validates the OpenID configuration of the issuer in the
+   * callback url, before loading (or registering) a client for it, so that
+   * requests to arbitrary issuer ids do not reach arbitrary servers.
+   *
+   * @throws {DiscoveryError}
+   *
+   * @returns {Promise<ProviderMetadata>}
+   */
+  loadProviderMetadata () {
+    return this.oidcManager.providerMetadataFor(this.issuer)
+      .then(metadata => {
+        this.providerMetadata = metadata
+        return metadata
+      })
+  }
 
-    return rpClientStore.clientForIssuer(this.issuer)
+  loadClient () {
+    return this.oidcManager.clientForIssuer(this.issuer)
   }
 
   /**
@@ -124,9 +148,16 @@ class AuthCallbackRequest {
         idClaims: rpSession.idClaims,
         authorization: rpSession.authorization
       }
+
+      this.logger.info('User logged in', { webId })
+      emitEvent(this.oidcManager, EVENTS.USER_LOGIN, {
+        webId,
+        issuer: rpSession.idClaims.iss
+      })
     } catch (err) {
       const error = new Error('Could not verify Web ID from token claims')
-      error.statusCode = 401
+      // Refused by the issuer policy (403), or not verified (401)
+      error.statusCode = err.statusCode === 403 ? 403 : 401
       error.cause = err
       error.info = { credentials: this.session.credentials }
       throw error
@@ -144,19 +175,43 @@ class AuthCallbackRequest {
    */
   validateResponse (client) {
     return client.validateResponse(this.requestUri, this.session)
+      .then(session => {
+        this.validateIssuer(session)
+        return session
+      })
       .catch(error => {
         error.statusCode = 400
-        console.log('Error in callback/validateResponse:', error)
+        this.logger.warn('Error in callback/validateResponse', { error })
         throw error
       })
   }
 
+  /**
+   * Makes sure the ID Token was issued by the provider in the callback url
+   * (if its metadata was loaded, see `loadProviderMetadata()`).
+   *
+   * @param rpSession {Session}
+   *
+   * @throws {Error}
+   */
+  validateIssuer (rpSession) {
+    if (!this.providerMetadata) {
+      return
+    }
+
+    const issuer = rpSession.idClaims && rpSession.idClaims.iss
+
+    if (!issuersMatch(issuer, this.providerMetadata.issuer)) {
+      throw new Error(`ID Token issuer ${issuer} does not match provider ${this.providerMetadata.issuer}`)
+    }
+  }
+
   /**
    * Redirects the user back to their original requested resource, at the end
    * of the OIDC authentication process.
    */
   resumeUserWorkflow () {
-    this.debug('  Resuming workflow, redirecting to ' + this.returnToUrl)
+    this.logger.debug('Resuming workflow, redirecting to ' + this.returnToUrl)
 
     delete this.session.returnToUrl
 
@@ -0,0 +1,118 @@
+'use strict'
+
+const Logger = require('../logger')
+
+class HealthRequest {
+  /**
+   * @constructor
+   *
+   * @param options {Object}
+   * @param [options.oidcManager] {OidcManager}
+   * @param [options.response] {ServerResponse}
+   * @param [options.logger] {Logger}
+   */
+  constructor (options) {
+    this.oidcManager = options.oidcManager
+    this.response = options.response
+    this.logger = options.logger || Logger.from()
+  }
+
+  /**
+   * Handles a health / readiness check request. Responds with the outcome of
+   * each of the `OidcManager.status()` checks, with a 200 status if the auth
+   * stack is ready, or a 503 otherwise. The endpoint is unauthenticated, so
+   * the error details (which may include filesystem paths) are only logged.
+   * Usage:
+   *
+   *   ```
+   *   app.get('/api/auth/health', HealthRequest.get)
+   *   ```
+   *
+   * @param req {IncomingRequest}
+   * @param res {ServerResponse}
+   * @param next {Function}
+   *
+   * @return {Promise}
+   */
+  static get (req, res, next) {
+    const request = HealthRequest.fromParams(req, res)
+
+    return HealthRequest.handle(request)
+      .catch(next)
+  }
+
+  /**
+   * @param req {IncomingRequest}
+   * @param res {ServerResponse}
+   *
+   * @return {HealthRequest}
+   */
+  static fromParams (req, res) {
+    let oidcManager
+    if (req.app && req.app.locals) {
+      oidcManager = req.app.locals.oidc
+    }
+
+    return new HealthRequest({
+      oidcManager,
+      response: res,
+      logger: Logger.loggerFor(req)
+    })
+  }
+
+  static handle (request) {
+    return Promise.resolve()
+      .then(() => request.validate())
+      .then(() => request.oidcManager.status())
+      .then(status => request.sendStatus(status))
+  }
+
+  /**
+   * @throws {Error} HTTP 500 if the OidcManager has not been initialized
+   */
+  validate () {
+    if (!this.oidcManager) {
+      const error = new Error('OIDC manager not initialized')
+      error.statusCode = 500
+      throw error
+    }
+  }
+
+  /**
+   * @param status {Object} Result of `OidcManager.status()`
+   */
+  sendStatus (status) {
+    if (!status.ready) {
+      this.logger.warn('Health check failed', {
+        storage: status.storage,
+        lastError: status.lastError
+      })
+    }
+
+    this.response.status(status.ready ? 200 : 503)
+    this.response.json(HealthRequest.publicStatus(status))
+  }
+
+  /**
+   * @param status {Object} Result of `OidcManager.status()`
+   *
+   * @return {Object} The status without the error details: whether each of
+   *   the checks passed
+   */
+  static publicStatus (status) {
+    const storage = {}
+
+    Object.keys(status.storage || {}).forEach(name => {
+      storage[name] = { writable: !!status.storage[name].writable }
+    })
+
+    return {
+      ready: !!status.ready,
+      storage,
+      keychain: { loaded: !!(status.keychain && status.keychain.loaded) },
+      localRp: { registered: !!(status.localRp && status.localRp.registered) }
+    }
+  }
+}
+
+module.exports = HealthRequest
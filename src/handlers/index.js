@@ -2,6 +2,7 @@
 
 module.exports = {
   AuthCallbackRequest: require('./auth-callback-request'),
+  HealthRequest: require('./health-request'),
   LoginConsentRequest: require('./login-consent-request'),
   LogoutRequest: require('./logout-request'),
   SelectProviderRequest: require('./select-provider-request')
@@ -1,6 +1,8 @@
 'use strict'
 
 const AuthResponseSent = require('../errors/auth-response-sent')
+const { EVENTS, emitEvent, oidcManagerFor } = require('../events')
+const Logger = require('../logger')
 
 class LoginConsentRequest {
   constructor (options) {
@@ -100,6 +102,26 @@ class LoginConsentRequest {
     return this.params.client_id
   }
 
+  /**
+   * @return {Object} Metadata of the client asking for consent, for the
+   *   consent screen. `clientIdDocument` is whether it was published by the
+   *   app at its `clientId` uri (see `ClientIdDocument`), rather than
+   *   self-asserted on dynamic registration.
+   */
+  get clientMetadata () {
+    const client = this.opAuthRequest.client || {}
+
+    return {
+      clientId: this.clientId,
+      clientName: client.client_name,
+      logoUri: client.logo_uri,
+      clientUri: client.client_uri,
+      policyUri: client.policy_uri,
+      tosUri: client.tos_uri,
+      clientIdDocument: !!client.client_id_document
+    }
+  }
+
   isLocalRpClient (appOrigin) {
     return this.opAuthRequest.req.app.locals.ldp.serverUri === appOrigin
   }
@@ -116,6 +138,12 @@ class LoginConsentRequest {
   markConsentSuccess (opAuthRequest) {
     opAuthRequest.consent = true
     opAuthRequest.scope = this.params.scope
+
+    emitEvent(oidcManagerFor(opAuthRequest.req), EVENTS.CONSENT_GRANTED, {
+      webId: opAuthRequest.subject && opAuthRequest.subject._id,
+      clientId: this.clientId,
+      scope: this.params.scope
+    })
   }
 
   saveConsentForClient (clientId) {
@@ -124,17 +152,35 @@ class LoginConsentRequest {
 
   redirectToConsent (authRequest) {
     const { opAuthRequest } = this
-    console.log('Redirecting user to /sharing')
-    console.log(opAuthRequest.host)
+    this.logger.info('Redirecting user to /sharing')
     const queryString = new URLSearchParams(opAuthRequest.req.query).toString()
     const consentUrl = `/sharing${queryString ? '?' + queryString : ''}`
     opAuthRequest.subject = null
 
+    // Shown on the consent screen (from the session, the query string could
+    // be tampered with)
+    if (opAuthRequest.req.session) {
+      opAuthRequest.req.session.consentClient = this.clientMetadata
+    }
+
     opAuthRequest.res.redirect(consentUrl)
 
     this.signalResponseSent()
   }
 
+  /**
+   * @return {Logger} With the request id, client id and the user's Web ID
+   *   bound
+   */
+  get logger () {
+    const { opAuthRequest } = this
+
+    return Logger.loggerFor(opAuthRequest.req, {
+      clientId: this.clientId,
+      webId: opAuthRequest.subject ? opAuthRequest.subject._id : undefined
+    })
+  }
+
   signalResponseSent () {
     throw new AuthResponseSent('User redirected')
   }
@@ -1,5 +1,7 @@
 'use strict'
 
+const { EVENTS, emitEvent, oidcManagerFor } = require('../events')
+
 const DEFAULT_POST_LOGOUT_URL = '/goodbye'
 
 class LogoutRequest {
@@ -41,7 +43,14 @@ class LogoutRequest {
   }
 
   static logout (request) {
+    const webId = request.request.session.userId
+
     request.clearUserSession()
+
+    if (webId) {
+      emitEvent(oidcManagerFor(request.request), EVENTS.USER_LOGOUT, { webId })
+    }
+
     request.redirectToGoodbye()
   }
 
@@ -1,27 +1,47 @@
 'use strict'
 
 const validUrl = require('valid-url')
-const { preferredProviderFor } = require('../preferred-provider')
+const { preferredProvidersFor, isAcctIdentifier } = require('../preferred-provider')
+const { issuersMatch } = require('../issuer')
+const Logger = require('../logger')
+const { DISCOVERY_ERRORS } = require('../errors/discovery-error')
+
+// Messages shown on the select provider form for failed discovery requests
+const DISCOVERY_ERROR_MESSAGES = {
+  [DISCOVERY_ERRORS.TIMEOUT]: 'The server hosting your WebID took too long to respond. Please try again later.',
+  [DISCOVERY_ERRORS.UNREACHABLE]: 'Could not reach your WebID. Please check that it is spelled correctly.',
+  [DISCOVERY_ERRORS.TOO_LARGE]: 'Your WebID profile is too large to be processed.',
+  [DISCOVERY_ERRORS.TOO_MANY_REDIRECTS]: 'Your WebID redirects too many times.',
+  [DISCOVERY_ERRORS.UNPARSEABLE]: 'Your WebID profile could not be read.',
+  [DISCOVERY_ERRORS.NO_ISSUER]: 'Your WebID profile does not name an identity provider (solid:oidcIssuer).',
+  [DISCOVERY_ERRORS.FORBIDDEN]: 'This server is not allowed to look up your WebID at that address.',
+  [DISCOVERY_ERRORS.INVALID_METADATA]: 'The identity provider for your WebID is not a valid OpenID Connect provider.'
+}
 
 class SelectProviderRequest {
   /**
    * @constructor
    *
    * @param options {Object}
-   * @param [options.webId] {string}
+   * @param [options.webId] {string} Web ID (or `acct:` URI) the user entered
+   * @param [options.provider] {string} Provider the user chose, when their
+   *   Web ID lists several
    * @param [options.oidcManager] {OidcManager}
    * @param [options.response] {HttpResponse}
    * @param [options.serverUri] {string}
    * @param [options.returnToUrl] {string} Url of the original resource
    *   a client was trying to access before being redirected to select provider
+   * @param [options.logger] {Logger}
    */
   constructor (options) {
     this.webId = options.webId
+    this.provider = options.provider
     this.oidcManager = options.oidcManager
     this.response = options.response
     this.session = options.session
     this.serverUri = options.serverUri
     this.returnToUrl = options.returnToUrl
+    this.logger = options.logger || Logger.from()
   }
 
   /**
@@ -55,6 +75,7 @@ class SelectProviderRequest {
    *
    * @param req {IncomingRequest}
    * @param [req.body.webid] {string}
+   * @param [req.body.provider] {string}
    *
    * @param res {ServerResponse}
 
@@ -74,9 +95,11 @@ class SelectProviderRequest {
 
     const options = {
       webId,
+      provider: body.provider,
       oidcManager,
       serverUri,
       returnToUrl: query.returnToUrl,
+      logger: Logger.loggerFor(req, { webId }),
       response: res,
       session: req.session
     }
@@ -88,7 +111,9 @@ class SelectProviderRequest {
 
   /**
    * Attempts to return a normalized URI by prepending `https://` to a given
-   * value, if a protocol is missing.
+   * value, if a protocol is missing. Email-like account identifiers
+   * (`alice@example.org`) are returned as `acct:` URIs, for WebFinger
+   * discovery.
    *
    * @param uri {string}
    *
@@ -99,6 +124,12 @@ class SelectProviderRequest {
       return uri
     }
 
+    uri = uri.trim()
+
+    if (isAcctIdentifier(uri)) {
+      return 'acct:' + uri.replace(/^acct:/i, '')
+    }
+
     if (!uri.startsWith('http')) {
       uri = 'https://' + uri
     }
@@ -155,18 +186,79 @@ class SelectProviderRequest {
    * constructing an authentication url for that provider, and redirecting the
    * user to it.
    *
+   * If the Web ID lists several providers (and the user has not chosen one of
+   * them yet), renders the select provider form with the list instead.
+   *
+   * The provider's OpenID configuration is validated (see `ProviderMetadata`)
+   * before the user is sent to it.
+   *
    * @throws {Error}
    *
    * @return {Promise}
    */
   selectProvider () {
-    return this.preferredProviderUrl()
-      .then(providerUrl => {
-        this.oidcManager.debug('Building /authorize url for provider:', providerUrl)
+    return this.preferredProviderUrls()
+      .then(providerUrls => {
+        if (this.provider) {
+          return this.chosenProviderUrl(providerUrls)
+        }
 
-        return this.authUrlFor(providerUrl)
+        if (providerUrls.length > 1) {
+          return this.renderProviderChoice(providerUrls)
+        }
+
+        return providerUrls[0]
       })
-      .then(providerAuthUrl => this.response.redirect(providerAuthUrl))
+      .then(providerUrl => {
+        if (!providerUrl) {
+          return // The user is choosing between providers
+        }
+
+        return this.oidcManager.providerMetadataFor(providerUrl)
+          .then(metadata => {
+            this.providerMetadata = metadata
+            this.logger.debug('Building /authorize url for provider', { issuer: providerUrl })
+
+            return this.authUrlFor(providerUrl)
+          })
+          .then(providerAuthUrl => this.response.redirect(providerAuthUrl))
+      })
+  }
+
+  /**
+   * @param providerUrls {Array<string>} Providers advertised by the Web ID
+   *
+   * @throws {Error} HTTP 400 if the chosen provider is not one of them
+   *
+   * @return {string} The chosen provider, as listed by the Web ID
+   */
+  chosenProviderUrl (providerUrls) {
+    const providerUrl = providerUrls.find(url => issuersMatch(url, this.provider))
+
+    if (!providerUrl) {
+      const error = new Error(`Provider ${this.provider} is not listed for Web ID ${this.webId}`)
+      error.statusCode = 400
+      throw error
+    }
+
+    return providerUrl
+  }
+
+  /**
+   * Renders the select provider form, asking the user to choose one of the
+   * providers listed in their Web ID.
+   *
+   * @param providerUrls {Array<string>}
+   */
+  renderProviderChoice (providerUrls) {
+    this.logger.debug('Web ID lists several providers', { webId: this.webId, providers: providerUrls })
+
+    this.response.render('auth/select-provider', {
+      serverUri: this.serverUri,
+      webId: this.webId,
+      providers: providerUrls,
+      returnToUrl: this.returnToUrl
+    })
   }
 
   /**
@@ -181,13 +273,13 @@ class SelectProviderRequest {
   /**
    * @throws {Error}
    *
-   * @returns {Promise<string>} Resolves to the preferred OIDC provider for
-   *   the url the user entered
+   * @returns {Promise<Array<string>>} Resolves to the OIDC providers for the
+   *   url the user entered (its own origin, or the ones its Web ID lists)
    */
-  preferredProviderUrl () {
-    this.oidcManager.debug('Discovering provider for uri:', this.webId)
+  preferredProviderUrls () {
+    this.logger.debug('Discovering provider', { webId: this.webId })
 
-    return preferredProviderFor(this.webId)
+    return preferredProvidersFor(this.webId, this.oidcManager.discoveryOptions())
   }
 
   /**
@@ -198,16 +290,30 @@ class SelectProviderRequest {
    * @return {Promise<string>}
    */
   authUrlFor (providerUri) {
-    const multiRpClient = this.oidcManager.clients
-
-    return multiRpClient.authUrlForIssuer(providerUri, this.session)
+    return this.oidcManager.authUrlForIssuer(providerUri, this.session)
   }
 
+  /**
+   * Renders the select provider form with an error message. Failed discovery
+   * requests (see `DiscoveryError`) are explained to the user, and their
+   * `errorCode` is passed on to the view.
+   *
+   * @param error {Error}
+   */
   error (error) {
     const res = this.response
 
     res.status(error.statusCode || 400)
 
+    if (DISCOVERY_ERROR_MESSAGES[error.code]) {
+      this.logger.warn('Provider discovery failed', { webId: this.webId, error })
+
+      return res.render('auth/select-provider', {
+        error: DISCOVERY_ERROR_MESSAGES[error.code],
+        errorCode: error.code
+      })
+    }
+
     res.render('auth/select-provider', { error: error.message })
   }
 
@@ -3,6 +3,7 @@
 const LogoutRequest = require('./handlers/logout-request')
 const LoginConsentRequest = require('./handlers/login-consent-request')
 const AuthResponseSent = require('./errors/auth-response-sent')
+const Logger = require('./logger')
 
 /**
  * Handles host-side authentication logic (this method is dependency injected
@@ -22,17 +23,17 @@ const AuthResponseSent = require('./errors/auth-response-sent')
  * @return {AuthenticationRequest}
  */
 function authenticate (authRequest) {
-  const debug = authRequest.host.debug || console.log.bind(console)
+  const logger = loggerFor(authRequest)
 
   const webId = authenticatedUser(authRequest)
 
   if (webId) {
-    debug('User is already authenticated as', webId)
+    logger.debug('User is already authenticated', { webId })
 
     initSubjectClaim(authRequest, webId)
   } else {
     // User not authenticated, send them to login
-    debug('User not authenticated, sending to /login')
+    logger.debug('User not authenticated, sending to /login')
 
     redirectToLogin(authRequest)
   }
@@ -41,8 +42,7 @@ function authenticate (authRequest) {
 }
 
 function redirectToLogin (authRequest) {
-  console.log('Redirecting user to /login')
-  console.log(authRequest.host)
+  loggerFor(authRequest).info('Redirecting user to /login')
 
   const queryString = new URLSearchParams(authRequest.req.query).toString()
   const loginUrl = `/login${queryString ? '?' + queryString : ''}`
@@ -81,7 +81,6 @@ function initSubjectClaim (authRequest, webId) {
 }
 
 function obtainConsent (authRequest) {
-  const debug = authRequest.host.debug || console.error.bind(console)
   const skipConsent = false
 
   return LoginConsentRequest.handle(authRequest, skipConsent)
@@ -89,20 +88,39 @@ function obtainConsent (authRequest) {
       if (error instanceof AuthResponseSent) {
         throw error
       }
-      debug('Error in auth Consent step: ', error)
+      loggerFor(authRequest).error('Error in auth Consent step', { error })
     })
 }
 
 function logout (logoutRequest) {
-  const debug = console.error.bind(console)
-
   return LogoutRequest.handle(logoutRequest.req, logoutRequest.res)
     .then(() => logoutRequest)
     .catch(error => {
-      debug('Error in auth logout() step: ', error)
+      loggerFor(logoutRequest).error('Error in auth logout() step', { error })
     })
 }
 
+/**
+ * Returns the logger for an OP request (auth, logout), with the request id
+ * and client id bound. Uses the logger injected into the host object by
+ * `OidcManager.initProvider()` (or the host's legacy `debug` function).
+ *
+ * @param opRequest {AuthenticationRequest|Object} Request object created
+ *   inside an OIDC Provider endpoint handler.
+ *
+ * @return {Logger}
+ */
+function loggerFor (opRequest) {
+  const host = opRequest.host || {}
+  const logger = Logger.from({ logger: host.logger, debug: host.debug })
+  const params = opRequest.params || {}
+
+  return logger.child({
+    requestId: Logger.requestIdFor(opRequest.req),
+    clientId: params.client_id
+  })
+}
+
 module.exports = {
   authenticate,
   obtainConsent,
@@ -4,3 +4,17 @@ module.exports = require('./oidc-manager')
 module.exports.UserStore = require('./user-store')
 module.exports.AuthHostAPI = require('./host-api')
 module.exports.handlers = require('./handlers')
+module.exports.InvalidConfigError = require('./errors/invalid-config-error')
+module.exports.DiscoveryError = require('./errors/discovery-error')
+module.exports.UntrustedIssuerError = require('./errors/untrusted-issuer-error')
+module.exports.DpopError = require('./errors/dpop-error')
+module.exports.OutboundPolicy = require('./outbound-policy')
+module.exports.IssuerPolicy = require('./issuer-policy')
+module.exports.AudiencePolicy = require('./audience-policy')
+module.exports.ProviderMetadata = require('./provider-metadata')
+module.exports.ClientIdDocument = require('./client-id-document')
+module.exports.DpopVerifier = require('./dpop-verifier')
+module.exports.BackendReplayCache = require('./replay-cache').BackendReplayCache
+module.exports.MemoryReplayCache = require('./replay-cache').MemoryReplayCache
+module.exports.storage = require('./storage')
+module.exports.migrateStore = require('./migrate-store').migrateStore
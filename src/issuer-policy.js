@@ -0,0 +1,110 @@
+'use strict'
+
+const { issuersMatch } = require('./issuer')
+const UntrustedIssuerError = require('./errors/untrusted-issuer-error')
+
+/**
+ * Policy restricting the identity providers whose tokens the resource server
+ * accepts. An issuer is refused if:
+ *
+ *   - it is on the `deny` list
+ *   - the `allow` list is not empty, and the issuer is not on it
+ *   - the `predicate` resolves to a falsy value
+ *
+ * Issuers are compared in their canonical form (see `normalizeIssuer()`).
+ * The server's own provider (`trusted`) is always allowed, unless denied.
+ */
+class IssuerPolicy {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.allow=[]] {Array<string>} If not empty, only tokens of
+   *   these issuers are accepted
+   * @param [options.deny=[]] {Array<string>} Issuers whose tokens are never
+   *   accepted
+   * @param [options.predicate] {Function} `async (issuer, { webId }) =>
+   *   boolean`, for checks the lists cannot express
+   * @param [options.trusted=[]] {Array<string>} Issuers allowed regardless
+   *   of the `allow` list and `predicate`
+   */
+  constructor (options = {}) {
+    this.allow = options.allow || []
+    this.deny = options.deny || []
+    this.predicate = options.predicate
+    this.trusted = options.trusted || []
+  }
+
+  /**
+   * @return {boolean} Whether the allow / deny lists restrict anything
+   */
+  get hasLists () {
+    return this.allow.length > 0 || this.deny.length > 0
+  }
+
+  /**
+   * Synchronous part of the policy (the allow and deny lists), usable as the
+   * oidc-rs `allow.issuers` filter.
+   *
+   * @param issuer {string}
+   *
+   * @return {string|null} Why the issuer is refused, or null if it is allowed
+   */
+  listRefusal (issuer) {
+    const matches = list => list.some(listed => issuersMatch(listed, issuer))
+
+    if (matches(this.deny)) {
+      return 'issuer is on the deny list'
+    }
+
+    if (this.allow.length > 0 && !matches(this.allow) && !matches(this.trusted)) {
+      return 'issuer is not on the allow list'
+    }
+
+    return null
+  }
+
+  /**
+   * @param issuer {string}
+   *
+   * @return {boolean} Whether the allow / deny lists accept the issuer
+   */
+  isListed (issuer) {
+    return this.listRefusal(issuer) === null
+  }
+
+  /**
+   * Checks an issuer against the lists, then the predicate.
+   *
+   * @param issuer {string}
+   * @param [context={}] {Object}
+   * @param [context.webId] {string} Web ID the token was issued for
+   *
+   * @throws {UntrustedIssuerError}
+   *
+   * @return {Promise}
+   */
+  check (issuer, context = {}) {
+    return Promise.resolve()
+      .then(() => {
+        const refusal = this.listRefusal(issuer)
+
+        if (refusal) {
+          throw new UntrustedIssuerError(issuer, refusal)
+        }
+
+        if (!this.predicate || this.trusted.some(trusted => issuersMatch(trusted, issuer))) {
+          return
+        }
+
+        return Promise.resolve(this.predicate(issuer, context))
+          .then(allowed => {
+            if (!allowed) {
+              throw new UntrustedIssuerError(issuer, 'issuer is refused by the issuer policy')
+            }
+          })
+      })
+  }
+}
+
+module.exports = IssuerPolicy
@@ -0,0 +1,56 @@
+'use strict'
+
+const { URL } = require('whatwg-url')
+
+module.exports = {
+  normalizeIssuer,
+  issuersMatch
+}
+
+/**
+ * Returns the canonical form of an issuer (or any origin-like) uri, so that
+ * equivalent issuers compare as equal strings:
+ *
+ *   - scheme and host are lower cased
+ *   - default ports (443 for https, 80 for http) are dropped
+ *   - a trailing slash is dropped (`https://idp.example/` is the same issuer
+ *     as `https://idp.example`)
+ *
+ * The path is otherwise kept as is (it is case sensitive), as are the query
+ * and fragment (which issuers should not have, but must not match anyway).
+ *
+ * @param issuer {string}
+ *
+ * @return {string} Canonical uri, or the given value unchanged if it is not
+ *   a valid absolute uri
+ */
+function normalizeIssuer (issuer) {
+  let url
+
+  try {
+    url = new URL(issuer)
+  } catch (err) {
+    return issuer
+  }
+
+  if (url.origin === 'null') {
+    return issuer // Not a hierarchical uri (urn:, mailto: etc)
+  }
+
+  return url.origin + url.pathname.replace(/\/+$/, '') + url.search + url.hash
+}
+
+/**
+ * @param issuer {string}
+ * @param otherIssuer {string}
+ *
+ * @return {boolean} Whether both uris denote the same issuer, see
+ *   `normalizeIssuer()`
+ */
+function issuersMatch (issuer, otherIssuer) {
+  if (!issuer || !otherIssuer) {
+    return false
+  }
+
+  return normalizeIssuer(issuer) === normalizeIssuer(otherIssuer)
+}
@@ -0,0 +1,209 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs-extra')
+
+const CIPHER = 'aes-256-gcm'
+const KDF = 'scrypt'
+const KEY_LENGTH = 32
+const SALT_LENGTH = 16
+const IV_LENGTH = 12
+
+module.exports = {
+  secretFrom,
+  encryptPrivateKeys,
+  decryptPrivateKeys,
+  hasEncryptedKeys
+}
+
+/**
+ * Resolves the key encryption secret from a `keyEncryption` config.
+ *
+ * @param keyEncryption {Object}
+ * @param [keyEncryption.passphrase] {string} The passphrase itself
+ * @param [keyEncryption.passphraseEnv] {string} Name of an environment
+ *   variable that holds the passphrase
+ * @param [keyEncryption.keyFile] {string} Path to a file holding the secret
+ * @param [keyEncryption.keyFileEnv] {string} Name of an environment variable
+ *   that holds the path to the secret file
+ *
+ * @throws {Error} If the configured secret is missing or empty
+ *
+ * @return {string}
+ */
+function secretFrom (keyEncryption) {
+  const { passphrase, passphraseEnv, keyFileEnv } = keyEncryption
+  let { keyFile } = keyEncryption
+  let secret
+
+  if (passphrase) {
+    secret = passphrase
+  } else if (passphraseEnv) {
+    secret = process.env[passphraseEnv]
+
+    if (!secret) {
+      throw new Error(`Key encryption passphrase missing: environment variable ${passphraseEnv} is not set`)
+    }
+  } else {
+    if (keyFileEnv) {
+      keyFile = process.env[keyFileEnv]
+
+      if (!keyFile) {
+        throw new Error(`Key encryption key file missing: environment variable ${keyFileEnv} is not set`)
+      }
+    }
+
+    if (!keyFile) {
+      throw new Error('keyEncryption requires a passphrase, passphraseEnv, keyFile or keyFileEnv')
+    }
+
+    try {
+      secret = fs.readFileSync(keyFile, 'utf8').trim()
+    } catch (error) {
+      throw new Error(`Could not read key encryption key file ${keyFile}: ${error.message}`)
+    }
+  }
+
+  if (!secret) {
+    throw new Error('Key encryption secret is empty')
+  }
+
+  return secret
+}
+
+/**
+ * Replaces every `privateJwk` in a serialized keychain with an encrypted
+ * envelope (AES-256-GCM, with a scrypt-derived key). The key is derived once
+ * per call: the envelopes share its salt, each with its own IV.
+ *
+ * @param keys {Object} Serialized keychain (parsed JSON), modified in place
+ * @param secret {string}
+ *
+ * @return {Object} The keychain
+ */
+function encryptPrivateKeys (keys, secret) {
+  const deriveKey = keyDeriver(secret)
+  const salt = crypto.randomBytes(SALT_LENGTH)
+
+  forEachPrivateJwk(keys, (container, privateJwk) => {
+    if (!privateJwk.encrypted) {
+      container.privateJwk = encrypt(JSON.stringify(privateJwk), deriveKey(salt), salt)
+    }
+  })
+
+  return keys
+}
+
+/**
+ * Replaces every encrypted `privateJwk` envelope in a serialized keychain
+ * with the decrypted JWK.
+ *
+ * @param keys {Object} Serialized keychain (parsed JSON), modified in place
+ * @param secret {string}
+ *
+ * @throws {Error} If the secret is wrong, or the data has been tampered with
+ *
+ * @return {Object} The keychain
+ */
+function decryptPrivateKeys (keys, secret) {
+  const deriveKey = keyDeriver(secret)
+
+  forEachPrivateJwk(keys, (container, privateJwk) => {
+    if (privateJwk.encrypted) {
+      container.privateJwk = JSON.parse(decrypt(privateJwk, deriveKey))
+    }
+  })
+
+  return keys
+}
+
+/**
+ * @param keys {Object} Serialized keychain (parsed JSON)
+ *
+ * @return {boolean} Whether any of the private keys are encrypted
+ */
+function hasEncryptedKeys (keys) {
+  let encrypted = false
+
+  forEachPrivateJwk(keys, (container, privateJwk) => {
+    encrypted = encrypted || !!privateJwk.encrypted
+  })
+
+  return encrypted
+}
+
+function forEachPrivateJwk (object, callback) {
+  if (!object || typeof object !== 'object') {
+    return
+  }
+
+  Object.keys(object).forEach(key => {
+    if (key === 'privateJwk') {
+      callback(object, object.privateJwk)
+    } else {
+      forEachPrivateJwk(object[key], callback)
+    }
+  })
+}
+
+/**
+ * Returns a function deriving the encryption key for a salt, which runs
+ * scrypt only once per distinct salt (keys saved before the salt was shared
+ * have one salt per envelope).
+ *
+ * @param secret {string}
+ *
+ * @return {Function} `(salt: Buffer) => Buffer`
+ */
+function keyDeriver (secret) {
+  const derived = new Map()
+
+  return salt => {
+    const id = salt.toString('base64')
+
+    if (!derived.has(id)) {
+      derived.set(id, crypto.scryptSync(secret, salt, KEY_LENGTH))
+    }
+
+    return derived.get(id)
+  }
+}
+
+function encrypt (plaintext, key, salt) {
+  const iv = crypto.randomBytes(IV_LENGTH)
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv)
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+
+  return {
+    encrypted: true,
+    cipher: CIPHER,
+    kdf: KDF,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  }
+}
+
+function decrypt (envelope, deriveKey) {
+  if (envelope.cipher !== CIPHER || envelope.kdf !== KDF) {
+    throw new Error(`Unsupported key encryption: ${envelope.cipher} / ${envelope.kdf}`)
+  }
+
+  const key = deriveKey(Buffer.from(envelope.salt, 'base64'))
+
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'))
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8')
+  } catch (err) {
+    const error = new Error('Could not decrypt provider keys: the key encryption secret is wrong, or the keys have been tampered with')
+    error.cause = err
+    throw error
+  }
+}
@@ -0,0 +1,335 @@
+'use strict'
+
+const util = require('util')
+
+/**
+ * Log levels, from least to most verbose. A logger set to a given level
+ * outputs the entries of that level and of all the levels before it.
+ */
+const LEVELS = ['error', 'warn', 'info', 'debug']
+
+const DEFAULT_LEVEL = 'info'
+
+// Level of the loggers that output nothing (the default, see `from()`)
+const SILENT = 'silent'
+
+const REDACTED = '[REDACTED]'
+
+// Field names whose values are never logged
+const SECRET_FIELD = /token|password|secret|passphrase|authorization|cookie|credentials/i
+
+// Values that look like secrets regardless of the field they are in
+// (JWTs, bcrypt password hashes)
+const SECRET_VALUE = /eyJ[\w-]+\.[\w-]+\.[\w-]*|\$2[aby]?\$\d\d\$[./\w]{53}/g
+
+// Nested objects deeper than this are not logged
+const MAX_DEPTH = 5
+
+/**
+ * Structured, leveled logger. Each entry is a plain object with the `time`,
+ * `level` and `msg` properties, plus the fields bound to the logger (see
+ * `child()`) and those passed in with the message, for example:
+ *
+ *   ```
+ *   const logger = oidc.logger.child({ requestId, issuer })
+ *   logger.info('Session established', { webId })
+ *   ```
+ *
+ * Secrets (tokens, passwords and password hashes, anything under a field
+ * named like `*token*`, `*password*`, `*secret*`, `authorization`, ...) are
+ * redacted from every entry before it is written.
+ */
+class Logger {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.level='info'] {string} One of `LEVELS`, or 'silent'
+   * @param [options.fields={}] {Object} Fields included in every entry
+   * @param [options.write] {Function} Writes out a (redacted) log entry,
+   *   defaults to one JSON line per entry on stdout / stderr.
+   */
+  constructor (options = {}) {
+    this.level = options.level || DEFAULT_LEVEL
+    this.fields = options.fields || {}
+    this.write = options.write || writeJson
+  }
+
+  /**
+   * Factory method, returns the logger to use for the given config:
+   *
+   *   - an injected `logger`, which can be either a `Logger` or any object
+   *     with `error()`, `warn()`, `info()` and `debug()` methods that take
+   *     a message and a fields object (its entries are redacted too)
+   *   - the legacy `debug` function, called with the message (and the
+   *     fields, if any) of entries of all levels
+   *   - a JSON lines logger, if a `level` is configured
+   *   - otherwise, a silent logger: embedding apps only get log output they
+   *     asked for
+   *
+   * @param [options={}] {Object}
+   * @param [options.logger] {Logger|Object}
+   * @param [options.debug] {Function}
+   * @param [options.level] {string} Defaults to 'debug' for an injected
+   *   `logger` or `debug` function, and to 'silent' otherwise.
+   *
+   * @return {Logger}
+   */
+  static from (options = {}) {
+    const { logger, debug } = options
+
+    if (logger instanceof Logger) {
+      return logger
+    }
+
+    if (logger) {
+      return new Logger({
+        level: options.level || 'debug',
+        write: entry => logger[entry.level](entry.msg, fieldsOf(entry))
+      })
+    }
+
+    if (debug) {
+      return new Logger({
+        level: options.level || 'debug',
+        write: entry => {
+          const fields = fieldsOf(entry)
+
+          Object.keys(fields).length > 0
+            ? debug(entry.msg, fields)
+            : debug(entry.msg)
+        }
+      })
+    }
+
+    return new Logger({ level: options.level || SILENT })
+  }
+
+  /**
+   * @param fields {Object} Additional fields to include in every entry
+   *
+   * @return {Logger} A logger sharing this logger's level and output
+   */
+  child (fields) {
+    return new Logger({
+      level: this.level,
+      write: this.write,
+      fields: Object.assign({}, this.fields, fields)
+    })
+  }
+
+  /**
+   * @param level {string}
+   *
+   * @return {boolean} Whether entries of the given level are output
+   */
+  isLevelEnabled (level) {
+    if (this.level === SILENT) {
+      return false
+    }
+
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level)
+  }
+
+  /**
+   * @param level {string} One of `LEVELS`
+   * @param message {string}
+   * @param [fields={}] {Object}
+   */
+  log (level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return
+    }
+
+    const entry = Object.assign({
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(message))
+    }, redact(this.fields), redact(fields))
+
+    this.write(entry)
+  }
+
+  error (message, fields) {
+    this.log('error', message, fields)
+  }
+
+  warn (message, fields) {
+    this.log('warn', message, fields)
+  }
+
+  info (message, fields) {
+    this.log('info', message, fields)
+  }
+
+  debug (message, fields) {
+    this.log('debug', message, fields)
+  }
+
+  /**
+   * Adapts this logger for libraries that expect a `debug(...args)` function
+   * (such as the multi RP client). Errors among the arguments are logged in
+   * the `error` field, the other arguments are formatted into the message.
+   *
+   * @return {Function}
+   */
+  debugFunction () {
+    return (...args) => {
+      const error = args.find(arg => arg instanceof Error)
+      const message = util.format(...args.filter(arg => arg !== error))
+
+      this.debug(message.trim(), error ? { error } : {})
+    }
+  }
+}
+
+/**
+ * @param entry {Object} Log entry
+ *
+ * @return {Object} The entry fields, minus `time`, `level`, `msg` and any
+ *   undefined values
+ */
+function fieldsOf (entry) {
+  const fields = {}
+
+  for (const key of Object.keys(entry)) {
+    if (!['time', 'level', 'msg'].includes(key) && entry[key] !== undefined) {
+      fields[key] = entry[key]
+    }
+  }
+
+  return fields
+}
+
+/**
+ * Default log output, one JSON line per entry (errors and warnings to
+ * stderr, the rest to stdout).
+ *
+ * @param entry {Object}
+ */
+function writeJson (entry) {
+  const stream = LEVELS.indexOf(entry.level) <= 1 ? process.stderr : process.stdout
+
+  stream.write(JSON.stringify(entry) + '\n')
+}
+
+/**
+ * Returns a copy of the given value with secrets redacted. Errors are
+ * converted to plain objects (name, message, status code and stack).
+ *
+ * @param value {*}
+ * @param [depth=0] {number}
+ * @param [seen] {WeakSet} Guards against circular references
+ *
+ * @return {*}
+ */
+function redact (value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value)
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]'
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Object]'
+  }
+
+  seen.add(value)
+
+  if (value instanceof Error) {
+    value = errorFields(value)
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen))
+  }
+
+  const result = {}
+
+  for (const key of Object.keys(value)) {
+    result[key] = SECRET_FIELD.test(key)
+      ? REDACTED
+      : redact(value[key], depth + 1, seen)
+  }
+
+  return result
+}
+
+/**
+ * @param value {string}
+ *
+ * @return {string}
+ */
+function redactString (value) {
+  return value.replace(SECRET_VALUE, REDACTED)
+}
+
+/**
+ * @param error {Error}
+ *
+ * @return {Object}
+ */
+function errorFields (error) {
+  const fields = {
+    name: error.name,
+    message: error.message
+  }
+
+  const statusCode = error.statusCode || error.status
+  if (statusCode) {
+    fields.statusCode = statusCode
+  }
+
+  if (error.code) {
+    fields.code = error.code
+  }
+
+  fields.stack = error.stack
+
+  return fields
+}
+
+/**
+ * @param req {IncomingRequest}
+ *
+ * @return {string|undefined} Id of the request (as set by a request id
+ *   middleware, or by a proxy in the `X-Request-Id` header)
+ */
+function requestIdFor (req) {
+  if (!req) {
+    return undefined
+  }
+
+  return req.id || (req.headers && req.headers['x-request-id']) || undefined
+}
+
+/**
+ * Returns the logger to use while handling a request: a child of the
+ * OidcManager's logger (`app.locals.oidc.logger`), with the request id bound.
+ *
+ * @param req {IncomingRequest}
+ * @param [fields={}] {Object} Additional fields to bind (client_id, issuer,
+ *   webId etc)
+ *
+ * @return {Logger}
+ */
+function loggerFor (req, fields = {}) {
+  const oidc = req && req.app && req.app.locals && req.app.locals.oidc
+  const logger = (oidc && oidc.logger) || Logger.from()
+
+  return logger.child(Object.assign({ requestId: requestIdFor(req) }, fields))
+}
+
+module.exports = Logger
+module.exports.LEVELS = LEVELS
+module.exports.SILENT = SILENT
+module.exports.REDACTED = REDACTED
+module.exports.redact = redact
+module.exports.loggerFor = loggerFor
+module.exports.requestIdFor = requestIdFor
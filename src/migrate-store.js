@@ -0,0 +1,242 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const path = require('path')
+const OidcManager = require('./oidc-manager')
+const { backendFactoryFor } = require('./storage')
+const Logger = require('./logger')
+
+const PROVIDER_CONFIG_FILE = 'provider.json'
+
+module.exports = {
+  migrateStore,
+  backendsFor,
+  collectionSummary
+}
+
+/**
+ * Copies every collection of the auth stores (RP clients, OP codes / clients
+ * / tokens / refresh tokens, users and the users-by-email index, including
+ * alias user records) from one storage backend to another, as well as the
+ * serialized `provider.json` config. Once copied, each collection's record
+ * count and content hash are compared between source and destination (over
+ * the copied records only, so the destination may hold other records). The
+ * source is opened read-only.
+ *
+ * Usage:
+ *
+ *   ```
+ *   migrateStore({
+ *     from: { backend: 'file', dbPath: './db/oidc' },
+ *     to: { backend: 'sqlite', dbPath: './db/oidc-sqlite' }
+ *   })
+ *   ```
+ *
+ * @param options {Object}
+ *
+ * @param options.from {Object} Source store config
+ * @param [options.from.backend='file'] {string|Function} Backend name or
+ *   factory (see `src/storage/index.js`)
+ * @param [options.from.dbPath='./db/oidc'] {string}
+ *
+ * @param options.to {Object} Destination store config (same as `from`)
+ *
+ * @param [options.dryRun=false] {boolean} Only report what would be copied
+ *
+ * @param [options.logger] {Logger|Object} See `Logger.from()`
+ * @param [options.debug] {Function} Legacy debug function, used if no
+ *   `logger` is passed in
+ *
+ * @throws {Error} If the copied records do not match the source records
+ *   (the report is attached to the error as `error.report`)
+ *
+ * @return {Promise<Object>} Migration report
+ */
+async function migrateStore (options) {
+  const { from, to, dryRun = false } = options
+  const logger = Logger.from({ logger: options.logger, debug: options.debug })
+
+  if (!from || !to) {
+    throw new Error('Both `from` and `to` store configs are required')
+  }
+
+  const source = backendsFor(from, { readOnly: true })
+  const target = dryRun ? null : backendsFor(to)
+
+  const report = { dryRun, collections: [], providerConfig: null }
+
+  try {
+    if (target) {
+      Object.values(target).forEach(backend => backend.initCollections())
+    }
+
+    for (const name of Object.keys(OidcManager.STORES)) {
+      for (const collection of OidcManager.STORES[name].collections) {
+        const entry = await migrateCollection(source[name], target && target[name], collection)
+        entry.store = name
+
+        logger.info(`${dryRun ? '[dry run] ' : ''}${name}/${collection}: ${entry.count} records`, {
+          store: name,
+          collection,
+          count: entry.count
+        })
+        report.collections.push(entry)
+      }
+    }
+
+    report.providerConfig = migrateProviderConfig(from, to, dryRun)
+  } finally {
+    closeAll(source)
+    closeAll(target)
+  }
+
+  const failed = report.collections.filter(entry => entry.verified === false)
+
+  if (failed.length) {
+    const names = failed.map(entry => `${entry.store}/${entry.collection}`)
+    const error = new Error(`Migration verification failed for: ${names.join(', ')}`)
+    error.report = report
+    throw error
+  }
+
+  return report
+}
+
+/**
+ * Constructs a backend instance for each of the collection stores.
+ *
+ * @param config {Object}
+ * @param [config.backend='file'] {string|Function}
+ * @param [config.dbPath='./db/oidc'] {string}
+ *
+ * @param [options={}] {Object}
+ * @param [options.readOnly=false] {boolean} Only read from the stores (see
+ *   `src/storage/index.js`)
+ *
+ * @return {Object} Hashmap of backends, keyed by store name
+ */
+function backendsFor (config, options = {}) {
+  const factory = backendFactoryFor(config.backend)
+  const dbPath = config.dbPath || OidcManager.DEFAULT_DB_PATH
+  const storePaths = OidcManager.storePathsFrom(dbPath)
+  const backends = {}
+
+  for (const name of Object.keys(OidcManager.STORES)) {
+    const store = OidcManager.STORES[name]
+
+    backends[name] = factory({
+      name,
+      path: storePaths[store.storePath],
+      dbPath,
+      collections: store.collections,
+      readOnly: !!options.readOnly
+    })
+  }
+
+  return backends
+}
+
+/**
+ * Computes the record count and a content hash of a collection (the hash
+ * covers keys and values, in key order).
+ *
+ * @param backend {Object}
+ * @param collection {string}
+ * @param [keys] {Array<string>} Only summarize these keys (missing ones are
+ *   not counted), instead of the whole collection
+ *
+ * @return {Promise<Object>} `{ count, hash, records }`
+ */
+async function collectionSummary (backend, collection, keys) {
+  keys = (keys || await backend.list(collection)).slice().sort()
+  const hash = crypto.createHash('sha256')
+  const records = []
+
+  for (const key of keys) {
+    const data = await backend.get(collection, key)
+
+    if (data === null) {
+      continue
+    }
+
+    hash.update(key + '\n' + JSON.stringify(data) + '\n')
+    records.push({ key, data })
+  }
+
+  return { count: records.length, hash: hash.digest('hex'), records }
+}
+
+/**
+ * @param source {Object} Source backend
+ * @param target {Object|null} Destination backend (`null` on a dry run)
+ * @param collection {string}
+ *
+ * @return {Promise<Object>} Report entry for the collection
+ */
+async function migrateCollection (source, target, collection) {
+  const { count, hash, records } = await collectionSummary(source, collection)
+  const entry = { collection, count, hash }
+
+  if (!target) {
+    entry.verified = null
+    return entry
+  }
+
+  for (const { key, data } of records) {
+    await target.put(collection, key, data)
+  }
+
+  // Only the copied keys, as the target may hold other records already
+  const copied = await collectionSummary(target, collection, records.map(record => record.key))
+
+  entry.verified = copied.count === count && copied.hash === hash
+
+  return entry
+}
+
+/**
+ * Copies the serialized provider config (`op/provider.json`), if present.
+ *
+ * @param from {Object}
+ * @param to {Object}
+ * @param dryRun {boolean}
+ *
+ * @return {string} One of 'missing', 'unchanged', 'copied' or 'would copy'
+ */
+function migrateProviderConfig (from, to, dryRun) {
+  const sourcePath = providerConfigPathFor(from)
+  const targetPath = providerConfigPathFor(to)
+
+  if (!fs.existsSync(sourcePath)) {
+    return 'missing'
+  }
+
+  if (sourcePath === targetPath) {
+    return 'unchanged'
+  }
+
+  if (dryRun) {
+    return 'would copy'
+  }
+
+  fs.copySync(sourcePath, targetPath)
+
+  return 'copied'
+}
+
+function providerConfigPathFor (config) {
+  const storePaths = OidcManager.storePathsFrom(config.dbPath)
+
+  return path.join(storePaths.providerStore, PROVIDER_CONFIG_FILE)
+}
+
+function closeAll (backends) {
+  if (!backends) { return }
+
+  Object.values(backends).forEach(backend => {
+    if (backend.close) {
+      backend.close()
+    }
+  })
+}
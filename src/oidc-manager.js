@@ -1,21 +1,99 @@
 'use strict'
 
+const EventEmitter = require('events')
 const fs = require('fs-extra')
 const path = require('path')
 const { URL } = require('whatwg-url')
 const validUrl = require('valid-url')
 const ResourceAuthenticator = require('@solid/oidc-rs')
-const KVPFileStore = require('kvplus-files')
 const MultiRpClient = require('@solid/solid-multi-rp-client')
 const OIDCProvider = require('@solid/oidc-op')
 const UserStore = require('./user-store')
+const { backendFactoryFor } = require('./storage')
+const configSchema = require('./config-schema')
+const { EVENTS, emitEvent } = require('./events')
+const Logger = require('./logger')
+const DiscoveryCache = require('./discovery-cache')
+const OutboundPolicy = require('./outbound-policy')
+const IssuerPolicy = require('./issuer-policy')
+const AudiencePolicy = require('./audience-policy')
+const DpopVerifier = require('./dpop-verifier')
+const { BackendReplayCache } = require('./replay-cache')
+const DpopError = require('./errors/dpop-error')
 
 const HostAPI = require('./host-api')
-const { discoverProviderFor } = require('./preferred-provider')
+const {
+  discoverProvidersFor,
+  fetchClientIdDocument,
+  fetchProviderMetadata
+} = require('./preferred-provider')
+const ProviderMetadata = require('./provider-metadata')
+const ClientIdDocument = require('./client-id-document')
+const { issuersMatch } = require('./issuer')
+const { isSubdomainOf, isPublicSuffix } = require('./domains')
+const {
+  secretFrom,
+  encryptPrivateKeys,
+  decryptPrivateKeys,
+  hasEncryptedKeys
+} = require('./key-encryption')
 
 const DEFAULT_DB_PATH = './db/oidc'
 
-class OidcManager {
+// Default time (in ms) during which previous signing keys stay published
+// after a rotation. Matches the default max age of tokens issued by the OP.
+const DEFAULT_KEY_ROTATION_OVERLAP = 1209600 * 1000
+
+// Collection of the op store with the seen DPoP proofs (see `initReplayCache()`)
+const REPLAY_COLLECTION = 'dpop-proofs'
+
+// Access tokens accepted by the resource server (see `initRs()`)
+const DEFAULT_TOKEN_TYPES = ['legacyPop', 'dpop']
+
+// How many subdomain levels below its host an issuer owns Web IDs
+// (alice.example.com for https://example.com)
+const DEFAULT_WEBID_SUBDOMAIN_DEPTH = 1
+
+// Collection (created in every store, apart from the data collections) of
+// the probe records written by `status()`
+const HEALTH_COLLECTION = 'health-checks'
+
+// Key of the probe records written by `status()`
+const HEALTH_CHECK_KEY = 'probe'
+
+// Time (in ms) during which `status()` reuses the last storage check
+const HEALTH_CHECK_INTERVAL = 5000
+
+// Default retry-with-backoff settings for registering the local RP client
+const DEFAULT_LOCAL_RP_RETRY = {
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 30000
+}
+
+// Maximum delay supported by setTimeout()
+const MAX_TIMER_DELAY = 2147483647
+
+// Delay (in ms) before retrying a failed key retirement
+const KEY_RETIREMENT_RETRY_DELAY = 60 * 1000
+
+// Mode of the provider config files, which hold the private keys
+const PRIVATE_FILE_MODE = 0o600
+
+// Collection stores, keyed by store name (see `storePathsFrom()`)
+const STORES = {
+  rp: { storePath: 'multiRpStore', collections: ['clients'] },
+  op: {
+    storePath: 'providerStore',
+    collections: ['codes', 'clients', 'tokens', 'refresh', REPLAY_COLLECTION]
+  },
+  users: { storePath: 'userStore', collections: UserStore.COLLECTIONS }
+}
+
+/**
+ * Emits the lifecycle events listed in `events.js`.
+ */
+class OidcManager extends EventEmitter {
   /**
    * @constructor
    * @param options {Object} Options hashmap object
@@ -25,6 +103,10 @@ class OidcManager {
    * @param [options.storePaths.providerStore] {string}
    * @param [options.storePaths.userStore] {string}
    *
+   * @param [options.dbPath] {string}
+   * @param [options.backendFactory] {Function} Storage backend factory,
+   *   see `src/storage/index.js` for the backend contract.
+   *
    * Config for OIDCProvider:
    * @param [options.serverUri] {string} URI of this peer node, will be used
    *   as both the Provider URI (`iss`) and the ResourceServer URI.
@@ -41,13 +123,54 @@ class OidcManager {
    * Config for UserStore:
    * @param [options.saltRounds] {number} Number of bcrypt password salt rounds
    *
-   * @param [options.debug] {Function} Debug function (defaults to console.log)
+   * @param [options.logger] {Logger|Object} Logger, see `Logger.from()`
+   * @param [options.logLevel] {string}
+   * @param [options.debug] {Function} Legacy debug function, used if no
+   *   `logger` is passed in
+   *
+   * @param [options.delayBeforeRegisteringInitialClient] {number} Deprecated,
+   *   see `from()`.
+   *
+   * @param [options.keyRotationOverlap] {number} Number of milliseconds that
+   *   previous signing keys stay published after `rotateProviderKeys()`.
+   *
+   * @param [options.keyEncryption] {Object} Config for encrypting the private
+   *   keys in `provider.json`, see `key-encryption.js` `secretFrom()`.
+   *
+   * @param [options.localRpRetry] {Object} Retry settings for registering
+   *   the local RP client, see `from()`.
+   *
+   * @param [options.discoveryCache] {DiscoveryCache|null} Cache of Web ID
+   *   preferred provider discovery results (`null` to disable caching)
+   *
+   * @param [options.discovery] {Object} Limits of the provider discovery
+   *   requests, see `from()`
+   *
+   * @param [options.outboundPolicy] {OutboundPolicy} Policy for the discovery
+   *   requests made on behalf of users
+   *
+   * @param [options.issuerPolicy] {IssuerPolicy} Identity providers whose
+   *   tokens the resource server accepts
+   *
+   * @param [options.audiencePolicy] {AudiencePolicy} Token audiences the
+   *   resource server accepts
    *
-   * @param [options.delayBeforeRegisteringInitialClient] {number} Number of
-   *   milliseconds to delay before initializing a local RP client.
+   * @param [options.webIdSubdomainDepth=1] {number} See `from()`
+   *
+   * @param [options.tokenTypesSupported] {Array<string>} See `from()`
+   *
+   * @param [options.dpop] {Object} DpopVerifier options, see `from()`
+   *
+   * @param [options.dpopVerifier] {DpopVerifier} Checks of the DPoP proofs
+   *   the resource server accepts. Built from the `dpop` options by
+   *   `initRs()`, if not passed in.
    */
   constructor (options) {
+    super()
+
     this.storePaths = options.storePaths
+    this.dbPath = options.dbPath
+    this.backendFactory = options.backendFactory || backendFactoryFor('file')
 
     this.providerUri = options.serverUri
     this.serverUri = options.serverUri
@@ -64,8 +187,48 @@ class OidcManager {
     this.provider = null
     this.users = null
 
-    this.debug = options.debug || console.log.bind(console)
-    this.delayBeforeRegisteringInitialClient = options.delayBeforeRegisteringInitialClient
+    this.keychainLoaded = false
+    this.lastError = null
+    this.storageCheck = null
+
+    this.logger = Logger.from({
+      logger: options.logger,
+      debug: options.debug,
+      level: options.logLevel
+    })
+    // For libraries that expect a debug function (MultiRpClient)
+    this.debug = this.logger.debugFunction()
+    this.keyRotationOverlap = options.keyRotationOverlap || DEFAULT_KEY_ROTATION_OVERLAP
+    this.keyRetirementTimer = null
+    this.keyEncryption = options.keyEncryption
+
+    this.localRpRetry = Object.assign({}, DEFAULT_LOCAL_RP_RETRY, options.localRpRetry)
+    if (options.delayBeforeRegisteringInitialClient !== undefined &&
+        !(options.localRpRetry && options.localRpRetry.initialDelay !== undefined)) {
+      this.logger.warn('delayBeforeRegisteringInitialClient is deprecated, use localRpRetry.initialDelay')
+      this.localRpRetry.initialDelay = options.delayBeforeRegisteringInitialClient
+    }
+    this.localRpAttempts = 0
+    this.localRpRegistration = null
+    this.localRpRetryTimer = null
+
+    this.discoveryCache = options.discoveryCache === undefined
+      ? new DiscoveryCache()
+      : options.discoveryCache
+    this.discovery = options.discovery || {}
+    this.outboundPolicy = options.outboundPolicy || new OutboundPolicy({
+      trustedOrigins: this.serverUri ? [this.serverUri] : []
+    })
+    this.issuerPolicy = options.issuerPolicy || new IssuerPolicy()
+    this.audiencePolicy = options.audiencePolicy ||
+      new AudiencePolicy({ serverUri: this.serverUri })
+    this.webIdSubdomainDepth = options.webIdSubdomainDepth !== undefined
+      ? options.webIdSubdomainDepth
+      : DEFAULT_WEBID_SUBDOMAIN_DEPTH
+    this.tokenTypesSupported = options.tokenTypesSupported || DEFAULT_TOKEN_TYPES
+    this.dpop = options.dpop || {}
+    this.dpopVerifier = options.dpopVerifier || null
+    this.replayCache = null
   }
 
   /**
@@ -73,11 +236,25 @@ class OidcManager {
    *
    * @param config {Object} Options hashmap object
    *
-   * @param [options.debug] {Function} Debug function (defaults to console.log)
+   * @param [config.logger] {Logger|Object} Structured logger, either a
+   *   `Logger` instance or an object with `error()`, `warn()`, `info()` and
+   *   `debug()` methods (taking a message and a fields object). If neither
+   *   a `logger`, `debug` function nor `logLevel` is configured, nothing is
+   *   logged.
+   * @param [config.logLevel] {string} One of 'error', 'warn', 'info' or
+   *   'debug'. Without a `logger` or `debug` function, logs JSON lines of
+   *   that level to stdout / stderr.
+   * @param [config.debug] {Function} Legacy debug function, receives all log
+   *   messages if no `logger` is configured
    *
    * @param [config.dbPath='./db/oidc'] {string} Folder in which to store the
    *   auth-related collection stores (users, clients, tokens).
    *
+   * @param [config.backend='file'] {string|Function} Storage backend for the
+   *   collection stores. Either 'file', 'memory', 'sqlite' (a single
+   *   `oidc.sqlite` database file in `dbPath`), or a custom backend factory
+   *   function (see `src/storage/index.js`).
+   *
    * Config for OIDCProvider:
    * @param config.serverUri {string} URI of the OpenID Connect Provider
    * @param [config.host] {Object} Injected host behavior object,
@@ -90,13 +267,136 @@ class OidcManager {
    * Config for UserStore:
    * @param [config.saltRounds] {number} Number of bcrypt password salt rounds
    *
-   * @param [config.delayBeforeRegisteringInitialClient] {number} Number of
-   *   milliseconds to delay before initializing a local RP client.
+   * @param [config.delayBeforeRegisteringInitialClient] {number} Deprecated,
+   *   registration no longer waits before the first attempt. Used as the
+   *   `localRpRetry.initialDelay`, if that is not set.
+   *
+   * @param [config.keyRotationOverlap] {number} Number of milliseconds that
+   *   previous signing keys stay published after a key rotation (defaults to
+   *   the max age of issued tokens, 14 days).
+   *
+   * @param [config.keyEncryption] {Object} If set, the provider's private keys
+   *   are encrypted (AES-256-GCM) when saved to `provider.json`.
+   * @param [config.keyEncryption.passphrase] {string}
+   * @param [config.keyEncryption.passphraseEnv] {string} Name of the env
+   *   variable holding the passphrase
+   * @param [config.keyEncryption.keyFile] {string} Path to a secret key file
+   * @param [config.keyEncryption.keyFileEnv] {string} Name of the env
+   *   variable holding the key file path
+   *
+   * @param [config.localRpRetry] {Object} Retry-with-exponential-backoff
+   *   settings for registering the local RP client, if the attempt made by
+   *   `initialize()` fails. Retries are made in the background (and on first
+   *   use, by `localRpClient()`).
+   * @param [config.localRpRetry.maxAttempts=5] {number} Attempts made with
+   *   growing delays. After that, registration keeps being retried every
+   *   `maxDelay` ms.
+   * @param [config.localRpRetry.initialDelay=1000] {number} Delay (in ms)
+   *   after the first failed attempt, doubled after each further failure
+   * @param [config.localRpRetry.maxDelay=30000] {number} Maximum delay (in ms)
+   *   between attempts
+   *
+   * @param [config.discoveryCache] {Object|boolean} Settings of the cache of
+   *   Web ID preferred provider discovery results used by `webIdFromClaims()`
+   *   (see `DiscoveryCache`), or `false` to disable caching. Results expire
+   *   according to the `Cache-Control` headers of the Web ID responses.
+   *   Use `oidc.discoveryCache.invalidate(webId)` to drop a cached result.
+   * @param [config.discoveryCache.maxEntries=1000] {number}
+   * @param [config.discoveryCache.ttl=300000] {number} Time to live (in ms)
+   *   of results whose responses had no `Cache-Control` max-age
+   * @param [config.discoveryCache.maxTtl=86400000] {number}
+   * @param [config.discoveryCache.negativeTtl=60000] {number} Time to live
+   *   (in ms) of failed discoveries
+   *
+   * @param [config.discovery] {Object} Limits of the requests made to discover
+   *   the preferred provider of a Web ID (failures are reported as
+   *   `DiscoveryError`s with distinct codes, see `preferred-provider.js`).
+   * @param [config.discovery.timeout=10000] {number} Timeout (in ms) of each
+   *   request, including reading the response
+   * @param [config.discovery.maxSize=1048576] {number} Max size (in bytes)
+   *   of a Web ID profile
+   * @param [config.discovery.maxRedirects=5] {number}
+   * @param [config.discovery.profileParsers] {Object} Web ID profile parsers
+   *   by media type, added to (or, if `null`, removing) the default Turtle,
+   *   JSON-LD, RDF/XML and RDFa ones, see `DEFAULT_PROFILE_PARSERS`
+   *
+   * @param [config.outboundPolicy] {Object} Server-side request forgery
+   *   protection for all discovery requests (Web IDs entered by users, token
+   *   issuers etc), see `OutboundPolicy`. Note that by default, plain http
+   *   and private network hosts are refused (a change from the versions
+   *   without this policy): deployments discovering other servers on
+   *   localhost or an intranet need `requireHttps: false` and / or
+   *   `allowPrivateNetworks: true`. Requests to the serverUri origin are
+   *   always allowed.
+   * @param [config.outboundPolicy.requireHttps] {boolean} Defaults to `true`
+   *   unless `NODE_ENV` is 'development'
+   * @param [config.outboundPolicy.allowPrivateNetworks=false] {boolean}
+   *   Allow requests to hosts that resolve to loopback, private or link-local
+   *   addresses
+   * @param [config.outboundPolicy.allowHosts] {Array<string>} If set, only
+   *   these hosts (or `*.domain` wildcards) can be requested
+   * @param [config.outboundPolicy.denyHosts] {Array<string>}
+   * @param [config.outboundPolicy.resolve] {Function} DNS resolver hook,
+   *   `async hostname => [address]`
+   * @param [config.outboundPolicy.trustedOrigins] {Array<string>} Origins
+   *   exempt from the policy, in addition to the serverUri's
+   *
+   * @param [config.issuerPolicy] {Object} Identity providers whose tokens
+   *   are accepted, enforced by the resource server and `webIdFromClaims()`
+   *   (refused tokens get a 403 `UntrustedIssuerError`). This server's own
+   *   provider is always trusted, unless denied. See `IssuerPolicy`.
+   * @param [config.issuerPolicy.allow] {Array<string>} Allowed issuers (all,
+   *   if empty)
+   * @param [config.issuerPolicy.deny] {Array<string>} Refused issuers
+   * @param [config.issuerPolicy.predicate] {Function} `async (issuer,
+   *   { webId }) => boolean`
+   *
+   * @param [config.audiencePolicy] {Object} Token audiences accepted by the
+   *   resource server, see `AudiencePolicy`. Defaults to the serverUri and its
+   *   immediate subdomains.
+   * @param [config.audiencePolicy.audiences] {Array<string>} Accepted
+   *   audiences (`https://example.com`), wildcard patterns
+   *   (`https://*.example.com`) or path prefixes
+   *   (`https://proxy.example.com/pods`). Replaces the serverUri default.
+   * @param [config.audiencePolicy.subdomainDepth=1] {number} Subdomain
+   *   levels matched under each (non wildcard) audience
+   * @param [config.audiencePolicy.callback] {Function} `(aud, req) =>
+   *   boolean`, for audiences the list does not accept
+   *
+   * @param [config.webIdSubdomainDepth=1] {number} How many subdomain levels
+   *   below its own host an issuer owns Web IDs, without them having to list
+   *   it as their `solid:oidcIssuer` (see `domainMatches()`)
+   *
+   * @param [config.tokenTypesSupported=['legacyPop', 'dpop']] {Array<string>}
+   *   Access tokens accepted by the resource server: `'dpop'` (DPoP-bound),
+   *   `'legacyPop'` (Bearer, including the legacy PoP tokens)
+   *
+   * @param [config.dpop] {Object} Checks of the DPoP proofs (see
+   *   `DpopVerifier`)
+   * @param [config.dpop.clockSkew=60000] {number} Allowed clock skew (in ms)
+   *   of the proof `iat`
+   * @param [config.dpop.maxAge=300000] {number} Max age (in ms) of a proof
+   * @param [config.dpop.requireAth=false] {boolean} Whether proofs must have
+   *   the access token hash
+   * @param [config.dpop.trustForwardedHeaders=false] {boolean} Whether to
+   *   check the proof `htu` against the request uri described by the
+   *   `Forwarded` / `X-Forwarded-*` headers (behind a proxy that sets them)
+   * @param [config.dpop.replayCache] {Object|false} Record of the seen proof
+   *   `jti`s, an object with an `async add(jti, expiresAt) => isNew` method,
+   *   or `false` to allow replays. Defaults to a `BackendReplayCache`, in the
+   *   'dpop-proofs' collection of the provider's storage backend (shared by
+   *   the processes using the same backend).
+   *
+   * @throws {InvalidConfigError} Listing every problem found with the config
    *
    * @return {OidcManager}
    */
   static from (config) {
+    OidcManager.validateConfig(config)
+
     const options = {
+      logger: config.logger,
+      logLevel: config.logLevel,
       debug: config.debug,
       providerUri: config.serverUri || config.providerUri,
       serverUri: config.serverUri || config.providerUri,
@@ -105,6 +405,28 @@ class OidcManager {
       postLogoutUri: config.postLogoutUri,
       saltRounds: config.saltRounds,
       delayBeforeRegisteringInitialClient: config.delayBeforeRegisteringInitialClient,
+      keyRotationOverlap: config.keyRotationOverlap,
+      keyEncryption: config.keyEncryption,
+      localRpRetry: config.localRpRetry,
+      discoveryCache: config.discoveryCache === false
+        ? null
+        : new DiscoveryCache(config.discoveryCache),
+      discovery: config.discovery,
+      outboundPolicy: new OutboundPolicy(Object.assign({}, config.outboundPolicy, {
+        trustedOrigins: [config.serverUri || config.providerUri].filter(Boolean)
+          .concat((config.outboundPolicy && config.outboundPolicy.trustedOrigins) || [])
+      })),
+      issuerPolicy: new IssuerPolicy(Object.assign({
+        trusted: [config.serverUri || config.providerUri]
+      }, config.issuerPolicy)),
+      webIdSubdomainDepth: config.webIdSubdomainDepth,
+      tokenTypesSupported: config.tokenTypesSupported,
+      dpop: config.dpop,
+      audiencePolicy: new AudiencePolicy(Object.assign({
+        serverUri: config.serverUri || config.providerUri
+      }, config.audiencePolicy)),
+      dbPath: config.dbPath || DEFAULT_DB_PATH,
+      backendFactory: backendFactoryFor(config.backend),
       storePaths: OidcManager.storePathsFrom(config.dbPath)
     }
     const oidc = new OidcManager(options)
@@ -112,9 +434,9 @@ class OidcManager {
     oidc.validate()
 
     oidc.initMultiRpClient()
-    oidc.initRs()
     oidc.initUserStore()
     oidc.initProvider()
+    oidc.initRs() // Its replay cache uses the provider's backend
 
     return oidc
   }
@@ -133,6 +455,38 @@ class OidcManager {
     }
   }
 
+  /**
+   * Creates a storage backend for one of the collection stores, using the
+   * configured backend factory.
+   *
+   * @param name {string} Store name, one of 'rp', 'op' or 'users'
+   *
+   * @return {Object} Storage backend instance
+   */
+  backendFor (name) {
+    const store = STORES[name]
+
+    return this.backendFactory({
+      name,
+      path: this.storePaths[store.storePath],
+      dbPath: this.dbPath,
+      collections: store.collections.concat(HEALTH_COLLECTION)
+    })
+  }
+
+  /**
+   * Validates a config object (as passed to `from()`) against the config
+   * JSON Schema (see `config-schema.js`). Usable on its own, for example for
+   * deployment checks.
+   *
+   * @param config {Object}
+   *
+   * @throws {InvalidConfigError} Listing every problem found with the config
+   */
+  static validateConfig (config) {
+    configSchema.validateConfig(config)
+  }
+
   validate () {
     if (!this.serverUri) {
       throw new Error('serverUri is required')
@@ -163,23 +517,113 @@ class OidcManager {
       .then(() => {
         this.saveProviderConfig()
 
-        // Use-case: if solid server is deployed behind a load-balancer
-        // (e.g. F5, Nginx) there may be a delay between
-        // when the server starting up and the load balancer detected that it's
-        // up, which would cause failures when the
-        // solid server is trying to register an **its own local** initial
-        // RP client (i.e. the it won't see itself and
-        // we'll get an ECONNRESET error!).
-        if (this.delayBeforeRegisteringInitialClient) {
-          this.debug(`Sleeping for ${this.delayBeforeRegisteringInitialClient} milliseconds`)
-          return new Promise(resolve =>
-            setTimeout(resolve, this.delayBeforeRegisteringInitialClient))
-        } else {
-          this.debug('Not sleeping before client registration...')
+        return this.initLocalRpClient()
+      })
+      .then(() => {
+        emitEvent(this, EVENTS.INITIALIZED, { localRp: !!this.localRp })
+      })
+      .catch(error => this.recordError(error))
+  }
+
+  /**
+   * Records an operational error (for reporting by `status()`), and logs it.
+   *
+   * @param error {Error}
+   * @param [message] {string} Context for the log entry
+   */
+  recordError (error, message) {
+    this.lastError = {
+      message: error.message,
+      timestamp: new Date().toISOString()
+    }
+
+    this.logger.error(message || error.message, { error })
+  }
+
+  /**
+   * Reports the readiness of the auth stack: whether each of the stores can
+   * be written to, whether the provider keychain has been loaded and the
+   * local RP client registered, and the last recorded error.
+   *
+   * The storage check is reused for `HEALTH_CHECK_INTERVAL` ms, so that
+   * frequent (unauthenticated) health requests do not each write to storage.
+   *
+   * @return {Promise<Object>} Resolves to a status object, with `ready` set
+   *   to `true` only if every check passes
+   */
+  status () {
+    const now = Date.now()
+
+    if (!this.storageCheck || now - this.storageCheck.checkedAt >= HEALTH_CHECK_INTERVAL) {
+      this.storageCheck = { checkedAt: now, result: this.checkStorage() }
+    }
+
+    return this.storageCheck.result
+      .then(storage => {
+        const status = {
+          storage,
+          keychain: { loaded: this.keychainLoaded },
+          localRp: { registered: !!this.localRp },
+          lastError: this.lastError
         }
+
+        status.ready = Object.keys(storage).every(name => storage[name].writable) &&
+          status.keychain.loaded && status.localRp.registered
+
+        return status
       })
-      .then(() => this.initLocalRpClient())
-      .catch(this.debug)
+  }
+
+  /**
+   * Checks whether each of the stores can be written to.
+   *
+   * @return {Promise<Object>} Resolves to `{ writable, [error] }` results,
+   *   keyed by store name
+   */
+  checkStorage () {
+    return Promise.resolve()
+      .then(() => {
+        const backends = {
+          rp: this.clients.store.backend,
+          op: this.provider.backend,
+          users: this.users.backend
+        }
+
+        return Promise.all(
+          Object.keys(backends).map(name => {
+            return this.checkStoreWritable(backends[name])
+              .then(result => [name, result])
+          })
+        )
+      })
+      .then(results => {
+        const storage = {}
+        results.forEach(([name, result]) => { storage[name] = result })
+
+        return storage
+      })
+  }
+
+  /**
+   * Writes (and then deletes) a probe record in the store's dedicated health
+   * check collection, which holds no other records.
+   *
+   * @param backend {Object} Storage backend
+   *
+   * @return {Promise<Object>} `{ writable, [error] }`
+   */
+  checkStoreWritable (backend) {
+    // The RP client store replaces the backend's `serialize` hook with one
+    // that calls `serialize()` on the stored value, so provide one
+    const probe = {
+      checkedAt: Date.now(),
+      serialize () { return JSON.stringify({ checkedAt: this.checkedAt }) }
+    }
+
+    return backend.put(HEALTH_COLLECTION, HEALTH_CHECK_KEY, probe)
+      .then(() => backend.del(HEALTH_COLLECTION, HEALTH_CHECK_KEY))
+      .then(() => ({ writable: true }))
+      .catch(error => ({ writable: false, error: error.message }))
   }
 
   /**
@@ -194,18 +638,158 @@ class OidcManager {
   }
 
   initProviderKeychain () {
-    if (this.provider.keys) {
-      this.debug('Provider keys loaded from config')
+    const generated = !this.provider.keys
+
+    if (generated) {
+      this.logger.info('No provider keys found, generating fresh ones')
     } else {
-      this.debug('No provider keys found, generating fresh ones')
+      this.logger.debug('Provider keys loaded from config')
     }
 
     return this.provider.initializeKeyChain(this.provider.keys)
       .then(keys => {
-        this.debug('Provider keychain initialized')
+        this.logger.info('Provider keychain initialized')
+
+        this.keychainLoaded = true
+
+        if (generated) {
+          emitEvent(this, EVENTS.KEYCHAIN_GENERATED)
+        }
+
+        this.retireProviderKeys()
+      })
+  }
+
+  /**
+   * Generates a new set of provider signing keys and switches signing over to
+   * them. The previous public keys stay published in the JWK Set for the
+   * overlap window (so that tokens signed with them can still be verified),
+   * and are retired after that. The resulting keychain is persisted via
+   * `saveProviderConfig()`.
+   *
+   * @param [options={}] {Object}
+   * @param [options.overlap] {number} Number of milliseconds to keep
+   *   publishing the previous keys (defaults to `keyRotationOverlap`)
+   *
+   * @return {Promise<Object>} Resolves to the published JWK Set
+   */
+  rotateProviderKeys (options = {}) {
+    const overlap = options.overlap !== undefined
+      ? options.overlap
+      : this.keyRotationOverlap
+    let keys, retireAt, retiring
+
+    return Promise.resolve()
+      .then(() => {
+        keys = this.provider.keys
+
+        retireAt = Date.now() + overlap
+        retiring = (keys.retiring || []).concat({
+          retireAt,
+          keys: keys.jwks.keys
+        })
+
+        this.logger.info('Rotating provider keys')
+
+        return keys.rotate()
+      })
+      .then(() => {
+        keys.retiring = retiring
+
+        this.publishProviderKeys()
+        this.saveProviderConfig()
+        this.scheduleKeyRetirement()
+
+        this.logger.info('Provider keys rotated', {
+          retireAt: new Date(retireAt).toISOString()
+        })
+        emitEvent(this, EVENTS.KEYCHAIN_ROTATED, { retireAt })
+
+        return JSON.parse(keys.jwkSet)
       })
   }
 
+  /**
+   * Removes previous signing keys whose overlap window has ended from the
+   * published JWK Set (persisting the change, if any were removed), and
+   * schedules the next retirement.
+   *
+   * @param [now=Date.now()] {number}
+   *
+   * @throws {Error} If the config could not be saved (the keys are then left
+   *   published)
+   *
+   * @return {number} Number of retired key sets
+   */
+  retireProviderKeys (now = Date.now()) {
+    const keys = this.provider.keys
+    const retiring = keys.retiring || []
+    const remaining = retiring.filter(entry => entry.retireAt > now)
+    const retiredCount = retiring.length - remaining.length
+
+    if (retiredCount > 0) {
+      keys.retiring = remaining
+      this.publishProviderKeys()
+
+      try {
+        this.saveProviderConfig()
+      } catch (error) {
+        keys.retiring = retiring
+        this.publishProviderKeys()
+        throw error
+      }
+
+      this.logger.info(`Retired ${retiredCount} previous provider key set(s)`)
+    }
+
+    this.scheduleKeyRetirement()
+
+    return retiredCount
+  }
+
+  /**
+   * Updates the JWK Set served by the provider's jwks endpoint to contain the
+   * current public keys, plus any previous keys that are not yet retired.
+   */
+  publishProviderKeys () {
+    const keys = this.provider.keys
+    const previous = (keys.retiring || [])
+      .reduce((all, entry) => all.concat(entry.keys), [])
+
+    keys.jwkSet = JSON.stringify({ keys: keys.jwks.keys.concat(previous) })
+  }
+
+  /**
+   * Sets up a (non-blocking) timer to retire the next set of previous keys
+   * once its overlap window ends. Failures (to save the config, for example)
+   * are recorded, and the retirement retried later.
+   *
+   * @param [minDelay=0] {number} Minimum delay (in ms) before the retirement
+   */
+  scheduleKeyRetirement (minDelay = 0) {
+    clearTimeout(this.keyRetirementTimer)
+    this.keyRetirementTimer = null
+
+    const retiring = this.provider.keys.retiring || []
+
+    if (!retiring.length) {
+      return
+    }
+
+    const nextRetireAt = Math.min(...retiring.map(entry => entry.retireAt))
+    const delay = Math.min(Math.max(nextRetireAt - Date.now(), minDelay), MAX_TIMER_DELAY)
+
+    this.keyRetirementTimer = setTimeout(() => {
+      Promise.resolve()
+        .then(() => this.retireProviderKeys())
+        .catch(error => {
+          this.recordError(error, 'Error retiring provider keys')
+          this.scheduleKeyRetirement(KEY_RETIREMENT_RETRY_DELAY)
+        })
+    }, delay)
+    this.keyRetirementTimer.unref()
+  }
+
   /**
    * Initializes the local Relying Party client (registered to this instance's
    * Provider). This acts as a cache warm up (proactively registers or loads
@@ -214,20 +798,149 @@ class OidcManager {
    * to store the local RP client for use by the User
    * Consent screen and other components.
    *
-   * @return {Promise<RelyingParty>}
+   * Use-case for retries: if the server is deployed behind a load balancer
+   * (e.g. F5, Nginx), it may not be reachable at its own serverUri until the
+   * load balancer has detected that it is up (the first registration
+   * attempts then fail with ECONNRESET). So if the first attempt fails, it is
+   * retried in the background with exponential backoff (see the
+   * `localRpRetry` config), without holding up `initialize()`.
+   *
+   * Emits the 'localRp:attempt', 'localRp:registered' and 'localRp:failed'
+   * events.
+   *
+   * @return {Promise<RelyingParty|undefined>} Resolves to `undefined` if the
+   *   first attempt failed
    */
   initLocalRpClient () {
-    return this.clients.clientForIssuer(this.serverUri)
+    return this.registerLocalRpClient()
+      .catch(() => {
+        this.scheduleLocalRpRetry(1)
+      })
+  }
+
+  /**
+   * Returns the local RP client, registering it first if that has not
+   * succeeded yet (for example, while the background retries are pending).
+   * Use this rather than the `localRp` property, which is only set once
+   * registration has succeeded.
+   *
+   * @return {Promise<RelyingParty>}
+   */
+  localRpClient () {
+    if (this.localRp) {
+      return Promise.resolve(this.localRp)
+    }
+
+    return this.registerLocalRpClient()
+  }
+
+  /**
+   * Returns the RP client registered with an issuer: the local RP client
+   * (see `localRpClient()`) for this server's own provider.
+   *
+   * @param issuer {string}
+   *
+   * @return {Promise<RelyingParty>}
+   */
+  clientForIssuer (issuer) {
+    if (issuersMatch(issuer, this.serverUri)) {
+      return this.localRpClient()
+    }
+
+    return this.clients.clientForIssuer(issuer)
+  }
+
+  /**
+   * @param issuer {string}
+   * @param session {Session}
+   *
+   * @return {Promise<string>} Authorization url of the issuer, for the RP
+   *   client registered with it
+   */
+  authUrlForIssuer (issuer, session) {
+    return this.clientForIssuer(issuer)
+      .then(client => this.clients.authUrl(client, session))
+  }
+
+  /**
+   * Makes a single attempt at registering (or loading) the local RP client.
+   * Concurrent calls share the same attempt.
+   *
+   * @return {Promise<RelyingParty>}
+   */
+  registerLocalRpClient () {
+    if (this.localRpRegistration) {
+      return this.localRpRegistration
+    }
+
+    const attempt = ++this.localRpAttempts
+
+    emitEvent(this, EVENTS.LOCAL_RP_ATTEMPT, { attempt })
+
+    this.localRpRegistration = this.clients.clientForIssuer(this.serverUri)
       .then(localClient => {
-        this.debug('Local RP client initialized')
+        this.logger.info('Local RP client initialized', { issuer: this.serverUri })
 
         this.localRp = localClient
+        this.localRpRegistration = null
+        clearTimeout(this.localRpRetryTimer)
+
+        emitEvent(this, EVENTS.LOCAL_RP_REGISTERED, { attempt })
 
         return localClient
       })
       .catch(error => {
-        this.debug('Error initializing local RP client: ', error)
+        this.localRpRegistration = null
+
+        this.recordError(error, 'Error initializing local RP client')
+        emitEvent(this, EVENTS.LOCAL_RP_FAILED, { attempt, error })
+
+        throw error
       })
+
+    return this.localRpRegistration
+  }
+
+  /**
+   * @param failedAttempts {number}
+   *
+   * @return {number} Delay (in ms) before the next registration attempt
+   */
+  localRpRetryDelay (failedAttempts) {
+    const { initialDelay, maxDelay } = this.localRpRetry
+
+    return Math.min(initialDelay * Math.pow(2, failedAttempts - 1), maxDelay)
+  }
+
+  /**
+   * Keeps retrying the local RP client registration in the background (with
+   * a non-blocking timer) until it succeeds: with growing delays for the
+   * first `maxAttempts`, then every `maxDelay` milliseconds.
+   *
+   * @param failedAttempts {number} Number of failed attempts so far
+   */
+  scheduleLocalRpRetry (failedAttempts) {
+    const { maxAttempts, maxDelay } = this.localRpRetry
+    const delay = failedAttempts < maxAttempts
+      ? this.localRpRetryDelay(failedAttempts)
+      : maxDelay
+
+    if (failedAttempts === maxAttempts) {
+      this.logger.warn(`Local RP client registration failed ${failedAttempts} times, retrying every ${maxDelay} milliseconds`)
+    } else if (failedAttempts < maxAttempts) {
+      this.logger.info(`Retrying local RP client registration in ${delay} milliseconds`)
+    }
+
+    clearTimeout(this.localRpRetryTimer)
+
+    this.localRpRetryTimer = setTimeout(() => {
+      if (this.localRp) { return }
+
+      this.registerLocalRpClient()
+        .catch(() => this.scheduleLocalRpRetry(failedAttempts + 1))
+    }, Math.min(delay, MAX_TIMER_DELAY))
+
+    this.localRpRetryTimer.unref()
   }
 
   initMultiRpClient () {
@@ -237,10 +950,7 @@ class OidcManager {
       post_logout_redirect_uris: [this.postLogoutUri]
     }
 
-    const backend = new KVPFileStore({
-      path: this.storePaths.multiRpStore,
-      collections: ['clients']
-    })
+    const backend = this.backendFor('rp')
 
     const clientOptions = {
       backend,
@@ -254,25 +964,134 @@ class OidcManager {
   initRs () {
     const rsConfig = { // oidc-rs
       defaults: {
-        tokenTypesSupported: ['legacyPop', 'dpop'],
+        tokenTypesSupported: this.tokenTypesSupported,
         handleErrors: false,
         optional: true,
         query: true,
         realm: this.serverUri,
         allow: {
-          // Restrict token audience to either this serverUri or its subdomain
+          // Restrict token audience to the audience policy (by default,
+          // either this serverUri or its subdomain)
           audience: (aud) => this.filterAudience(aud)
         }
       }
     }
 
+    if (this.issuerPolicy.hasLists) {
+      // Refuse tokens of untrusted issuers up front (the async predicate, if
+      // any, is only checked by `webIdFromClaims()`)
+      rsConfig.defaults.allow.issuers = (iss) => this.issuerPolicy.isListed(iss)
+    }
+
     this.rs = new ResourceAuthenticator(rsConfig)
+
+    if (!this.dpopVerifier) {
+      const dpop = Object.assign({}, this.dpop)
+
+      if (dpop.replayCache === undefined) {
+        dpop.replayCache = this.initReplayCache()
+      }
+
+      this.dpopVerifier = new DpopVerifier(dpop)
+    }
+
+    // oidc-rs only passes the audience to its filter, bind the request to it
+    // for the audience policy callback. It also ignores the
+    // `tokenTypesSupported` option, and only makes some of the DPoP proof
+    // checks, see `verifyTokenType()` and `DpopVerifier`.
+    const authenticate = this.rs.authenticate.bind(this.rs)
+    this.rs.authenticate = (options = {}) => (req, res, next) => {
+      const allow = Object.assign({}, this.rs.defaults.allow, options.allow, {
+        audience: (aud) => this.filterAudience(aud, req)
+      })
+      const realm = options.realm || this.rs.defaults.realm
+      const isDpop = DpopVerifier.isDpopRequest(req)
+
+      const fail = error => {
+        if (!(error instanceof DpopError)) {
+          return next(error) // Replay cache failure etc
+        }
+
+        res.status(error.statusCode)
+        res.set({ 'WWW-Authenticate': error.challenge(realm) })
+        next(error)
+      }
+
+      try {
+        this.verifyTokenType(req)
+      } catch (error) {
+        return fail(error)
+      }
+
+      // oidc-rs checks the proof `htu` against its realm + the request path
+      const rsOptions = Object.assign({}, options, {
+        allow,
+        realm: isDpop ? this.dpopVerifier.baseUriFor(req, realm) : realm
+      })
+
+      if (!isDpop) {
+        return authenticate(rsOptions)(req, res, next)
+      }
+
+      return authenticate(rsOptions)(req, res, error => {
+        if (error) {
+          return next(error)
+        }
+
+        this.dpopVerifier.verify(req)
+          .then(() => next(), fail)
+      })
+    }
+  }
+
+  /**
+   * Refuses the access tokens of the types that are not `tokenTypesSupported`
+   * (bearer tokens are sent in the Authorization header or, as oidc-rs
+   * allows, in an `access_token` parameter).
+   *
+   * @param req {IncomingRequest}
+   *
+   * @throws {DpopError} HTTP 401
+   */
+  verifyTokenType (req) {
+    const authorization = req.headers && req.headers.authorization
+    const hasToken = !!authorization ||
+      !!(req.query && req.query.access_token) ||
+      !!(req.body && req.body.access_token)
+
+    if (!hasToken) {
+      return
+    }
+
+    const tokenType = DpopVerifier.isDpopRequest(req) ? 'dpop' : 'legacyPop'
+
+    if (!this.tokenTypesSupported.includes(tokenType)) {
+      throw new DpopError(tokenType === 'dpop'
+        ? 'DPoP-bound access tokens are not supported'
+        : 'Only DPoP-bound access tokens are supported', 'invalid_token')
+    }
+  }
+
+  /**
+   * Initializes the shared record of the DPoP proofs seen by the resource
+   * server, kept in the provider's storage backend (along with its tokens).
+   *
+   * @return {BackendReplayCache}
+   */
+  initReplayCache () {
+    const backend = this.provider ? this.provider.backend : this.backendFor('op')
+
+    this.replayCache = new BackendReplayCache({ backend, collection: REPLAY_COLLECTION })
+
+    return this.replayCache
   }
 
   initUserStore () {
     const userStoreConfig = {
       saltRounds: this.saltRounds,
-      path: this.storePaths.userStore
+      path: this.storePaths.userStore,
+      backend: this.backendFor('users'),
+      events: this
     }
     this.users = UserStore.from(userStoreConfig)
   }
@@ -284,27 +1103,72 @@ class OidcManager {
       provider.keys = providerConfig.keys
     }
 
-    const backend = new KVPFileStore({
-      path: this.storePaths.providerStore,
-      collections: ['codes', 'clients', 'tokens', 'refresh']
-    })
+    const backend = this.backendFor('op')
+    this.serveClientIdDocuments(backend)
     provider.inject({ backend })
 
     // Init the injected host API (authenticate / obtainConsent / logout)
     let host = this.host || {}
     host = Object.assign(host, HostAPI)
+    host.logger = host.logger || this.logger
 
     provider.inject({ host })
 
     this.provider = provider
   }
 
+  /**
+   * Makes the provider accept Solid-OIDC Client ID Documents: its lookups of
+   * a `client_id` that is a web uri are answered with the registration from
+   * the document at that uri (see `clientRegistrationFor()`), rather than
+   * from the `clients` collection of dynamically registered clients.
+   *
+   * @param backend {Object} Provider storage backend
+   */
+  serveClientIdDocuments (backend) {
+    const get = backend.get.bind(backend)
+
+    backend.get = (collectionName, key) => {
+      if (collectionName === 'clients' && ClientIdDocument.isClientIdUri(key)) {
+        return this.clientRegistrationFor(key)
+      }
+
+      return get(collectionName, key)
+    }
+  }
+
+  /**
+   * Fetches (or reads from the discovery cache) and validates the Client ID
+   * Document of a client (see `fetchClientIdDocument()`).
+   *
+   * @param clientId {string} Client ID Document uri
+   *
+   * @return {Promise<Object|null>} Client registration, or `null` (an unknown
+   *   client, to the provider) if the document is missing or invalid
+   */
+  clientRegistrationFor (clientId) {
+    return fetchClientIdDocument(clientId, this.discoveryOptions())
+      .then(clientDocument => clientDocument.registration())
+      .catch(error => {
+        this.logger.warn('Could not load Client ID Document', { clientId, error })
+
+        return null
+      })
+  }
+
   providerConfigPath () {
     const storePath = this.storePaths.providerStore
 
     return path.join(storePath, 'provider.json')
   }
 
+  /**
+   * @return {string} Path of the previous generation of the Provider config
+   */
+  providerConfigBackupPath () {
+    return this.providerConfigPath() + '.bak'
+  }
+
   /**
    * Returns a previously serialized Provider config if one is available on disk,
    * otherwise returns a minimal config object (with just the `issuer` set).
@@ -315,10 +1179,12 @@ class OidcManager {
     let providerConfig = {}
     const configPath = this.providerConfigPath()
 
-    const storedConfig = this.loadConfigFrom(configPath)
+    const storedConfig = this.loadStoredProviderConfig()
 
     if (storedConfig) {
-      providerConfig = JSON.parse(storedConfig)
+      providerConfig = storedConfig
+
+      this.decryptProviderKeys(providerConfig, configPath)
     } else {
       providerConfig.issuer = this.providerUri
       providerConfig.serverUri = this.serverUri
@@ -327,6 +1193,72 @@ class OidcManager {
     return providerConfig
   }
 
+  /**
+   * Loads and parses the serialized Provider config. If it is missing or
+   * corrupted (for example, truncated by a crash mid-write), falls back to the
+   * last good copy (`provider.json.bak`).
+   *
+   * @throws {SyntaxError} If the config is corrupted and no usable backup
+   *   copy exists
+   *
+   * @return {Object|null} Parsed config, or `null` if none is stored
+   */
+  loadStoredProviderConfig () {
+    const configPath = this.providerConfigPath()
+    const backupPath = this.providerConfigBackupPath()
+    let parseError
+
+    try {
+      const storedConfig = this.parseConfigFrom(configPath)
+
+      if (storedConfig) {
+        return storedConfig
+      }
+    } catch (error) {
+      parseError = error
+      this.logger.warn(`Provider config ${configPath} is corrupted: ${error.message}`)
+    }
+
+    let backupConfig
+
+    try {
+      backupConfig = this.parseConfigFrom(backupPath)
+    } catch (error) {
+      this.logger.warn(`Provider config backup ${backupPath} is corrupted: ${error.message}`)
+    }
+
+    if (backupConfig) {
+      this.logger.warn(`Loaded provider config from backup ${backupPath}`)
+
+      return backupConfig
+    }
+
+    if (parseError) {
+      throw parseError
+    }
+
+    return null
+  }
+
+  /**
+   * Loads and parses a JSON config file from a given path.
+   *
+   * @param path {string}
+   *
+   * @throws {SyntaxError} If the file is not valid JSON (or empty)
+   *
+   * @return {Object|null} Parsed config, or `null` if the file does not exist
+   */
+  parseConfigFrom (path) {
+    const storedConfig = this.loadConfigFrom(path)
+
+    if (storedConfig === undefined) {
+      return null
+    }
+
+    return JSON.parse(storedConfig)
+  }
+
   /**
    * Loads a provider config from a given path
    *
@@ -341,7 +1273,7 @@ class OidcManager {
       storedConfig = fs.readFileSync(path, 'utf8')
     } catch (error) {
       if (error.code !== 'ENOENT') {
-        this.debug('Error in loadConfigFrom: ', error)
+        this.logger.error('Error in loadConfigFrom', { error })
         throw error
       }
     }
@@ -351,7 +1283,119 @@ class OidcManager {
 
   saveProviderConfig () {
     const configPath = this.providerConfigPath()
-    fs.writeFileSync(configPath, JSON.stringify(this.provider, null, 2))
+    const providerConfig = JSON.parse(JSON.stringify(this.provider))
+
+    if (this.keyEncryption && providerConfig.keys) {
+      encryptPrivateKeys(providerConfig.keys, this.keyEncryptionSecret())
+    }
+
+    this.writeConfigTo(configPath, JSON.stringify(providerConfig, null, 2))
+  }
+
+  /**
+   * Crash-safe write of a config file: the data is written (and flushed) to a
+   * temporary file, which is then renamed over the original. The previous
+   * copy is kept as a `.bak` file, as long as it was valid JSON (so that a
+   * corrupted config never replaces the last good backup).
+   *
+   * With `keyEncryption` enabled, the private keys of the backup are
+   * encrypted too (the previous copy may predate the encryption). Both files
+   * are only readable by the owner.
+   *
+   * @param configPath {string}
+   * @param data {string}
+   */
+  writeConfigTo (configPath, data) {
+    const tempPath = `${configPath}.${process.pid}.tmp`
+    const backupPath = configPath + '.bak'
+
+    // Non-file backends do not create the store directories
+    fs.mkdirpSync(path.dirname(configPath))
+
+    writePrivateFile(tempPath, data)
+
+    let previousConfig = null
+    try {
+      previousConfig = this.parseConfigFrom(configPath)
+    } catch (error) {
+      this.logger.warn(`Not backing up corrupted config ${configPath}: ${error.message}`)
+    }
+
+    if (previousConfig && this.keyEncryption && previousConfig.keys) {
+      encryptPrivateKeys(previousConfig.keys, this.keyEncryptionSecret())
+
+      const backupTempPath = `${backupPath}.${process.pid}.tmp`
+      writePrivateFile(backupTempPath, JSON.stringify(previousConfig, null, 2))
+      fs.renameSync(backupTempPath, backupPath)
+    } else if (previousConfig) {
+      fs.renameSync(configPath, backupPath)
+      fs.chmodSync(backupPath, PRIVATE_FILE_MODE)
+    }
+
+    fs.renameSync(tempPath, configPath)
+  }
+
+  /**
+   * Decrypts the private keys of a loaded provider config (in place), if
+   * they were saved encrypted.
+   *
+   * @param providerConfig {Object}
+   * @param configPath {string}
+   *
+   * @throws {Error} If the keys are encrypted but no secret is configured,
+   *   or if the secret is wrong
+   */
+  decryptProviderKeys (providerConfig, configPath) {
+    if (!providerConfig.keys || !hasEncryptedKeys(providerConfig.keys)) {
+      return
+    }
+
+    if (!this.keyEncryption) {
+      throw new Error(`Provider keys in ${configPath} are encrypted, but no keyEncryption secret is configured`)
+    }
+
+    decryptPrivateKeys(providerConfig.keys, this.keyEncryptionSecret())
+  }
+
+  /**
+   * @throws {Error} If the configured secret is missing
+   *
+   * @return {string}
+   */
+  keyEncryptionSecret () {
+    return secretFrom(this.keyEncryption)
+  }
+
+  /**
+   * @return {Object} Options for the provider discovery functions (see
+   *   `preferred-provider.js`): the discovery cache, outbound policy and
+   *   request limits
+   */
+  discoveryOptions () {
+    return Object.assign({
+      cache: this.discoveryCache,
+      policy: this.outboundPolicy
+    }, this.discovery)
+  }
+
+  /**
+   * Returns the validated OpenID configuration of an issuer. The metadata of
+   * this server's own provider is read from it directly, other issuers' is
+   * fetched (see `fetchProviderMetadata()`).
+   *
+   * @param issuer {string} Provider URI
+   *
+   * @throws {DiscoveryError}
+   *
+   * @return {Promise<ProviderMetadata>}
+   */
+  providerMetadataFor (issuer) {
+    if (this.provider && issuersMatch(issuer, this.providerUri)) {
+      return Promise.resolve()
+        .then(() => ProviderMetadata.from(this.provider, this.providerUri))
+    }
+
+    return fetchProviderMetadata(issuer, this.discoveryOptions())
   }
 
   /**
@@ -363,7 +1407,9 @@ class OidcManager {
    * @param claims {Object} Claims hashmap, typically the payload of a decoded
    *   ID Token.
    *
-   * @throws {Error}
+   * @throws {UntrustedIssuerError} HTTP 403, if the issuer is refused by the
+   *   `issuerPolicy`
+   * @throws {Error} HTTP 401, if the issuer is not a provider of the Web ID
    *
    * @returns {Promise<string|null>}
    */
@@ -376,21 +1422,30 @@ class OidcManager {
 
     const issuer = claims.iss
 
-    const webidFromIssuer = OidcManager.domainMatches(issuer, webId)
-
-    if (webidFromIssuer) {
-      // easy case, issuer is in charge of the web id
-      return Promise.resolve(webId)
-    }
-
-    // Otherwise, verify that issuer is the preferred OIDC provider for the web id
-    return discoverProviderFor(webId)
-      .then(preferredProvider => {
-        if (preferredProvider === issuer) { // everything checks out
+    return this.issuerPolicy.check(issuer, { webId })
+      .then(() => {
+        if (OidcManager.domainMatches(issuer, webId, this.webIdSubdomainDepth)) {
+          // easy case, issuer is in charge of the web id
           return webId
         }
 
-        throw new Error(`Preferred provider for Web ID ${webId} does not match token issuer ${issuer}`)
+        // Otherwise, verify that issuer is one of the OIDC providers advertised
+        // by the web id (a profile may list several `solid:oidcIssuer`s)
+        return discoverProvidersFor(webId, this.discoveryOptions())
+          .then(providers => {
+            if (providers.some(provider => issuersMatch(provider, issuer))) { // everything checks out
+              return webId
+            }
+
+            const error = new Error(`Preferred provider for Web ID ${webId} does not match token issuer ${issuer}`)
+            error.statusCode = 401
+            throw error
+          })
+      })
+      .catch(error => {
+        this.logger.warn('Web ID verification failed', { webId, issuer, error })
+        emitEvent(this, EVENTS.WEBID_VERIFICATION_FAILED, { webId, issuer, error })
+        throw error
       })
   }
 
@@ -443,32 +1498,40 @@ class OidcManager {
     return webId
   }
 
-  filterAudience (aud) {
-    if (!Array.isArray(aud)) {
-      aud = [aud]
-    }
-
-    return aud.some(a => OidcManager.domainMatches(this.serverUri, a))
+  /**
+   * @param aud {string|Array<string>} Audience claim of a token
+   * @param [req] {IncomingRequest} Request the token was sent with
+   *
+   * @returns {boolean} Whether the audience policy accepts the token
+   */
+  filterAudience (aud, req) {
+    return this.audiencePolicy.allows(aud, req)
   }
 
   /**
    * Tests whether a given Web ID uri belongs to the issuer. They must be:
    *   - either from the same domain origin
-   *   - or the webid is an immediate subdomain of the issuer domain
+   *   - or the webid is a subdomain of the issuer domain (at most `depth`
+   *     levels deep), and the issuer is not a public suffix
+   *
+   * Issuers are compared in their canonical form (see `normalizeIssuer()`),
+   * so `https://Example.com:443/` matches a Web ID on `https://example.com`.
    *
    * @param issuer {string}
    * @param webId {string}
+   * @param [depth=1] {number} Max number of subdomain levels
    *
    * @returns {boolean}
    */
-  static domainMatches (issuer, webId) {
+  static domainMatches (issuer, webId, depth = DEFAULT_WEBID_SUBDOMAIN_DEPTH) {
     let match
 
     try {
       webId = new URL(webId)
       const webIdOrigin = webId.origin // drop the path
 
-      match = (issuer === webIdOrigin) || OidcManager.isSubdomain(webIdOrigin, issuer)
+      match = issuersMatch(issuer, webIdOrigin) ||
+        OidcManager.isSubdomain(webIdOrigin, issuer, depth)
     } catch (err) {
       match = false
     }
@@ -477,30 +1540,54 @@ class OidcManager {
   }
 
   /**
+   * Tests whether an origin is a subdomain the domain owns (see
+   * `isSubdomainOf()`): public suffixes (`https://co.uk`) own no subdomains.
+   *
    * @param subdomain {string} e.g. Web ID origin (https://alice.example.com)
    * @param domain {string} e.g. Issuer domain (https://example.com)
+   * @param [depth=1] {number} Max number of subdomain levels
    *
    * @returns {boolean}
    */
-  static isSubdomain (subdomain, domain) {
+  static isSubdomain (subdomain, domain, depth = DEFAULT_WEBID_SUBDOMAIN_DEPTH) {
     subdomain = new URL(subdomain)
     domain = new URL(domain)
 
-    if (subdomain.protocol !== domain.protocol) {
-      return false // protocols must match
+    if (subdomain.protocol !== domain.protocol || subdomain.port !== domain.port) {
+      return false // protocols and ports must match
     }
 
-    subdomain = subdomain.host // hostname + port, minus the protocol
-    domain = domain.host
+    if (isPublicSuffix(domain.hostname)) {
+      return false
+    }
 
-    // Chop off the first subdomain (alice.databox.me -> databox.me)
-    const fragments = subdomain.split('.')
-    fragments.shift()
-    const abridgedSubdomain = fragments.join('.')
+    return isSubdomainOf(subdomain.hostname, domain.hostname, depth)
+  }
+}
 
-    return abridgedSubdomain === domain
+/**
+ * Writes a file only readable by its owner, and flushes it to disk.
+ *
+ * @param filePath {string}
+ * @param data {string}
+ */
+function writePrivateFile (filePath, data) {
+  const fd = fs.openSync(filePath, 'w', PRIVATE_FILE_MODE)
+
+  try {
+    // The mode is only applied on creation (of a leftover file, otherwise)
+    fs.fchmodSync(fd, PRIVATE_FILE_MODE)
+    fs.writeSync(fd, data)
+    fs.fsyncSync(fd)
+  } finally {
+    fs.closeSync(fd)
   }
 }
 
 module.exports = OidcManager
 module.exports.DEFAULT_DB_PATH = DEFAULT_DB_PATH
+module.exports.STORES = STORES
+module.exports.HEALTH_COLLECTION = HEALTH_COLLECTION
+module.exports.DEFAULT_KEY_ROTATION_OVERLAP = DEFAULT_KEY_ROTATION_OVERLAP
+module.exports.DEFAULT_LOCAL_RP_RETRY = DEFAULT_LOCAL_RP_RETRY
+module.exports.EVENTS = EVENTS
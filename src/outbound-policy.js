@@ -0,0 +1,279 @@
+'use strict'
+
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const { URL } = require('whatwg-url')
+const DiscoveryError = require('./errors/discovery-error')
+const { DISCOVERY_ERRORS } = DiscoveryError
+
+/**
+ * Address ranges that are not reachable on the public internet (loopback,
+ * private, link-local, carrier-grade NAT, multicast, reserved etc).
+ */
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+]
+
+const privateAddresses = new net.BlockList()
+PRIVATE_RANGES.forEach(([network, prefix, type]) => {
+  privateAddresses.addSubnet(network, prefix, type)
+})
+
+/**
+ * Policy for the outbound requests the server makes on behalf of users
+ * (Web ID and provider discovery), to protect against server-side request
+ * forgery. A request is refused if:
+ *
+ *   - it is not https (when `requireHttps` is set)
+ *   - its host matches `denyHosts`, or `allowHosts` is set and the host does
+ *     not match it
+ *   - its host resolves to a loopback / private / link-local address (unless
+ *     `allowPrivateNetworks` is set)
+ *
+ * The resolved addresses are checked both before each request (and each
+ * redirect), and when connecting (see `agentFor()`), so that a host cannot
+ * resolve to a public address for the check, and to a private one after.
+ *
+ * Requests to the `trustedOrigins` (the server's own origin, see
+ * `OidcManager.from()`) are always allowed, so that a server on localhost,
+ * an intranet or behind split-horizon DNS can discover its own provider.
+ */
+class OutboundPolicy {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.requireHttps] {boolean} Defaults to `true`, unless
+   *   `NODE_ENV` is 'development'
+   * @param [options.allowPrivateNetworks=false] {boolean}
+   * @param [options.allowHosts=[]] {Array<string>} If not empty, only these
+   *   hosts can be requested. A leading `*.` matches any subdomain.
+   * @param [options.denyHosts=[]] {Array<string>} Hosts that can never be
+   *   requested (same syntax as `allowHosts`)
+   * @param [options.resolve] {Function} Resolver hook, `async hostname =>
+   *   [address]` (defaults to the system resolver, `dns.lookup()`)
+   * @param [options.trustedOrigins=[]] {Array<string>} Origins (or uris on
+   *   them) exempt from the checks
+   */
+  constructor (options = {}) {
+    this.requireHttps = options.requireHttps !== undefined
+      ? options.requireHttps
+      : process.env.NODE_ENV !== 'development'
+    this.allowPrivateNetworks = !!options.allowPrivateNetworks
+    this.allowHosts = (options.allowHosts || []).map(host => host.toLowerCase())
+    this.denyHosts = (options.denyHosts || []).map(host => host.toLowerCase())
+    this.resolve = options.resolve || defaultResolve
+    this.trustedOrigins = (options.trustedOrigins || []).map(uri => new URL(uri).origin)
+
+    const lookup = this.lookupFunction()
+    this.agents = {
+      http: new http.Agent({ lookup }),
+      https: new https.Agent({ lookup })
+    }
+  }
+
+  /**
+   * Checks whether a uri may be requested.
+   *
+   * @param uri {string}
+   *
+   * @throws {DiscoveryError} With the DISCOVERY_FORBIDDEN code
+   *
+   * @return {Promise<Array<string>>} Resolves with the host's addresses
+   */
+  check (uri) {
+    return Promise.resolve()
+      .then(() => {
+        const url = new URL(uri)
+
+        if (this.isTrusted(url)) {
+          return []
+        }
+
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && !this.requireHttps)) {
+          throw forbidden(`Requests to ${url.origin} are not allowed (https is required)`)
+        }
+
+        const hostname = hostnameOf(url)
+
+        if (!this.isHostAllowed(hostname)) {
+          throw forbidden(`Requests to host ${hostname} are not allowed`)
+        }
+
+        return this.resolveAllowed(hostname)
+      })
+  }
+
+  /**
+   * @param url {URL}
+   *
+   * @return {boolean} Whether the url is on one of the `trustedOrigins`
+   */
+  isTrusted (url) {
+    return this.trustedOrigins.includes(url.origin)
+  }
+
+  /**
+   * @param hostname {string}
+   *
+   * @return {boolean} Whether the host is allowed by the allow / deny lists
+   */
+  isHostAllowed (hostname) {
+    hostname = hostname.toLowerCase()
+
+    if (this.denyHosts.some(pattern => hostMatches(pattern, hostname))) {
+      return false
+    }
+
+    return this.allowHosts.length === 0 ||
+      this.allowHosts.some(pattern => hostMatches(pattern, hostname))
+  }
+
+  /**
+   * Resolves a host name, and makes sure none of its addresses are private
+   * (unless `allowPrivateNetworks` is set).
+   *
+   * @param hostname {string}
+   *
+   * @throws {DiscoveryError} With the DISCOVERY_FORBIDDEN code
+   *
+   * @return {Promise<Array<string>>}
+   */
+  resolveAllowed (hostname) {
+    const addresses = net.isIP(hostname)
+      ? Promise.resolve([hostname])
+      : Promise.resolve(this.resolve(hostname))
+
+    return addresses
+      .then(addresses => {
+        if (!addresses || addresses.length === 0) {
+          const error = new Error(`Could not resolve ${hostname}`)
+          error.code = 'ENOTFOUND'
+          throw error
+        }
+
+        if (!this.allowPrivateNetworks && addresses.some(isPrivateAddress)) {
+          throw forbidden(`Requests to host ${hostname} are not allowed (private network address)`)
+        }
+
+        return addresses
+      })
+  }
+
+  /**
+   * @return {Function} `dns.lookup()` compatible function, for the agents
+   */
+  lookupFunction () {
+    return (hostname, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options
+        options = {}
+      }
+
+      this.resolveAllowed(hostname)
+        .then(addresses => {
+          const entries = addresses.map(address => ({ address, family: net.isIP(address) }))
+
+          if (options.all) {
+            return callback(null, entries)
+          }
+
+          callback(null, entries[0].address, entries[0].family)
+        }, callback)
+    }
+  }
+
+  /**
+   * @param url {URL}
+   *
+   * @return {http.Agent|undefined} Agent that enforces the policy when
+   *   connecting (usable as the node-fetch `agent` option), or `undefined`
+   *   (the default agent) for the `trustedOrigins`
+   */
+  agentFor (url) {
+    if (this.isTrusted(url)) {
+      return undefined
+    }
+
+    return url.protocol === 'http:' ? this.agents.http : this.agents.https
+  }
+}
+
+/**
+ * @param address {string} IPv4 or IPv6 address
+ *
+ * @return {boolean}
+ */
+function isPrivateAddress (address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) {
+    address = mapped[1]
+  }
+
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4'
+
+  return privateAddresses.check(address, type)
+}
+
+/**
+ * @param pattern {string} Host name, or `*.` followed by a domain
+ * @param hostname {string}
+ *
+ * @return {boolean}
+ */
+function hostMatches (pattern, hostname) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1))
+  }
+
+  return hostname === pattern
+}
+
+/**
+ * @param url {URL}
+ *
+ * @return {string} Host name, without the brackets of IPv6 addresses
+ */
+function hostnameOf (url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1')
+}
+
+/**
+ * @param hostname {string}
+ *
+ * @return {Promise<Array<string>>}
+ */
+function defaultResolve (hostname) {
+  return dns.promises.lookup(hostname, { all: true })
+    .then(results => results.map(result => result.address))
+}
+
+/**
+ * @param message {string}
+ *
+ * @return {DiscoveryError}
+ */
+function forbidden (message) {
+  return new DiscoveryError(message, DISCOVERY_ERRORS.FORBIDDEN)
+}
+
+module.exports = OutboundPolicy
+module.exports.isPrivateAddress = isPrivateAddress
@@ -5,110 +5,851 @@ const validUrl = require('valid-url')
 const fetch = require('node-fetch')
 const li = require('li')
 const rdf = require('rdflib')
+const DiscoveryError = require('./errors/discovery-error')
+const ProviderMetadata = require('./provider-metadata')
+const ClientIdDocument = require('./client-id-document')
+const { DISCOVERY_ERRORS } = DiscoveryError
+
+/**
+ * Limits of the requests made during provider discovery, overridable through
+ * the `options` of each function below.
+ */
+const DEFAULT_FETCH_OPTIONS = {
+  timeout: 10000, // ms, for the whole request (including the response body)
+  maxSize: 1024 * 1024, // bytes, of a response body
+  maxRedirects: 5
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+const SOLID_OIDC_ISSUER = 'http://www.w3.org/ns/solid/terms#oidcIssuer'
+
+/**
+ * Web ID profile parsers, by media type, in order of preference (see
+ * `profileAcceptHeader()`). A parser is a `(body, { webId, documentUri,
+ * mediaType }) => Promise<Array<string>>` function, resolving with the
+ * `solid:oidcIssuer`s of the Web ID. Overridable (or disabled, with `null`)
+ * with the `profileParsers` discovery option.
+ */
+const DEFAULT_PROFILE_PARSERS = {
+  'text/turtle': rdflibParser,
+  'application/ld+json': rdflibParser,
+  'application/rdf+xml': rdflibParser,
+  'text/html': rdflibParser, // RDFa
+  'application/xhtml+xml': rdflibParser // RDFa
+}
+
+// Media type of profiles served without a Content-Type
+const DEFAULT_PROFILE_TYPE = 'text/turtle'
+
+const OIDC_ISSUER_REL = 'http://openid.net/specs/connect/1.0/issuer'
+
+// WebFinger link relations pointing from an account to its Web ID
+const WEBID_RELS = [
+  'http://webid.info/spec/identity',
+  'http://www.w3.org/ns/solid/terms#webid'
+]
+
+// `acct:alice@example.org`, or just `alice@example.org`
+const ACCT_PATTERN = /^(?:acct:)?([^@\s/:?#]+)@([^@\s/?#]+)$/i
 
 module.exports = {
+  DEFAULT_FETCH_OPTIONS,
+  DEFAULT_PROFILE_PARSERS,
   discoverProviderFor,
+  discoverProvidersFor,
+  discoverProvidersForAcct,
+  fetchClientIdDocument,
+  fetchProviderMetadata,
+  isAcctIdentifier,
   parseProviderLink,
+  parseProviderLinks,
+  parseProfile,
   preferredProviderFor,
+  preferredProvidersFor,
   providerExists,
   validateProviderUri
 }
 
 /**
  * @param uri {string} Provider URI or Web ID URI
+ * @param [options={}] {Object} See `discoverProvidersFor()`
+ *
+ * @returns {Promise<string>} The first of the `preferredProvidersFor()`
+ */
+function preferredProviderFor (uri, options = {}) {
+  return preferredProvidersFor(uri, options)
+    .then(providerUris => providerUris[0])
+}
+
+/**
+ * @param uri {string} Provider URI, Web ID URI or `acct:` URI
+ * @param [options={}] {Object} See `discoverProvidersFor()`
  *
- * @returns {Promise<string>}
+ * @returns {Promise<Array<string>>} The uri's origin, if it hosts an OIDC
+ *   provider, or else all of the providers advertised for the Web ID (or
+ *   account, see `discoverProvidersForAcct()`)
  */
-function preferredProviderFor (uri) {
+function preferredProvidersFor (uri, options = {}) {
+  if (isAcctIdentifier(uri)) {
+    return discoverProvidersForAcct(uri, options)
+  }
+
   // First, determine if the uri is an OIDC provider
-  return providerExists(uri)
+  return providerExists(uri, options)
     .then(providerUri => {
       if (providerUri) {
-        return providerUri // the given uri's origin hosts an OIDC provider
+        return [providerUri] // the given uri's origin hosts an OIDC provider
       }
 
       // Given uri is not a provider (for example, a static Web ID profile URI)
-      // Discover its preferred provider
-      return discoverProviderFor(uri)
+      // Discover its preferred providers
+      return discoverProvidersFor(uri, options)
     })
 }
 
 /**
  * @param uri {string} Provider URI or Web ID URI
+ * @param [options={}] {Object} See `fetchProviderMetadata()`
+ *
+ * @throws {DiscoveryError} If the provider config request times out or fails
  *
  * @returns {Promise<string|null>} Returns the Provider URI origin if an OIDC
- *   provider exists at the given uri, or `null` if none exists
+ *   provider exists at the given uri (one with valid provider metadata), or
+ *   `null` if none exists
  */
-function providerExists (uri) {
+function providerExists (uri, options = {}) {
   const providerOrigin = (new URL(uri)).origin
-  const providerConfigUri = providerOrigin + '/.well-known/openid-configuration'
 
-  return fetch(providerConfigUri, { method: 'HEAD' })
-    .then(result => {
-      if (result.ok) {
-        return providerOrigin
+  return fetchProviderMetadata(providerOrigin, options)
+    .then(() => providerOrigin)
+    .catch(error => {
+      if (error.code === DISCOVERY_ERRORS.INVALID_METADATA) {
+        return null
+      }
+
+      throw error
+    })
+}
+
+/**
+ * @param value {string}
+ *
+ * @return {boolean} Whether the value is an email-like account identifier
+ *   (`alice@example.org` or `acct:alice@example.org`)
+ */
+function isAcctIdentifier (value) {
+  return typeof value === 'string' && ACCT_PATTERN.test(value)
+}
+
+/**
+ * Discovers the providers of an account identifier with WebFinger: the OIDC
+ * issuer links of the account's JRD, or else the providers of the Web ID it
+ * links to. If the account's host has no WebFinger entry for it, falls back
+ * to the host itself (see `preferredProvidersFor()`).
+ *
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html#IssuerDiscovery
+ * @see https://tools.ietf.org/html/rfc7033
+ *
+ * @param acct {string} `acct:alice@example.org` or `alice@example.org`
+ * @param [options={}] {Object} See `discoverProvidersFor()`
+ *
+ * @throws {DiscoveryError}
+ *
+ * @returns {Promise<Array<string>>}
+ */
+function discoverProvidersForAcct (acct, options = {}) {
+  const [, user, host] = ACCT_PATTERN.exec(acct)
+  const resource = `acct:${user}@${host}`
+  const webfingerUri = `https://${host}/.well-known/webfinger?resource=${encodeURIComponent(resource)}`
+
+  return fetchWithLimits(webfingerUri, { headers: { Accept: 'application/jrd+json, application/json' } }, options)
+    .then(response => {
+      if (!response.ok) {
+        response.body.resume()
+        return null
       }
 
-      return null
+      return readBody(response, webfingerUri, 'WebFinger response', options)
+        .then(body => parseJrd(body, resource))
+    })
+    .then(jrd => {
+      const links = (jrd && Array.isArray(jrd.links)) ? jrd.links : []
+      const linked = rels => unique(links
+        .filter(link => link && rels.includes(link.rel) && typeof link.href === 'string')
+        .map(link => link.href))
+
+      const providerUris = linked([OIDC_ISSUER_REL])
+      if (providerUris.length > 0) {
+        providerUris.forEach(providerUri => validateProviderUri(providerUri, resource))
+        return providerUris
+      }
+
+      const webId = linked(WEBID_RELS)[0]
+      if (webId) {
+        return discoverProvidersFor(webId, options)
+      }
+
+      // No WebFinger entry for the account, the host may be the provider
+      return preferredProvidersFor(`https://${host}`, options)
     })
 }
 
 /**
+ * @param body {string}
+ * @param resource {string}
+ *
+ * @throws {DiscoveryError} If the body is not a JSON object
+ *
+ * @return {Object} JSON Resource Descriptor
+ */
+function parseJrd (body, resource) {
+  let jrd
+
+  try {
+    jrd = JSON.parse(body)
+  } catch (error) {
+    throw new DiscoveryError(`WebFinger response for ${resource} is not valid JSON`,
+      DISCOVERY_ERRORS.UNPARSEABLE, error)
+  }
+
+  if (!jrd || typeof jrd !== 'object') {
+    throw new DiscoveryError(`WebFinger response for ${resource} is not a JSON object`,
+      DISCOVERY_ERRORS.UNPARSEABLE)
+  }
+
+  return jrd
+}
+
+/**
+ * Fetches and validates the OpenID configuration of an issuer.
+ *
+ * If a `cache` is passed in, fresh cached metadata (and failures) are
+ * returned without any request. They are cached under a prefixed key, so that
+ * a Web ID that is also the configuration uri cannot overwrite them.
+ *
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfig
+ *
+ * @param issuer {string} Provider URI
+ * @param [options={}] {Object}
+ * @param [options.cache] {DiscoveryCache}
+ * @param [options.policy] {OutboundPolicy}
+ * @param [options.timeout] {number} See `DEFAULT_FETCH_OPTIONS`
+ * @param [options.maxSize] {number}
+ * @param [options.maxRedirects] {number}
+ *
+ * @throws {DiscoveryError} With the DISCOVERY_INVALID_METADATA code if the
+ *   issuer has no (valid) OpenID configuration, or any of the request codes
+ *
+ * @return {Promise<ProviderMetadata>}
+ */
+function fetchProviderMetadata (issuer, options = {}) {
+  const configUri = issuer.replace(/\/+$/, '') + '/.well-known/openid-configuration'
+  const cacheKey = 'openid-configuration ' + configUri
+  const { cache } = options
+  const cached = cache && cache.get(cacheKey)
+
+  if (cache && cache.isFresh(cached)) {
+    return cached.error
+      ? Promise.reject(cached.error)
+      : Promise.resolve(cached.metadata)
+  }
+
+  let cacheControl
+
+  return fetchWithLimits(configUri, { headers: { Accept: 'application/json' } }, options)
+    .then(response => {
+      if (!response.ok) {
+        response.body.resume()
+        throw new DiscoveryError(`No OpenID configuration found for ${issuer} (HTTP ${response.status})`,
+          DISCOVERY_ERRORS.INVALID_METADATA)
+      }
+
+      cacheControl = response.headers.get('cache-control')
+
+      return readBody(response, configUri, 'OpenID configuration', options)
+    })
+    .then(body => {
+      let metadata
+
+      try {
+        metadata = JSON.parse(body)
+      } catch (error) {
+        throw new DiscoveryError(`OpenID configuration for ${issuer} is not valid JSON`,
+          DISCOVERY_ERRORS.INVALID_METADATA, error)
+      }
+
+      return ProviderMetadata.from(metadata, issuer)
+    })
+    .then(metadata => {
+      if (cache) {
+        cache.set(cacheKey, { metadata }, cache.ttlFor([cacheControl]))
+      }
+
+      return metadata
+    })
+    .catch(error => {
+      if (cache) {
+        cache.setFailure(cacheKey, error)
+      }
+
+      throw error
+    })
+}
+
+/**
+ * Fetches and validates the Solid-OIDC Client ID Document served at a
+ * `client_id` uri.
+ *
+ * If a `cache` is passed in, fresh cached documents (and failures) are
+ * returned without any request. They are cached under their own key, so that
+ * a `client_id` pointing at a Web ID (or an OpenID configuration) does not
+ * overwrite the discovery results for it.
+ *
+ * @param clientId {string} Client ID Document uri
+ * @param [options={}] {Object} See `fetchProviderMetadata()`
+ *
+ * @throws {DiscoveryError} With the DISCOVERY_INVALID_CLIENT_DOCUMENT code if
+ *   there is no (valid) document at the uri, or any of the request codes
+ *
+ * @return {Promise<ClientIdDocument>}
+ */
+function fetchClientIdDocument (clientId, options = {}) {
+  const cacheKey = 'client_id ' + clientId
+  const { cache } = options
+  const cached = cache && cache.get(cacheKey)
+
+  if (cache && cache.isFresh(cached)) {
+    return cached.error
+      ? Promise.reject(cached.error)
+      : Promise.resolve(cached.clientDocument)
+  }
+
+  let cacheControl
+  const headers = { Accept: 'application/ld+json, application/json;q=0.9' }
+
+  return fetchWithLimits(clientId, { headers }, options)
+    .then(response => {
+      if (!response.ok) {
+        response.body.resume()
+        throw new DiscoveryError(`No Client ID Document found at ${clientId} (HTTP ${response.status})`,
+          DISCOVERY_ERRORS.INVALID_CLIENT_DOCUMENT)
+      }
+
+      cacheControl = response.headers.get('cache-control')
+
+      return readBody(response, clientId, 'Client ID Document', options)
+    })
+    .then(body => {
+      let document
+
+      try {
+        document = JSON.parse(body)
+      } catch (error) {
+        throw new DiscoveryError(`Client ID Document ${clientId} is not valid JSON`,
+          DISCOVERY_ERRORS.INVALID_CLIENT_DOCUMENT, error)
+      }
+
+      return ClientIdDocument.from(document, clientId)
+    })
+    .then(clientDocument => {
+      if (cache) {
+        cache.set(cacheKey, { clientDocument }, cache.ttlFor([cacheControl]))
+      }
+
+      return clientDocument
+    })
+    .catch(error => {
+      if (cache) {
+        cache.setFailure(cacheKey, error)
+      }
+
+      throw error
+    })
+}
+
+/**
+ * @param webId {string} Web ID URI
+ * @param [options={}] {Object} See `discoverProvidersFor()`
+ *
+ * @returns {Promise<string>} The first of the `discoverProvidersFor()`
+ */
+function discoverProviderFor (webId, options = {}) {
+  return discoverProvidersFor(webId, options)
+    .then(providerUris => providerUris[0])
+}
+
+/**
+ * Discovers the providers a Web ID trusts: the `solid:oidcIssuer`s of the
+ * Web ID profile, or else the OIDC issuer Link headers of an OPTIONS request
+ * to the Web ID.
+ *
+ * If a `cache` is passed in, fresh cached results (and failures) are returned
+ * without any request. Expired results are revalidated with conditional
+ * requests (`If-None-Match`), using the ETags of the previous responses.
  *
  * @param webId {string} Web ID URI
  *
- * @returns {Promise<string>} Resolves with the preferred provider uri for the
- *  given Web ID, extracted from Link rel header or profile body. If no
- *  provider URI was found, reject with an error.
+ * @param [options={}] {Object}
+ * @param [options.cache] {DiscoveryCache}
+ * @param [options.timeout=10000] {number} Timeout (in ms) of each request
+ * @param [options.maxSize=1048576] {number} Max size (in bytes) of the profile
+ * @param [options.maxRedirects=5] {number}
+ * @param [options.policy] {OutboundPolicy} Policy checked before each
+ *   request (see `outbound-policy.js`)
+ * @param [options.profileParsers] {Object} Profile parsers by media type,
+ *   see `DEFAULT_PROFILE_PARSERS`
+ *
+ * @throws {DiscoveryError} With a `code` telling apart timeouts, unreachable
+ *   Web IDs, oversized profiles etc (see `DISCOVERY_ERRORS`)
+ *
+ * @returns {Promise<Array<string>>} Resolves with the provider uris for the
+ *  given Web ID (in the order they are listed), extracted from the profile
+ *  body or Link rel headers. If no provider URI was found, reject with an
+ *  error.
  */
-function discoverProviderFor (webId) {
-  return discoverFromProfile(webId)
+function discoverProvidersFor (webId, options = {}) {
+  const { cache } = options
+  const cached = cache && cache.get(webId)
+
+  if (cache && cache.isFresh(cached)) {
+    return cached.error
+      ? Promise.reject(cached.error)
+      : Promise.resolve(cached.providerUris)
+  }
 
-    .then(providerFromProfile => providerFromProfile || discoverFromHeaders(webId))
+  // Validators of the previous (expired) successful discovery, if any
+  const previous = (cached && !cached.error) ? cached : {}
+  const result = {}
 
-    .then(providerUri => {
-      validateProviderUri(providerUri, webId) // Throw an error if empty or invalid
+  return discoverFromProfile(webId, previous.profile, options)
+    .then(profile => {
+      result.profile = profile
 
-      return providerUri
+      if (profile.providerUris.length > 0) {
+        return profile.providerUris
+      }
+
+      return discoverFromHeaders(webId, previous.headers, options)
+        .then(headers => {
+          result.headers = headers
+
+          return headers.providerUris
+        })
+    })
+
+    .then(providerUris => {
+      if (providerUris.length === 0) {
+        validateProviderUri(null, webId) // Throws a 'not advertised' error
+      }
+      providerUris.forEach(providerUri => validateProviderUri(providerUri, webId))
+
+      if (cache) {
+        const cacheControl = [result.profile, result.headers]
+          .filter(Boolean)
+          .map(response => response.cacheControl)
+
+        result.providerUris = providerUris
+        cache.set(webId, result, cache.ttlFor(cacheControl))
+      }
+
+      return providerUris
+    })
+
+    .catch(error => {
+      if (cache) {
+        cache.setFailure(webId, error)
+      }
+
+      throw error
     })
 }
 
 /**
  * @param webId {string}
+ * @param [previous] {Object} Result of a previous call, to revalidate
+ * @param [options={}] {Object} Fetch limits
  *
- * @returns {Promise<string|null>}
+ * @returns {Promise<Object>} Resolves with the `providerUris` from the OIDC
+ *   issuer Link headers, along with the response `etag` and `cacheControl`
+ *   headers
  */
-function discoverFromHeaders (webId) {
-  return fetch(webId, { method: 'OPTIONS' })
+function discoverFromHeaders (webId, previous, options = {}) {
+  const init = { method: 'OPTIONS', headers: {} }
+
+  return fetchConditionally(webId, init, previous, options)
     .then(response => {
-      if (response.ok) {
-        return parseProviderLink(response.headers)
+      if (isRevalidation(previous, response)) {
+        return revalidated(previous, response)
       }
 
-      return null
+      return {
+        providerUris: response.ok ? parseProviderLinks(response.headers) : [],
+        etag: response.headers.get('etag'),
+        cacheControl: response.headers.get('cache-control')
+      }
     })
 }
 
-function discoverFromProfile (webId) {
+/**
+ * @param webId {string}
+ * @param [previous] {Object} Result of a previous call, to revalidate
+ * @param [options={}] {Object} Fetch limits
+ *
+ * @returns {Promise<Object>} Resolves with the `solid:oidcIssuer`s of the
+ *   Web ID profile as `providerUris`, along with the response `etag` and
+ *   `cacheControl` headers
+ */
+function discoverFromProfile (webId, previous, options = {}) {
+  const parsers = profileParsers(options)
+  const headers = { Accept: profileAcceptHeader(parsers) }
+  let response
+
+  return fetchConditionally(webId, { headers }, previous, options)
+    .then(result => {
+      response = result
+
+      if (isRevalidation(previous, response)) {
+        return null
+      }
+
+      if (!response.ok) {
+        throw new DiscoveryError(`Could not reach Web ID ${webId} to discover provider`,
+          DISCOVERY_ERRORS.UNREACHABLE)
+      }
+
+      return readBody(response, webId, 'Web ID profile', options)
+    })
+    .then(body => {
+      if (isRevalidation(previous, response)) {
+        return revalidated(previous, response)
+      }
+
+      return parseProfile(body, webId, response.headers.get('content-type'), parsers)
+        .then(providerUris => {
+          return {
+            providerUris: unique(providerUris),
+            etag: response.headers.get('etag'),
+            cacheControl: response.headers.get('cache-control')
+          }
+        })
+    })
+}
+
+/**
+ * Parses a Web ID profile with the parser for its media type.
+ *
+ * @param body {string}
+ * @param webId {string}
+ * @param [contentType] {string} Defaults to Turtle
+ * @param [parsers=DEFAULT_PROFILE_PARSERS] {Object} Parsers by media type
+ *
+ * @throws {DiscoveryError} If there is no parser for the media type, or the
+ *   profile could not be parsed
+ *
+ * @return {Promise<Array<string>>} The `solid:oidcIssuer`s of the Web ID
+ */
+function parseProfile (body, webId, contentType, parsers = DEFAULT_PROFILE_PARSERS) {
+  const mediaType = contentType
+    ? contentType.split(';')[0].trim().toLowerCase()
+    : DEFAULT_PROFILE_TYPE
+  const documentUri = webId.split('#')[0]
+  const parser = parsers[mediaType]
+
+  if (!parser) {
+    return Promise.reject(new DiscoveryError(
+      `Could not parse Web ID profile ${documentUri}: unsupported content type ${mediaType}`,
+      DISCOVERY_ERRORS.UNPARSEABLE))
+  }
+
+  return Promise.resolve()
+    .then(() => parser(body, { webId, documentUri, mediaType }))
+    .then(providerUris => providerUris || [])
+    .catch(error => {
+      throw new DiscoveryError(`Could not parse Web ID profile ${documentUri} as ${mediaType}`,
+        DISCOVERY_ERRORS.UNPARSEABLE, error)
+    })
+}
+
+/**
+ * Default profile parser, for the RDF serializations rdflib supports.
+ *
+ * @param body {string}
+ * @param context {Object}
+ * @param context.webId {string}
+ * @param context.documentUri {string} Base uri of the profile
+ * @param context.mediaType {string}
+ *
+ * @return {Promise<Array<string>>} The `solid:oidcIssuer`s of the Web ID
+ */
+function rdflibParser (body, { webId, documentUri, mediaType }) {
   const store = rdf.graph()
 
-  const fetcher = rdf.fetcher(store)
+  return new Promise((resolve, reject) => {
+    rdf.parse(body, store, documentUri, mediaType, error => {
+      if (error) {
+        return reject(error)
+      }
+
+      const providerUris = store.each(rdf.namedNode(webId), rdf.namedNode(SOLID_OIDC_ISSUER))
+        .map(term => term.value)
+
+      resolve(providerUris)
+    })
+  })
+}
 
-  return fetcher.load(webId, { force: true })
+/**
+ * @param [options={}] {Object}
+ * @param [options.profileParsers] {Object} Parsers by media type, overriding
+ *   (or, if `null`, disabling) the default ones
+ *
+ * @return {Object} Parsers by media type
+ */
+function profileParsers (options = {}) {
+  const parsers = Object.assign({}, DEFAULT_PROFILE_PARSERS, options.profileParsers)
+
+  Object.keys(parsers).forEach(mediaType => {
+    if (!parsers[mediaType]) {
+      delete parsers[mediaType]
+    }
+  })
+
+  return parsers
+}
+
+/**
+ * @param parsers {Object} Parsers by media type, in order of preference
+ *
+ * @return {string} Accept header listing the media types, with decreasing
+ *   quality values
+ */
+function profileAcceptHeader (parsers) {
+  return Object.keys(parsers)
+    .map((mediaType, index) => {
+      const quality = Math.max(10 - index, 1) / 10
+
+      return index === 0 ? mediaType : `${mediaType};q=${quality}`
+    })
+    .join(', ')
+}
+
+/**
+ * Fetches a uri with the configured timeout and max redirects (and max
+ * response size, see `readBody()`). The timeout applies to the whole redirect
+ * chain (and the reading of the final response body), not to each request.
+ * If an outbound `policy` is passed in, the uri and each redirect location
+ * are checked against it.
+ *
+ * @param uri {string}
+ * @param init {Object} node-fetch request options
+ * @param [options={}] {Object} Fetch limits, see `DEFAULT_FETCH_OPTIONS`
+ * @param [options.policy] {OutboundPolicy}
+ * @param [redirects=0] {number} Number of redirects followed so far
+ * @param [deadline] {number} Timestamp by which the redirect chain must be
+ *   done (none if the timeout is 0)
+ *
+ * @throws {DiscoveryError}
+ *
+ * @return {Promise<Response>}
+ */
+function fetchWithLimits (uri, init, options = {}, redirects = 0, deadline) {
+  const limits = fetchLimits(options)
+  const { policy } = options
+
+  if (deadline === undefined && limits.timeout) {
+    deadline = Date.now() + limits.timeout
+  }
+
+  return Promise.resolve()
+    .then(() => policy && policy.check(uri))
+    .then(() => {
+      // node-fetch disables its timeout when 0, so none may remain
+      const timeout = deadline ? deadline - Date.now() : 0
+
+      if (deadline && timeout <= 0) {
+        throw new DiscoveryError(`Timed out after ${limits.timeout} ms fetching ${uri} to discover provider`,
+          DISCOVERY_ERRORS.TIMEOUT)
+      }
+
+      return fetch(uri, Object.assign({}, init, {
+        timeout,
+        size: limits.maxSize,
+        redirect: 'manual',
+        agent: policy ? url => policy.agentFor(url) : undefined
+      }))
+    })
     .then(response => {
-      const providerTerm = rdf.namedNode('http://www.w3.org/ns/solid/terms#oidcIssuer')
-      const providerUri = store.anyValue(rdf.namedNode(webId), providerTerm)
-      return providerUri
-    }, err => {
-      const error = new Error(`Could not reach Web ID ${webId} to discover provider`)
-      error.cause = err
-      error.statusCode = 400
-      throw error
+      const location = response.headers.get('location')
+
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        return response
+      }
+
+      response.body.resume() // Discard the redirect response body
+
+      if (redirects >= limits.maxRedirects) {
+        throw new DiscoveryError(`Too many redirects (over ${limits.maxRedirects}) fetching ${uri} to discover provider`,
+          DISCOVERY_ERRORS.TOO_MANY_REDIRECTS)
+      }
+
+      const redirectUri = new URL(location, uri).href
+
+      return fetchWithLimits(redirectUri, init, options, redirects + 1, deadline)
+    })
+    .catch(error => {
+      throw discoveryErrorFor(error, uri, limits)
+    })
+}
+
+/**
+ * @param response {Response}
+ * @param uri {string}
+ * @param resource {string} What is being fetched (for example, 'Web ID
+ *   profile'), for the error messages
+ * @param [options={}] {Object} Fetch limits
+ *
+ * @throws {DiscoveryError} If the body is over the max size, or could not be
+ *   read in time
+ *
+ * @return {Promise<string>}
+ */
+function readBody (response, uri, resource, options = {}) {
+  const limits = fetchLimits(options)
+  const contentLength = parseInt(response.headers.get('content-length'))
+
+  if (contentLength > limits.maxSize) {
+    response.body.destroy() // Do not download (nor keep open) what was refused
+    return Promise.reject(new DiscoveryError(
+      `${resource} ${uri} is too large (over ${limits.maxSize} bytes)`,
+      DISCOVERY_ERRORS.TOO_LARGE))
+  }
+
+  return response.text()
+    .catch(error => {
+      throw discoveryErrorFor(error, uri, limits, resource)
     })
 }
 
 /**
- * Returns the contents of the OIDC issuer Link rel header.
+ * @param [options={}] {Object}
+ *
+ * @return {Object} `DEFAULT_FETCH_OPTIONS`, overridden by the given options
+ */
+function fetchLimits (options = {}) {
+  const limits = Object.assign({}, DEFAULT_FETCH_OPTIONS)
+
+  for (const name of Object.keys(DEFAULT_FETCH_OPTIONS)) {
+    if (options[name] !== undefined) {
+      limits[name] = options[name]
+    }
+  }
+
+  return limits
+}
+
+/**
+ * Converts a node-fetch `FetchError` into a `DiscoveryError`.
+ *
+ * @param error {Error}
+ * @param uri {string}
+ * @param limits {Object}
+ * @param [resource='Response'] {string} What is being fetched
+ *
+ * @return {DiscoveryError}
+ */
+function discoveryErrorFor (error, uri, limits, resource = 'Response') {
+  if (error instanceof DiscoveryError) {
+    return error
+  }
+
+  if (error.code === DISCOVERY_ERRORS.FORBIDDEN) {
+    // Refused by the outbound policy when connecting (see `OutboundPolicy`)
+    return new DiscoveryError(error.message.replace(/^.*reason: /, ''),
+      DISCOVERY_ERRORS.FORBIDDEN, error)
+  }
+
+  switch (error.type) {
+    case 'request-timeout':
+    case 'body-timeout':
+      return new DiscoveryError(`Timed out after ${limits.timeout} ms fetching ${uri} to discover provider`,
+        DISCOVERY_ERRORS.TIMEOUT, error)
+    case 'max-size':
+      return new DiscoveryError(`${resource} ${uri} is too large (over ${limits.maxSize} bytes)`,
+        DISCOVERY_ERRORS.TOO_LARGE, error)
+    default:
+      return new DiscoveryError(`Could not reach ${uri} to discover provider`,
+        DISCOVERY_ERRORS.UNREACHABLE, error)
+  }
+}
+
+/**
+ * @param [previous] {Object} Result of a previous discovery request
+ *
+ * @return {Object} Request headers
+ */
+function conditionalHeaders (previous) {
+  return (previous && previous.etag) ? { 'If-None-Match': previous.etag } : {}
+}
+
+/**
+ * Fetches a uri, with the conditional request headers of a previous result.
+ * A 304 Not Modified response that does not revalidate a previous result
+ * (sent to a request that was not conditional, by a misbehaving server or
+ * cache) is discarded, and the uri fetched again, bypassing caches.
+ *
+ * @param uri {string}
+ * @param init {Object} node-fetch request options
+ * @param [previous] {Object} Result of a previous discovery request
+ * @param [options={}] {Object} Fetch limits
+ *
+ * @return {Promise<Response>}
+ */
+function fetchConditionally (uri, init, previous, options = {}) {
+  const headers = Object.assign({}, init.headers, conditionalHeaders(previous))
+
+  return fetchWithLimits(uri, Object.assign({}, init, { headers }), options)
+    .then(response => {
+      if (response.status !== 304 || isRevalidation(previous, response)) {
+        return response
+      }
+
+      response.body.resume()
+
+      const plainHeaders = Object.assign({}, init.headers, { 'Cache-Control': 'no-cache' })
+
+      return fetchWithLimits(uri, Object.assign({}, init, { headers: plainHeaders }), options)
+    })
+}
+
+/**
+ * @param [previous] {Object} Result of a previous discovery request
+ * @param response {Response}
+ *
+ * @return {boolean} Whether the response is a 304 Not Modified for the
+ *   previous result (which the request was conditional on)
+ */
+function isRevalidation (previous, response) {
+  return response.status === 304 &&
+    !!(previous && previous.etag && previous.providerUris)
+}
+
+/**
+ * @param previous {Object} Result of a previous discovery request
+ * @param response {Response} 304 Not Modified response
+ *
+ * @return {Object} The previous result, with updated cache headers
+ */
+function revalidated (previous, response) {
+  return {
+    providerUris: previous.providerUris,
+    etag: response.headers.get('etag') || previous.etag,
+    cacheControl: response.headers.get('cache-control')
+  }
+}
+
+/**
+ * Returns the contents of the (first) OIDC issuer Link rel header.
  *
  * @see https://openid.net/specs/openid-connect-discovery-1_0.html#IssuerDiscovery
  *
@@ -117,9 +858,35 @@ function discoverFromProfile (webId) {
  * @return {string}
  */
 function parseProviderLink (headers) {
-  const links = li.parse(headers.get('link')) || {}
+  return parseProviderLinks(headers)[0]
+}
+
+/**
+ * @param headers {Headers} Response headers from an OPTIONS call
+ *
+ * @return {Array<string>} Targets of all the OIDC issuer Link rel headers
+ */
+function parseProviderLinks (headers) {
+  const header = headers.get('link')
+
+  if (!header) {
+    return []
+  }
+
+  const links = li.parse(header, { extended: true }) || []
 
-  return links['http://openid.net/specs/connect/1.0/issuer']
+  return unique(links
+    .filter(link => link.rel.includes(OIDC_ISSUER_REL))
+    .map(link => link.link))
+}
+
+/**
+ * @param values {Array<string>}
+ *
+ * @return {Array<string>} Values, without duplicates
+ */
+function unique (values) {
+  return values.filter((value, index) => values.indexOf(value) === index)
 }
 
 /**
@@ -131,10 +898,9 @@ function parseProviderLink (headers) {
  */
 function validateProviderUri (provider, webId) {
   if (!provider) {
-    const error = new Error(`OIDC issuer not advertised for ${webId}.
-    See https://github.com/solid/webid-oidc-spec#authorized-oidc-issuer-discovery`)
-    error.statusCode = 400
-    throw error
+    throw new DiscoveryError(`OIDC issuer not advertised for ${webId}.
+    See https://github.com/solid/webid-oidc-spec#authorized-oidc-issuer-discovery`,
+    DISCOVERY_ERRORS.NO_ISSUER)
   }
 
   if (!validUrl.isUri(provider)) {
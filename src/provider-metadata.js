@@ -0,0 +1,135 @@
+'use strict'
+
+const validUrl = require('valid-url')
+const { issuersMatch } = require('./issuer')
+const DiscoveryError = require('./errors/discovery-error')
+const { DISCOVERY_ERRORS } = DiscoveryError
+
+// Endpoints the relying party needs from a provider
+const REQUIRED_ENDPOINTS = ['authorization_endpoint', 'token_endpoint', 'jwks_uri']
+
+// The RP starts the Authorization Code workflow, and expects RS256 signed
+// ID Tokens (see `MultiRpClient` and `@solid/oidc-rp`)
+const REQUIRED_RESPONSE_TYPE = 'code'
+const REQUIRED_SIGNING_ALG = 'RS256'
+
+/**
+ * Validated OpenID Provider metadata (the contents of a provider's
+ * `/.well-known/openid-configuration` document).
+ *
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderMetadata
+ */
+class ProviderMetadata {
+  /**
+   * @constructor
+   *
+   * @param metadata {Object} Provider metadata document
+   */
+  constructor (metadata) {
+    this.issuer = metadata.issuer
+    this.authorizationEndpoint = metadata.authorization_endpoint
+    this.tokenEndpoint = metadata.token_endpoint
+    this.userinfoEndpoint = metadata.userinfo_endpoint
+    this.jwksUri = metadata.jwks_uri
+    this.registrationEndpoint = metadata.registration_endpoint
+    this.endSessionEndpoint = metadata.end_session_endpoint
+    this.responseTypesSupported = metadata.response_types_supported || []
+    this.idTokenSigningAlgValuesSupported = metadata.id_token_signing_alg_values_supported || []
+    this.scopesSupported = metadata.scopes_supported || []
+  }
+
+  /**
+   * Validates a provider metadata document, and returns it as a
+   * ProviderMetadata instance.
+   *
+   * @param metadata {Object} Provider metadata document
+   * @param expectedIssuer {string} Issuer the document was fetched for
+   *
+   * @throws {DiscoveryError} With the DISCOVERY_INVALID_METADATA code, listing
+   *   every problem with the document
+   *
+   * @return {ProviderMetadata}
+   */
+  static from (metadata, expectedIssuer) {
+    const problems = ProviderMetadata.validate(metadata, expectedIssuer)
+
+    if (problems.length > 0) {
+      throw new DiscoveryError(
+        `Invalid OpenID configuration for ${expectedIssuer}: ${problems.join('; ')}`,
+        DISCOVERY_ERRORS.INVALID_METADATA
+      )
+    }
+
+    return new ProviderMetadata(metadata)
+  }
+
+  /**
+   * @param metadata {Object} Provider metadata document
+   * @param expectedIssuer {string}
+   *
+   * @return {Array<string>} Problems with the document (empty if valid)
+   */
+  static validate (metadata, expectedIssuer) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return ['not a JSON object']
+    }
+
+    const problems = []
+
+    if (!issuersMatch(metadata.issuer, expectedIssuer)) {
+      problems.push(`issuer ${metadata.issuer} does not match ${expectedIssuer}`)
+    }
+
+    REQUIRED_ENDPOINTS.forEach(endpoint => {
+      if (!validUrl.isWebUri(metadata[endpoint])) {
+        problems.push(`${endpoint} is missing or not a valid URL`)
+      }
+    })
+
+    const metadataObject = new ProviderMetadata(metadata)
+
+    if (!metadataObject.supportsResponseType(REQUIRED_RESPONSE_TYPE)) {
+      problems.push(`response type '${REQUIRED_RESPONSE_TYPE}' is not supported`)
+    }
+
+    if (!metadataObject.supportsSigningAlg(REQUIRED_SIGNING_ALG)) {
+      problems.push(`ID Token signing algorithm ${REQUIRED_SIGNING_ALG} is not supported`)
+    }
+
+    return problems
+  }
+
+  /**
+   * @param responseType {string} e.g. 'code' or 'id_token token' (the order
+   *   of space separated values does not matter)
+   *
+   * @return {boolean}
+   */
+  supportsResponseType (responseType) {
+    const expected = responseTypeSet(responseType)
+
+    return Array.isArray(this.responseTypesSupported) &&
+      this.responseTypesSupported.some(type => responseTypeSet(type) === expected)
+  }
+
+  /**
+   * @param alg {string} JWA algorithm, e.g. 'RS256'
+   *
+   * @return {boolean}
+   */
+  supportsSigningAlg (alg) {
+    return Array.isArray(this.idTokenSigningAlgValuesSupported) &&
+      this.idTokenSigningAlgValuesSupported.includes(alg)
+  }
+}
+
+/**
+ * @param responseType {string}
+ *
+ * @return {string} Space separated values, sorted
+ */
+function responseTypeSet (responseType) {
+  return String(responseType).split(' ').filter(Boolean).sort().join(' ')
+}
+
+module.exports = ProviderMetadata
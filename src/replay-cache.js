@@ -0,0 +1,240 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const DEFAULT_MAX_ENTRIES = 100000
+
+// Collection of the op store the seen proofs are kept in
+const DEFAULT_COLLECTION = 'dpop-proofs'
+
+// How often (in ms) the expired entries are deleted from the backend
+const DEFAULT_PRUNE_INTERVAL = 60 * 1000
+
+// How many entries are deleted at once while pruning
+const DEFAULT_PRUNE_CONCURRENCY = 10
+
+// Width of the expiry prefix of the backend keys (so that they sort by expiry)
+const EXPIRY_DIGITS = 15
+
+/**
+ * In-memory record of the DPoP proof `jti`s seen by the resource server,
+ * until the proofs expire (see `DpopVerifier`).
+ *
+ * A replay cache is any object with an `add(key, expiresAt)` method,
+ * resolving to `false` if the key was added before and has not expired yet
+ * (a replayed proof), `true` otherwise. This one is per process: proofs can
+ * be replayed against the other processes of a multi-process deployment.
+ */
+class MemoryReplayCache {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.maxEntries=100000] {number} Past this size, the oldest
+   *   entries are evicted, even if they have not expired
+   */
+  constructor (options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES
+
+    this.entries = new Map()
+  }
+
+  /**
+   * @return {number}
+   */
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * @param key {string} Proof `jti`
+   * @param expiresAt {number} Timestamp (in ms) past which the proof is
+   *   refused anyway, and the key can be forgotten
+   * @param [now=Date.now()] {number}
+   *
+   * @return {Promise<boolean>} Whether the key is new
+   */
+  add (key, expiresAt, now = Date.now()) {
+    return Promise.resolve()
+      .then(() => {
+        const existing = this.entries.get(key)
+
+        if (existing !== undefined && existing > now) {
+          return false
+        }
+
+        this.entries.delete(key)
+        this.entries.set(key, expiresAt)
+        this.prune(now)
+
+        return true
+      })
+  }
+
+  /**
+   * Drops the oldest entries, while they have expired or the cache is over
+   * `maxEntries` (entries are added in roughly the order they expire).
+   *
+   * @param [now=Date.now()] {number}
+   */
+  prune (now = Date.now()) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt > now && this.entries.size <= this.maxEntries) {
+        break
+      }
+
+      this.entries.delete(key)
+    }
+  }
+}
+
+/**
+ * Replay cache kept in a storage backend (see `storage/index.js`), so that
+ * the processes of a deployment sharing the backend (the 'sqlite' one, for
+ * example) refuse the proofs any of them has seen. Used by the resource
+ * server by default, with the provider's ('op') backend.
+ *
+ * Entries are stored under their expiry followed by the hash of the `jti`
+ * (which may be any string), and written with the backend's atomic
+ * `putIfAbsent()`: of two processes getting the same proof at the same
+ * instant, only one accepts it. (With backends that do not implement it,
+ * the check and the write are separate calls, and both may accept it.) The
+ * processes must share the `DpopVerifier` `maxAge` and `clockSkew`, from
+ * which the expiry is computed.
+ *
+ * Expired entries are deleted every `pruneInterval`, going by their keys
+ * (without reading the entries).
+ */
+class BackendReplayCache {
+  /**
+   * @constructor
+   *
+   * @param options {Object}
+   * @param options.backend {Object} Storage backend
+   * @param [options.collection='dpop-proofs'] {string} One of the backend's
+   *   collections
+   * @param [options.pruneInterval=60000] {number} In ms
+   * @param [options.pruneConcurrency=10] {number} Max number of entries
+   *   deleted at once while pruning
+   */
+  constructor (options) {
+    this.backend = options.backend
+    this.collection = options.collection || DEFAULT_COLLECTION
+    this.pruneInterval = options.pruneInterval !== undefined
+      ? options.pruneInterval
+      : DEFAULT_PRUNE_INTERVAL
+    this.pruneConcurrency = options.pruneConcurrency || DEFAULT_PRUNE_CONCURRENCY
+    this.lastPruned = 0
+  }
+
+  /**
+   * @param key {string} Proof `jti`
+   * @param expiresAt {number} Timestamp (in ms)
+   * @param [now=Date.now()] {number}
+   *
+   * @return {Promise<boolean>} Whether the key is new
+   */
+  add (key, expiresAt, now = Date.now()) {
+    const storeKey = BackendReplayCache.storeKeyFor(key, expiresAt)
+    const entry = { expiresAt }
+
+    this.schedulePrune(now)
+
+    if (this.backend.putIfAbsent) {
+      return this.backend.putIfAbsent(this.collection, storeKey, entry)
+    }
+
+    return this.backend.get(this.collection, storeKey)
+      .then(existing => {
+        if (existing) {
+          return false
+        }
+
+        return this.backend.put(this.collection, storeKey, entry)
+          .then(() => true)
+      })
+  }
+
+  /**
+   * Prunes the expired entries in the background, if the last time was over
+   * `pruneInterval` ago (failures are left for the next time).
+   *
+   * @param now {number}
+   */
+  schedulePrune (now) {
+    if (now - this.lastPruned < this.pruneInterval) {
+      return
+    }
+
+    this.lastPruned = now
+
+    this.prune(now).catch(() => {})
+  }
+
+  /**
+   * Deletes the expired entries (and any entry whose key has no expiry),
+   * `pruneConcurrency` at a time.
+   *
+   * @param [now=Date.now()] {number}
+   *
+   * @return {Promise<number>} Number of deleted entries
+   */
+  prune (now = Date.now()) {
+    return this.backend.list(this.collection)
+      .then(keys => {
+        const expired = keys.filter(key => {
+          const expiresAt = BackendReplayCache.expiryOf(key)
+
+          return expiresAt === null || expiresAt <= now
+        })
+
+        let deleted = 0
+
+        const deleteFrom = (index) => {
+          if (index >= expired.length) {
+            return deleted
+          }
+
+          const chunk = expired.slice(index, index + this.pruneConcurrency)
+
+          return Promise.all(chunk.map(key => this.backend.del(this.collection, key)))
+            .then(results => {
+              deleted += results.filter(Boolean).length
+
+              return deleteFrom(index + this.pruneConcurrency)
+            })
+        }
+
+        return deleteFrom(0)
+      })
+  }
+
+  /**
+   * @param key {string}
+   * @param expiresAt {number} Timestamp (in ms)
+   *
+   * @return {string} fs- and uri-safe backend key: the zero-padded expiry,
+   *   and the hash of the key
+   */
+  static storeKeyFor (key, expiresAt) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex')
+
+    return `${String(Math.ceil(expiresAt)).padStart(EXPIRY_DIGITS, '0')}-${hash}`
+  }
+
+  /**
+   * @param storeKey {string} See `storeKeyFor()`
+   *
+   * @return {number|null} Expiry of the entry, `null` if the key has none
+   */
+  static expiryOf (storeKey) {
+    const match = /^(\d+)-[0-9a-f]{64}$/.exec(storeKey)
+
+    return match ? parseInt(match[1]) : null
+  }
+}
+
+module.exports = {
+  BackendReplayCache,
+  MemoryReplayCache
+}
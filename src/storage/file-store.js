@@ -0,0 +1,73 @@
+'use strict'
+
+const fs = require('fs-extra')
+const KVPFileStore = require('kvplus-files')
+
+/**
+ * On-disk Key/Value store (one directory per collection, one file per key).
+ * Extends `kvplus-files` with the `list()` method required by the storage
+ * backend contract (see `./index.js`), and with `putIfAbsent()`.
+ *
+ * @see https://github.com/solid/kvplus-files
+ */
+class FileStore extends KVPFileStore {
+  /**
+   * Stores a value, unless the key already exists. The file is created
+   * exclusively (`wx`), so of concurrent calls (from any process sharing the
+   * directory), only one succeeds.
+   *
+   * @param collectionName {string}
+   * @param key {string}
+   * @param data {Object}
+   *
+   * @return {Promise<boolean>} Resolves to `false` if the key existed
+   */
+  putIfAbsent (collectionName, key, data) {
+    if (!collectionName) {
+      return Promise.reject(new TypeError('Cannot call putIfAbsent() using an empty collection name'))
+    }
+    if (!key) {
+      return Promise.reject(new TypeError('Cannot call putIfAbsent() using an empty key'))
+    }
+
+    const filePath = this.absolutePathFor(collectionName, key)
+
+    return fs.writeFile(filePath, this.serialize(data), { flag: 'wx' })
+      .then(() => true)
+      .catch(error => {
+        if (error.code === 'EEXIST') {
+          return false
+        }
+        throw error
+      })
+  }
+
+  /**
+   * @param collectionName {string}
+   *
+   * @return {Promise<Array<string>>} Keys stored in the collection
+   */
+  list (collectionName) {
+    if (!collectionName) {
+      return Promise.reject(new TypeError('Cannot call list() using an empty collection name'))
+    }
+
+    const collectionPath = this.absolutePathFor(collectionName)
+    const suffix = '.' + this.fileExt
+
+    return fs.readdir(collectionPath)
+      .then(fileNames => {
+        return fileNames
+          .filter(name => name.startsWith(this.filePrefix) && name.endsWith(suffix))
+          .map(name => name.slice(this.filePrefix.length, -suffix.length))
+      })
+      .catch(error => {
+        if (error.code === 'ENOENT') {
+          return []
+        }
+        throw error
+      })
+  }
+}
+
+module.exports = FileStore
@@ -0,0 +1,82 @@
+'use strict'
+
+/**
+ * Storage backends for the auth-related collections (RP clients, OP codes /
+ * clients / tokens / refresh tokens, users and the users-by-email index).
+ *
+ * A backend is any object implementing the following contract (all keys are
+ * already fs- and uri-safe strings by the time they reach the backend):
+ *
+ *   - `initCollections()` - Synchronous. Creates the collections the backend
+ *     was constructed with (directories, tables etc), if they do not exist.
+ *   - `get(collectionName, key)` - Resolves to the deserialized value, or
+ *     `null` if no such key exists.
+ *   - `put(collectionName, key, data)` - Serializes and stores the value,
+ *     overwriting any previous one. Rejects if the collection does not exist.
+ *   - `putIfAbsent(collectionName, key, data)` - Optional. Stores the value
+ *     only if the key does not exist, atomically (even across the processes
+ *     sharing the backend). Resolves to `true` if the value was stored,
+ *     `false` if the key existed. Used by `BackendReplayCache`.
+ *   - `del(collectionName, key)` - Resolves to `true` if a value was deleted,
+ *     `false` if the key did not exist.
+ *   - `list(collectionName)` - Resolves to an array of keys in the collection.
+ *   - `batch(operations)` - Optional. Applies an array of
+ *     `{ type: 'put'|'del', collection, key, [data] }` writes atomically.
+ *     Used where partial writes would leave records inconsistent (for
+ *     example, by `UserStore.createUser()`).
+ *   - `serialize` / `deserialize` - Overridable hook properties, applied on
+ *     `put()` and `get()` respectively (the RP client store replaces them).
+ *
+ * A backend factory is a function that receives
+ * `{ name, path, dbPath, collections, [readOnly] }` (where `name` is one of
+ * 'rp', 'op' or 'users', and `path` is the matching entry from
+ * `OidcManager.storePathsFrom()`) and returns a backend instance. `readOnly`
+ * is set for stores that are only read from (the source of `migrateStore()`),
+ * which should then not be created if missing. Along with
+ * the data collections, `collections` includes the store's `health-checks`
+ * collection, where `OidcManager.status()` writes its probe records.
+ */
+
+const FileStore = require('./file-store')
+const MemoryStore = require('./memory-store')
+const SqliteStore = require('./sqlite-store')
+
+const BACKEND_FACTORIES = {
+  file: ({ path, collections }) => new FileStore({ path, collections }),
+  memory: ({ collections }) => new MemoryStore({ collections }),
+  sqlite: ({ name, dbPath, collections, readOnly }) => {
+    return SqliteStore.from({ name, dbPath, collections, readOnly })
+  }
+}
+
+/**
+ * Returns a backend factory function for the given `backend` config value.
+ *
+ * @param [backend='file'] {string|Function} Either the name of a built-in
+ *   backend ('file', 'memory' or 'sqlite'), or a custom backend factory
+ *   function.
+ *
+ * @throws {Error} If the backend name is not recognized
+ *
+ * @return {Function}
+ */
+function backendFactoryFor (backend = 'file') {
+  if (typeof backend === 'function') {
+    return backend
+  }
+
+  const factory = BACKEND_FACTORIES[backend]
+
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${backend}`)
+  }
+
+  return factory
+}
+
+module.exports = {
+  FileStore,
+  MemoryStore,
+  SqliteStore,
+  backendFactoryFor
+}
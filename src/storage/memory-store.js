@@ -0,0 +1,206 @@
+'use strict'
+
+/**
+ * In-memory Key/Value store, implementing the same backend contract as
+ * `FileStore` (see `./index.js`). Useful for tests and for ephemeral
+ * deployments where nothing needs to survive a restart.
+ *
+ * Values are kept in their serialized form, so that the `serialize` /
+ * `deserialize` hooks behave the same way as with the on-disk store (and so
+ * that callers never share object references with the store).
+ */
+class MemoryStore {
+  /**
+   * @constructor
+   *
+   * @param [options={}] {Object}
+   * @param [options.collections] {Array<string>}
+   */
+  constructor (options = {}) {
+    this.collections = options.collections || []
+    this.data = new Map()
+
+    this.serialize = (data) => {
+      return typeof data === 'string' ? data : JSON.stringify(data)
+    }
+    this.deserialize = (data) => JSON.parse(data)
+  }
+
+  /**
+   * Creates the collections passed in to the constructor (if they do not
+   * already exist).
+   * Synchronous.
+   */
+  initCollections () {
+    for (const collectionName of this.collections) {
+      this.createCollectionSync(collectionName)
+    }
+  }
+
+  /**
+   * @param collectionName {string}
+   *
+   * @throws {TypeError} If collection name is empty
+   */
+  createCollectionSync (collectionName) {
+    if (!collectionName) {
+      throw new TypeError('Cannot create empty collection name')
+    }
+
+    if (!this.data.has(collectionName)) {
+      this.data.set(collectionName, new Map())
+    }
+  }
+
+  /**
+   * @param collectionName {string}
+   * @param key {string}
+   *
+   * @return {Promise<Object|null>} Resolves to `null` if not found
+   */
+  get (collectionName, key) {
+    return Promise.resolve()
+      .then(() => {
+        const collection = this.data.get(collectionName)
+
+        if (!collection || !collection.has(key)) {
+          return null
+        }
+
+        return this.deserialize(collection.get(key))
+      })
+  }
+
+  /**
+   * @param collectionName {string}
+   * @param key {string}
+   * @param data {Object}
+   *
+   * @return {Promise<boolean>}
+   */
+  put (collectionName, key, data) {
+    return Promise.resolve()
+      .then(() => {
+        const collection = this.collectionFor(collectionName, key, 'put')
+
+        collection.set(key, this.serialize(data))
+
+        return true
+      })
+  }
+
+  /**
+   * Stores a value, unless the key already exists.
+   *
+   * @param collectionName {string}
+   * @param key {string}
+   * @param data {Object}
+   *
+   * @return {Promise<boolean>} Resolves to `false` if the key existed
+   */
+  putIfAbsent (collectionName, key, data) {
+    return Promise.resolve()
+      .then(() => {
+        const collection = this.collectionFor(collectionName, key, 'putIfAbsent')
+
+        if (collection.has(key)) {
+          return false
+        }
+
+        collection.set(key, this.serialize(data))
+
+        return true
+      })
+  }
+
+  /**
+   * @param collectionName {string}
+   * @param key {string}
+   *
+   * @return {Promise<boolean>} Resolves to `false` if the key did not exist
+   */
+  del (collectionName, key) {
+    return Promise.resolve()
+      .then(() => {
+        const collection = this.collectionFor(collectionName, key, 'del')
+
+        return collection.delete(key)
+      })
+  }
+
+  /**
+   * @param collectionName {string}
+   *
+   * @return {Promise<Array<string>>} Keys stored in the collection
+   */
+  list (collectionName) {
+    return Promise.resolve()
+      .then(() => {
+        const collection = this.data.get(collectionName)
+
+        return collection ? Array.from(collection.keys()) : []
+      })
+  }
+
+  /**
+   * Applies several writes at once (all operations are validated before any
+   * of them is applied).
+   *
+   * @param operations {Array<Object>} `{ type: 'put'|'del', collection, key,
+   *   [data] }` operations
+   *
+   * @return {Promise<boolean>}
+   */
+  batch (operations) {
+    return Promise.resolve()
+      .then(() => {
+        const writes = operations.map(op => {
+          const collection = this.collectionFor(op.collection, op.key, op.type)
+          const value = op.type === 'put' ? this.serialize(op.data) : null
+
+          return { type: op.type, collection, key: op.key, value }
+        })
+
+        for (const write of writes) {
+          if (write.type === 'put') {
+            write.collection.set(write.key, write.value)
+          } else {
+            write.collection.delete(write.key)
+          }
+        }
+
+        return true
+      })
+  }
+
+  /**
+   * @private
+   *
+   * @param collectionName {string}
+   * @param key {string}
+   * @param operation {string} Name of the calling method, for error messages
+   *
+   * @throws {TypeError} If collection name or key is empty
+   * @throws {Error} If the collection has not been created
+   *
+   * @return {Map}
+   */
+  collectionFor (collectionName, key, operation) {
+    if (!collectionName) {
+      throw new TypeError(`Cannot ${operation}() using an empty collection name`)
+    }
+    if (!key) {
+      throw new TypeError(`Cannot ${operation}() using an empty key`)
+    }
+
+    const collection = this.data.get(collectionName)
+
+    if (!collection) {
+      throw new Error(`Error in ${operation}() - collection ${JSON.stringify(collectionName)} does not exist`)
+    }
+
+    return collection
+  }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,286 @@
+'use strict'
+
+const fs = require('fs-extra')
+const path = require('path')
+
+const DEFAULT_FILE_NAME = 'oidc.sqlite'
+
+/**
+ * SQLite-backed Key/Value store, implementing the storage backend contract
+ * (see `./index.js`). All stores ('rp', 'op', 'users') share a single
+ * database file, with one row per key in a `kv` table:
+ *
+ *   kv (store TEXT, collection TEXT, key TEXT, value TEXT)
+ *
+ * Values are stored in their serialized (JSON) form, so they can be queried
+ * with the SQLite JSON functions.
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+class SqliteStore {
+  /**
+   * @constructor
+   *
+   * @param options {Object}
+   * @param options.name {string} Store name ('rp', 'op' or 'users'), used to
+   *   keep identically named collections of different stores apart
+   * @param options.fileName {string} Path to the database file
+   * @param [options.collections] {Array<string>}
+   * @param [options.readOnly=false] {boolean} Open an existing database file
+   *   read-only (it is then never created, nor its schema)
+   */
+  constructor (options) {
+    this.name = options.name
+    this.fileName = options.fileName
+    this.collections = options.collections || []
+    this.readOnly = !!options.readOnly
+    this.connection = null
+
+    this.serialize = (data) => {
+      return typeof data === 'string' ? data : JSON.stringify(data)
+    }
+    this.deserialize = (data) => JSON.parse(data)
+  }
+
+  /**
+   * Factory method, constructs a store for a single database file in the
+   * given db folder.
+   *
+   * @param options {Object}
+   * @param options.name {string}
+   * @param options.dbPath {string} Folder in which to keep the database file
+   * @param [options.collections] {Array<string>}
+   * @param [options.readOnly=false] {boolean}
+   *
+   * @return {SqliteStore}
+   */
+  static from (options) {
+    const fileName = path.resolve(options.dbPath, DEFAULT_FILE_NAME)
+
+    return new SqliteStore({
+      name: options.name,
+      fileName,
+      collections: options.collections,
+      readOnly: options.readOnly
+    })
+  }
+
+  /**
+   * Lazily opened database connection (creates the database file, and its
+   * containing folder, on first use, unless opened read-only).
+   *
+   * @throws {Error} If the `better-sqlite3` package is not installed, or a
+   *   read-only database file does not exist
+   *
+   * @return {Database}
+   */
+  get db () {
+    if (!this.connection) {
+      let Database
+
+      try {
+        Database = require('better-sqlite3')
+      } catch (error) {
+        throw new Error('The sqlite storage backend requires the better-sqlite3 package')
+      }
+
+      if (this.readOnly) {
+        if (!fs.existsSync(this.fileName)) {
+          throw new Error(`Database file not found: ${this.fileName}`)
+        }
+
+        this.connection = new Database(this.fileName, { readonly: true, fileMustExist: true })
+        return this.connection
+      }
+
+      fs.mkdirpSync(path.dirname(this.fileName))
+
+      this.connection = new Database(this.fileName)
+      this.connection.pragma('journal_mode = WAL')
+      this.connection.exec(`CREATE TABLE IF NOT EXISTS kv (
+        store TEXT NOT NULL,
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (store, collection, key)
+      )`)
+    }
+
+    return this.connection
+  }
+
+  /**
+   * Creates the database file and schema.
+   * Synchronous.
+   */
+  initCollections () {
+    return this.db
+  }
+
+  /**
+   * @param collectionName {string}
+   * @param key {string}
+   *
+   * @return {Promise<Object|null>} Resolves to `null` if not found
+   */
+  get (collectionName, key) {
+    return Promise.resolve()
+      .then(() => {
+        const row = this.db
+          .prepare('SELECT value FROM kv WHERE store = ? AND collection = ? AND key = ?')
+          .get(this.name, collectionName, key)
+
+        return row ? this.deserialize(row.value) : null
+      })
+  }
+
+  /**
+   * @param collectionName {string}
+   * @param key {string}
+   * @param data {Object}
+   *
+   * @return {Promise<boolean>}
+   */
+  put (collectionName, key, data) {
+    return this.batch([{ type: 'put', collection: collectionName, key, data }])
+  }
+
+  /**
+   * Stores a value, unless the key already exists (atomically, for all the
+   * processes sharing the database file).
+   *
+   * @param collectionName {string}
+   * @param key {string}
+   * @param data {Object}
+   *
+   * @return {Promise<boolean>} Resolves to `false` if the key existed
+   */
+  putIfAbsent (collectionName, key, data) {
+    return Promise.resolve()
+      .then(() => {
+        this.validateKey(collectionName, key, 'putIfAbsent')
+
+        const result = this.db
+          .prepare('INSERT OR IGNORE INTO kv (store, collection, key, value) VALUES (?, ?, ?, ?)')
+          .run(this.name, collectionName, key, this.serialize(data))
+
+        return result.changes > 0
+      })
+  }
+
+  /**
+   * @param collectionName {string}
+   * @param key {string}
+   *
+   * @return {Promise<boolean>} Resolves to `false` if the key did not exist
+   */
+  del (collectionName, key) {
+    return Promise.resolve()
+      .then(() => {
+        this.validateKey(collectionName, key, 'del')
+
+        const result = this.db
+          .prepare('DELETE FROM kv WHERE store = ? AND collection = ? AND key = ?')
+          .run(this.name, collectionName, key)
+
+        return result.changes > 0
+      })
+  }
+
+  /**
+   * @param collectionName {string}
+   *
+   * @return {Promise<Array<string>>} Keys stored in the collection
+   */
+  list (collectionName) {
+    return Promise.resolve()
+      .then(() => {
+        return this.db
+          .prepare('SELECT key FROM kv WHERE store = ? AND collection = ? ORDER BY key')
+          .pluck()
+          .all(this.name, collectionName)
+      })
+  }
+
+  /**
+   * Applies several writes in a single transaction (either all of them are
+   * stored, or none are).
+   *
+   * @param operations {Array<Object>}
+   * @param operations[].type {string} Either 'put' or 'del'
+   * @param operations[].collection {string}
+   * @param operations[].key {string}
+   * @param [operations[].data] {Object} Value to store, for 'put' operations
+   *
+   * @return {Promise<boolean>}
+   */
+  batch (operations) {
+    return Promise.resolve()
+      .then(() => {
+        const rows = operations.map(op => {
+          this.validateKey(op.collection, op.key, op.type)
+
+          return {
+            type: op.type,
+            collection: op.collection,
+            key: op.key,
+            value: op.type === 'put' ? this.serialize(op.data) : null
+          }
+        })
+
+        const insert = this.db.prepare(
+          'INSERT OR REPLACE INTO kv (store, collection, key, value) VALUES (?, ?, ?, ?)')
+        const remove = this.db.prepare(
+          'DELETE FROM kv WHERE store = ? AND collection = ? AND key = ?')
+
+        const writeAll = this.db.transaction(() => {
+          for (const row of rows) {
+            if (row.type === 'put') {
+              insert.run(this.name, row.collection, row.key, row.value)
+            } else {
+              remove.run(this.name, row.collection, row.key)
+            }
+          }
+        })
+
+        writeAll()
+
+        return true
+      })
+  }
+
+  /**
+   * Closes the database connection (it is re-opened on next use).
+   */
+  close () {
+    if (this.connection) {
+      this.connection.close()
+      this.connection = null
+    }
+  }
+
+  /**
+   * @private
+   *
+   * @param collectionName {string}
+   * @param key {string}
+   * @param operation {string}
+   *
+   * @throws {TypeError} If collection name or key is empty
+   * @throws {Error} If the collection is not one of this store's collections
+   */
+  validateKey (collectionName, key, operation) {
+    if (!collectionName) {
+      throw new TypeError(`Cannot ${operation}() using an empty collection name`)
+    }
+    if (!key) {
+      throw new TypeError(`Cannot ${operation}() using an empty key`)
+    }
+    if (!this.collections.includes(collectionName)) {
+      throw new Error(`Error in ${operation}() - collection ${JSON.stringify(collectionName)} does not exist`)
+    }
+  }
+}
+
+module.exports = SqliteStore
+module.exports.DEFAULT_FILE_NAME = DEFAULT_FILE_NAME
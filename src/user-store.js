@@ -1,9 +1,11 @@
 'use strict'
 
-const KVPFileStore = require('kvplus-files')
+const FileStore = require('./storage/file-store')
 const bcrypt = require('bcryptjs')
+const { EVENTS, emitEvent } = require('./events')
 
 const DEFAULT_SALT_ROUNDS = 10
+const COLLECTIONS = ['users', 'users-by-email']
 
 class UserStore {
   /**
@@ -17,13 +19,17 @@ class UserStore {
    *   salt rounds.
    * @see https://www.npmjs.com/package/bcrypt
    *
-   * @param [options.backend] {KVPFileStore} Optional Key/Value file store
-   *   (will be initialized if not passed in).
-   * @see https://github.com/solid/kvplus-files
+   * @param [options.backend] {Object} Optional Key/Value storage backend
+   *   (a `FileStore` will be initialized if not passed in).
+   * @see src/storage/index.js
+   *
+   * @param [options.events] {EventEmitter} Emitter for the 'user:created'
+   *   lifecycle event (typically the OidcManager)
    */
   constructor (options) {
     this.backend = options.backend
     this.saltRounds = options.saltRounds
+    this.events = options.events
   }
 
   /**
@@ -43,6 +49,9 @@ class UserStore {
    * @param options.path {string} Directory path where the various collections
    *   (users etc) will be stored. Used to initialize a backend.
    *
+   * @param [options.backend] {Object} Storage backend, if not passed in, a
+   *   `FileStore` is initialized from `options.path`.
+   *
    * @param [options.saltRounds] {number} Number of `bcrypt` password hash
    *   salt rounds.
    *
@@ -51,14 +60,16 @@ class UserStore {
   static from (options) {
     options.saltRounds = options.saltRounds || DEFAULT_SALT_ROUNDS
 
-    const storeOptions = UserStore.backendOptionsFor(options.path)
-    options.backend = new KVPFileStore(storeOptions)
+    if (!options.backend) {
+      const storeOptions = UserStore.backendOptionsFor(options.path)
+      options.backend = new FileStore(storeOptions)
+    }
 
     return new UserStore(options)
   }
 
   /**
-   * Constructs and returns options for initializing a default KVPFileStore
+   * Constructs and returns options for initializing a default FileStore
    * instance.
    *
    * @param path {string} Directory path where the various collections
@@ -70,7 +81,7 @@ class UserStore {
   static backendOptionsFor (path) {
     return {
       path,
-      collections: ['users', 'users-by-email']
+      collections: COLLECTIONS
     }
   }
 
@@ -114,6 +125,9 @@ class UserStore {
    * collection, and makes an index entry into the 'users-by-email' collection
    * if applicable.
    *
+   * If the backend supports batch writes, all of the user's records are
+   * written in a single `batch()` call, so that they are never half-written.
+   *
    * @param user {UserAccount} User account currently being created
    * @param password {string} User's login password
    *
@@ -131,11 +145,58 @@ class UserStore {
       .then(hashedPassword => {
         user.hashedPassword = hashedPassword
 
+        if (this.backend.batch) {
+          return this.backend.batch(this.userRecordOperations(user))
+        }
+
         return this.saveUser(user)
+          .then(() => this.saveUserByEmail(user))
       })
-      .then(() => {
-        return this.saveUserByEmail(user)
+      .then(result => {
+        emitEvent(this.events, EVENTS.USER_CREATED, { userId: user.id })
+
+        return result
+      })
+  }
+
+  /**
+   * Returns the backend write operations that store a new user: the optional
+   * alias record, the user record itself, and the 'users-by-email' index
+   * entry (if applicable).
+   *
+   * @param user {UserAccount}
+   *
+   * @return {Array<Object>} Operations for `backend.batch()`
+   */
+  userRecordOperations (user) {
+    const operations = []
+
+    if (user.localAccountId) {
+      operations.push({
+        type: 'put',
+        collection: 'users',
+        key: UserStore.normalizeIdKey(user.localAccountId),
+        data: { link: user.id }
+      })
+    }
+
+    operations.push({
+      type: 'put',
+      collection: 'users',
+      key: UserStore.normalizeIdKey(user.id),
+      data: user
+    })
+
+    if (user.email) {
+      operations.push({
+        type: 'put',
+        collection: 'users-by-email',
+        key: UserStore.normalizeEmailKey(user.email),
+        data: { id: user.id }
       })
+    }
+
+    return operations
   }
 
   /**
@@ -343,3 +404,4 @@ class UserStore {
 
 module.exports = UserStore
 module.exports.DEFAULT_SALT_ROUNDS = DEFAULT_SALT_ROUNDS
+module.exports.COLLECTIONS = COLLECTIONS
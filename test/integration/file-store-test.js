@@ -0,0 +1,66 @@
+'use strict'
+
+const fs = require('fs-extra')
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const FileStore = require('../../src/storage/file-store')
+const dbPath = './test/db'
+
+describe('FileStore (integration)', () => {
+  let store
+
+  beforeEach(() => {
+    fs.removeSync(dbPath)
+    store = new FileStore({ path: dbPath, collections: ['users'] })
+    store.initCollections()
+  })
+
+  afterEach(() => {
+    fs.removeSync(dbPath)
+  })
+
+  describe('putIfAbsent()', () => {
+    it('should only store a value if the key does not exist', () => {
+      return Promise.all([
+        store.putIfAbsent('users', 'alice', { id: 'alice' }),
+        store.putIfAbsent('users', 'alice', { id: 'mallory' })
+      ])
+        .then(results => {
+          expect(results.sort()).to.deep.equal([false, true])
+
+          return store.putIfAbsent('users', 'alice', { id: 'mallory' })
+        })
+        .then(stored => {
+          expect(stored).to.be.false()
+
+          return store.get('users', 'alice')
+        })
+        .then(result => {
+          expect(result.id).to.not.equal('mallory')
+        })
+    })
+  })
+
+  describe('list()', () => {
+    it('should list the keys in a collection', () => {
+      return Promise.all([
+        store.put('users', 'alice', { id: 'alice' }),
+        store.put('users', 'bob%40example.com', { id: 'bob' })
+      ])
+        .then(() => store.list('users'))
+        .then(keys => {
+          expect(keys.sort()).to.deep.equal(['alice', 'bob%40example.com'])
+        })
+    })
+
+    it('should return an empty list for a missing collection', () => {
+      return store.list('tokens')
+        .then(keys => {
+          expect(keys).to.deep.equal([])
+        })
+    })
+  })
+})
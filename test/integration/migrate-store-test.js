@@ -0,0 +1,137 @@
+'use strict'
+
+const fs = require('fs-extra')
+const path = require('path')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const { migrateStore, backendsFor } = require('../../src/migrate-store')
+const MemoryStore = require('../../src/storage/memory-store')
+const UserStore = require('../../src/user-store')
+
+const fromDbPath = './test/db/from'
+const toDbPath = './test/db/to'
+
+describe('migrateStore() (integration)', () => {
+  const from = { backend: 'file', dbPath: fromDbPath }
+  const to = { backend: 'sqlite', dbPath: toDbPath }
+  const debug = () => {}
+
+  beforeEach(() => {
+    fs.removeSync('./test/db')
+
+    const source = backendsFor(from)
+    Object.values(source).forEach(backend => backend.initCollections())
+
+    fs.writeFileSync(path.join(fromDbPath, 'op', 'provider.json'),
+      JSON.stringify({ issuer: 'https://example.com' }))
+
+    const users = new UserStore({ backend: source.users })
+    const user = {
+      id: 'example.com/profile#me',
+      email: 'alice@example.com',
+      hashedPassword: '$2a$10$abc'
+    }
+
+    return Promise.all([
+      users.saveUser(user),
+      users.saveUserByEmail(user),
+      users.saveAliasUserRecord('alice.solidtest.space/profile/card#me', user.id),
+      source.rp.put('clients', 'https%3A%2F%2Fexample.com', { provider: { url: 'https://example.com' } }),
+      source.op.put('tokens', 'abc', { payload: { sub: 'alice' } })
+    ])
+  })
+
+  afterEach(() => {
+    fs.removeSync('./test/db')
+  })
+
+  it('should copy and verify every collection and the provider config', () => {
+    return migrateStore({ from, to, debug })
+      .then(report => {
+        const counts = {}
+        report.collections.forEach(entry => {
+          counts[`${entry.store}/${entry.collection}`] = entry.count
+          expect(entry.verified).to.be.true()
+        })
+
+        expect(counts).to.deep.equal({
+          'rp/clients': 1,
+          'op/codes': 0,
+          'op/clients': 0,
+          'op/tokens': 1,
+          'op/refresh': 0,
+          'op/dpop-proofs': 0,
+          'users/users': 2,
+          'users/users-by-email': 1
+        })
+        expect(report.providerConfig).to.equal('copied')
+        expect(fs.existsSync(path.join(toDbPath, 'op', 'provider.json'))).to.be.true()
+
+        const target = backendsFor(to)
+        const users = new UserStore({ backend: target.users })
+
+        return users.findUser('alice.solidtest.space/profile/card#me')
+          .then(user => {
+            expect(user.email).to.equal('alice@example.com')
+            target.users.close()
+          })
+      })
+  })
+
+  it('should only report on a dry run', () => {
+    return migrateStore({ from, to, dryRun: true, debug })
+      .then(report => {
+        expect(report.dryRun).to.be.true()
+        expect(report.collections.every(entry => entry.verified === null)).to.be.true()
+        expect(report.providerConfig).to.equal('would copy')
+        expect(fs.existsSync(toDbPath)).to.be.false()
+      })
+  })
+
+  it('should verify only the copied records of a non-empty destination', () => {
+    const target = backendsFor(to)
+    Object.values(target).forEach(backend => backend.initCollections())
+
+    return target.op.put('tokens', 'xyz', { payload: { sub: 'bob' } })
+      .then(() => {
+        target.op.close()
+
+        return migrateStore({ from, to, debug })
+      })
+      .then(report => {
+        const tokens = report.collections.find(entry => entry.collection === 'tokens')
+        expect(tokens.count).to.equal(1)
+        expect(report.collections.every(entry => entry.verified)).to.be.true()
+      })
+  })
+
+  it('should not create a missing sqlite source on a dry run', () => {
+    const sqliteSource = { backend: 'sqlite', dbPath: './test/db/missing' }
+
+    return expect(migrateStore({ from: sqliteSource, to: from, dryRun: true, debug }))
+      .to.be.rejectedWith(/Database file not found/)
+      .then(() => {
+        expect(fs.existsSync('./test/db/missing')).to.be.false()
+      })
+  })
+
+  it('should reject with the report if verification fails', () => {
+    const lossyBackend = options => {
+      const store = new MemoryStore(options)
+      store.put = () => Promise.resolve(true) // drops every record
+      return store
+    }
+
+    return migrateStore({ from, to: { backend: lossyBackend, dbPath: toDbPath }, debug })
+      .then(() => { throw new Error('Expected migration to fail') })
+      .catch(error => {
+        expect(error.message).to.match(/verification failed for: rp\/clients, op\/tokens, users\/users, users\/users-by-email/)
+        expect(error.report.collections).to.have.length(8)
+      })
+  })
+})
@@ -66,5 +66,292 @@ describe('OidcManager (integration tests)', () => {
           expect(oidc.initLocalRpClient).to.have.been.called()
         })
     }).timeout(20000)
+
+    it('should emit keychain:generated and initialized events', () => {
+      const config = {
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        serverUri,
+        dbPath,
+        debug: () => {}
+      }
+      const oidc = OidcManager.from(config)
+      const events = []
+
+      oidc.initLocalRpClient = sinon.stub().resolves(false)
+      oidc.on('keychain:generated', payload => events.push(payload))
+      oidc.on('initialized', payload => events.push(payload))
+
+      return oidc.initialize()
+        .then(() => {
+          expect(events.map(payload => payload.event))
+            .to.deep.equal(['keychain:generated', 'initialized'])
+          expect(events[1].localRp).to.be.false()
+          expect(events[1].timestamp).to.exist()
+        })
+    }).timeout(20000)
+  })
+
+  describe('saveProviderConfig() / loadProviderConfig() crash safety', () => {
+    const configPath = path.join(dbPath, 'op', 'provider.json')
+    const backupPath = configPath + '.bak'
+    let oidc, debug
+
+    beforeEach(() => {
+      debug = sinon.spy()
+      oidc = OidcManager.from({
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        serverUri,
+        dbPath,
+        debug
+      })
+    })
+
+    it('should keep the previous generation as a backup', () => {
+      oidc.provider.generation = 1
+      oidc.saveProviderConfig()
+      oidc.provider.generation = 2
+      oidc.saveProviderConfig()
+
+      expect(fs.readJsonSync(configPath).generation).to.equal(2)
+      expect(fs.readJsonSync(backupPath).generation).to.equal(1)
+      expect(fs.readdirSync(path.dirname(configPath)).filter(f => f.endsWith('.tmp')))
+        .to.be.empty()
+    })
+
+    it('should fall back to the backup if the config is truncated', () => {
+      oidc.provider.generation = 1
+      oidc.saveProviderConfig()
+      oidc.provider.generation = 2
+      oidc.saveProviderConfig()
+      fs.writeFileSync(configPath, '{ "issuer": "https://exa')
+
+      const providerConfig = oidc.loadProviderConfig()
+
+      expect(providerConfig.generation).to.equal(1)
+      expect(debug).to.have.been.calledWithMatch(/provider.json is corrupted/)
+      expect(debug).to.have.been.calledWithMatch(/Loaded provider config from backup/)
+    })
+
+    it('should not overwrite a good backup with a corrupted config', () => {
+      oidc.provider.generation = 1
+      oidc.saveProviderConfig()
+      oidc.provider.generation = 2
+      oidc.saveProviderConfig()
+      fs.writeFileSync(configPath, '')
+
+      oidc.provider.generation = 3
+      oidc.saveProviderConfig()
+
+      expect(fs.readJsonSync(configPath).generation).to.equal(3)
+      expect(fs.readJsonSync(backupPath).generation).to.equal(1)
+    })
+
+    it('should load the backup if the config is missing', () => {
+      oidc.provider.generation = 1
+      oidc.saveProviderConfig()
+      fs.renameSync(configPath, backupPath)
+
+      expect(oidc.loadProviderConfig().generation).to.equal(1)
+    })
+
+    it('should only make the config and backup readable by the owner', () => {
+      oidc.saveProviderConfig()
+      fs.chmodSync(configPath, 0o644)
+      oidc.saveProviderConfig()
+
+      expect(fs.statSync(configPath).mode & 0o777).to.equal(0o600)
+      expect(fs.statSync(backupPath).mode & 0o777).to.equal(0o600)
+    })
+
+    it('should throw if neither the config nor a backup are usable', () => {
+      fs.outputFileSync(configPath, '{')
+
+      expect(() => oidc.loadProviderConfig()).to.throw(SyntaxError)
+    })
+  })
+
+  describe('saveProviderConfig() with keyEncryption', () => {
+    const privateJwk = { kid: 'abc', kty: 'EC', d: 'secret-param' }
+    const config = {
+      authCallbackUri: serverUri + '/api/oidc/rp',
+      postLogoutUri: serverUri + '/goodbye',
+      serverUri,
+      dbPath,
+      keyEncryption: { passphrase: 'correct horse' }
+    }
+
+    beforeEach(() => {
+      const oidc = OidcManager.from(config)
+      oidc.provider.keys = {
+        token: { signing: { ES256: { privateJwk, publicJwk: { kid: 'def' } } } }
+      }
+      oidc.saveProviderConfig()
+    })
+
+    it('should not write private keys in plaintext', () => {
+      const saved = fs.readFileSync(path.join(dbPath, 'op', 'provider.json'), 'utf8')
+
+      expect(saved).to.not.include('secret-param')
+      expect(saved).to.include('"kid": "def"')
+    })
+
+    it('should decrypt the private keys when loading the config', () => {
+      const oidc = OidcManager.from(config)
+
+      expect(oidc.provider.keys.token.signing.ES256.privateJwk)
+        .to.deep.equal(privateJwk)
+    })
+
+    it('should throw a clear error if the secret is wrong', () => {
+      const wrongConfig = Object.assign({}, config, {
+        keyEncryption: { passphrase: 'battery staple' }
+      })
+
+      expect(() => OidcManager.from(wrongConfig))
+        .to.throw(/Could not decrypt provider keys/)
+    })
+
+    it('should throw a clear error if no secret is configured', () => {
+      const noSecretConfig = Object.assign({}, config, { keyEncryption: undefined })
+
+      expect(() => OidcManager.from(noSecretConfig))
+        .to.throw(/are encrypted, but no keyEncryption secret is configured/)
+    })
+
+    it('should encrypt the backup of a config saved before enabling encryption', () => {
+      const configPath = path.join(dbPath, 'op', 'provider.json')
+      const plaintextConfig = Object.assign({}, config, { keyEncryption: undefined })
+      fs.removeSync(path.dirname(configPath))
+
+      const plaintextOidc = OidcManager.from(plaintextConfig)
+      plaintextOidc.provider.keys = {
+        token: { signing: { ES256: { privateJwk, publicJwk: { kid: 'def' } } } }
+      }
+      plaintextOidc.saveProviderConfig()
+      expect(fs.readFileSync(configPath, 'utf8')).to.include('secret-param')
+
+      const oidc = OidcManager.from(config)
+      oidc.saveProviderConfig()
+
+      const backup = fs.readFileSync(configPath + '.bak', 'utf8')
+      expect(backup).to.not.include('secret-param')
+      expect(fs.statSync(configPath + '.bak').mode & 0o777).to.equal(0o600)
+
+      fs.removeSync(configPath)
+      expect(OidcManager.from(config).provider.keys.token.signing.ES256.privateJwk)
+        .to.deep.equal(privateJwk)
+    })
+  })
+
+  describe('rotateProviderKeys()', () => {
+    it('should publish old and new keys, then retire the old ones', () => {
+      const config = {
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        host: {},
+        serverUri,
+        providerUri: serverUri,
+        dbPath,
+        debug: () => {}
+      }
+
+      const oidc = OidcManager.from(config)
+      oidc.initLocalRpClient = sinon.stub()
+
+      let oldKids, oldSigningKid
+
+      return oidc.initialize()
+        .then(() => {
+          oldKids = oidc.provider.keys.jwks.keys.map(jwk => jwk.kid)
+          oldSigningKid = oidc.provider.keys.token.signing.RS256.publicJwk.kid
+
+          return oidc.rotateProviderKeys({ overlap: 60000 })
+        })
+        .then(jwkSet => {
+          const publishedKids = jwkSet.keys.map(jwk => jwk.kid)
+          const newSigningKid = oidc.provider.keys.token.signing.RS256.publicJwk.kid
+
+          expect(newSigningKid).to.not.equal(oldSigningKid)
+          expect(publishedKids).to.include(newSigningKid)
+          expect(publishedKids).to.include.members(oldKids)
+          expect(JSON.parse(oidc.provider.jwkSet).keys).to.have.length(publishedKids.length)
+
+          const savedConfig = oidc.loadProviderConfig()
+          expect(savedConfig.keys.retiring).to.have.length(1)
+          expect(JSON.parse(savedConfig.keys.jwkSet).keys).to.have.length(publishedKids.length)
+
+          const retired = oidc.retireProviderKeys(Date.now() + 60001)
+          expect(retired).to.equal(1)
+
+          const kidsAfterRetirement = JSON.parse(oidc.provider.jwkSet).keys.map(jwk => jwk.kid)
+          expect(kidsAfterRetirement).to.not.include.members(oldKids)
+          expect(kidsAfterRetirement).to.include(newSigningKid)
+          expect(oidc.loadProviderConfig().keys.retiring).to.be.empty()
+          expect(oidc.keyRetirementTimer).to.be.null()
+        })
+    }).timeout(20000)
+
+    it('should reject if the provider is not initialized', () => {
+      const oidc = OidcManager.from({
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        host: {},
+        serverUri,
+        providerUri: serverUri,
+        dbPath
+      })
+      oidc.provider = undefined
+
+      return oidc.rotateProviderKeys()
+        .then(() => { throw new Error('Expected a rejection') })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(TypeError)
+        })
+    })
+
+    it('should record a failed retirement and retry it later', () => {
+      const config = {
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        host: {},
+        serverUri,
+        providerUri: serverUri,
+        dbPath
+      }
+
+      const oidc = OidcManager.from(config)
+      oidc.initLocalRpClient = sinon.stub()
+
+      let clock
+
+      return oidc.initialize()
+        .then(() => {
+          clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+
+          const keys = oidc.provider.keys
+          keys.retiring = [{ retireAt: Date.now() + 1000, keys: [] }]
+          sinon.stub(oidc, 'saveProviderConfig').throws(new Error('Disk full'))
+
+          oidc.scheduleKeyRetirement()
+
+          return clock.tickAsync(1000)
+        })
+        .then(() => {
+          expect(oidc.lastError.message).to.equal('Disk full')
+          expect(oidc.provider.keys.retiring).to.have.length(1)
+          expect(oidc.keyRetirementTimer).to.exist()
+
+          oidc.saveProviderConfig.restore()
+
+          return clock.tickAsync(60 * 1000)
+        })
+        .then(() => {
+          expect(oidc.provider.keys.retiring).to.be.empty()
+          expect(oidc.keyRetirementTimer).to.be.null()
+        })
+        .finally(() => clock && clock.restore())
+    }).timeout(20000)
   })
 })
@@ -0,0 +1,162 @@
+'use strict'
+
+const fs = require('fs-extra')
+const path = require('path')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const SqliteStore = require('../../src/storage/sqlite-store')
+const UserStore = require('../../src/user-store')
+const dbPath = './test/db'
+
+describe('SqliteStore (integration)', () => {
+  let store
+
+  beforeEach(() => {
+    fs.removeSync(dbPath)
+    store = SqliteStore.from({ name: 'users', dbPath, collections: UserStore.COLLECTIONS })
+    store.initCollections()
+  })
+
+  afterEach(() => {
+    store.close()
+    fs.removeSync(dbPath)
+  })
+
+  describe('initCollections()', () => {
+    it('should create a single database file in the db path', () => {
+      expect(fs.existsSync(path.join(dbPath, 'oidc.sqlite'))).to.be.true()
+    })
+  })
+
+  describe('readOnly', () => {
+    it('should read an existing database file', () => {
+      return store.put('users', 'alice', { id: 'alice' })
+        .then(() => {
+          const reader = SqliteStore.from({ name: 'users', dbPath, collections: UserStore.COLLECTIONS, readOnly: true })
+
+          return reader.get('users', 'alice')
+            .then(user => {
+              expect(user).to.deep.equal({ id: 'alice' })
+              reader.close()
+            })
+        })
+    })
+
+    it('should not create a missing database file', () => {
+      const missingPath = path.join(dbPath, 'missing')
+      const reader = SqliteStore.from({
+        name: 'users', dbPath: missingPath, collections: UserStore.COLLECTIONS, readOnly: true
+      })
+
+      return expect(reader.list('users')).to.be.rejectedWith(/Database file not found/)
+        .then(() => {
+          expect(fs.existsSync(missingPath)).to.be.false()
+        })
+    })
+  })
+
+  describe('get(), put(), del() and list()', () => {
+    it('should store, list and delete values', () => {
+      return store.put('users', 'alice', { id: 'alice' })
+        .then(() => store.put('users', 'bob', { id: 'bob' }))
+        .then(() => store.get('users', 'alice'))
+        .then(user => {
+          expect(user).to.deep.equal({ id: 'alice' })
+
+          return store.list('users')
+        })
+        .then(keys => {
+          expect(keys).to.deep.equal(['alice', 'bob'])
+
+          return store.del('users', 'alice')
+        })
+        .then(deleted => {
+          expect(deleted).to.be.true()
+
+          return store.get('users', 'alice')
+        })
+        .then(user => {
+          expect(user).to.be.null()
+        })
+    })
+
+    it('should only store a value with putIfAbsent() if the key does not exist', () => {
+      const otherProcessStore = SqliteStore.from({ name: 'users', dbPath, collections: UserStore.COLLECTIONS })
+
+      return store.putIfAbsent('users', 'alice', { id: 'alice' })
+        .then(stored => {
+          expect(stored).to.be.true()
+
+          return otherProcessStore.putIfAbsent('users', 'alice', { id: 'mallory' })
+        })
+        .then(stored => {
+          expect(stored).to.be.false()
+
+          return store.get('users', 'alice')
+        })
+        .then(user => {
+          expect(user).to.deep.equal({ id: 'alice' })
+        })
+        .finally(() => otherProcessStore.close())
+    })
+
+    it('should reject writes to an unknown collection', () => {
+      return expect(store.put('tokens', 'abc', {}))
+        .to.be.rejectedWith(/collection "tokens" does not exist/)
+    })
+
+    it('should keep identically named collections of different stores apart', () => {
+      const rpStore = SqliteStore.from({ name: 'rp', dbPath, collections: ['clients'] })
+      const opStore = SqliteStore.from({ name: 'op', dbPath, collections: ['clients'] })
+
+      return rpStore.put('clients', 'abc', { store: 'rp' })
+        .then(() => opStore.get('clients', 'abc'))
+        .then(client => {
+          expect(client).to.be.null()
+        })
+        .finally(() => {
+          rpStore.close()
+          opStore.close()
+        })
+    })
+  })
+
+  describe('batch()', () => {
+    it('should not write any records if one of the operations is invalid', () => {
+      const operations = [
+        { type: 'put', collection: 'users', key: 'alice', data: { id: 'alice' } },
+        { type: 'put', collection: 'users-by-email', key: '', data: { id: 'alice' } }
+      ]
+
+      return expect(store.batch(operations)).to.be.rejectedWith(TypeError)
+        .then(() => store.list('users'))
+        .then(keys => {
+          expect(keys).to.deep.equal([])
+        })
+    })
+  })
+
+  describe('with UserStore', () => {
+    it('should create a user and its email index entry', () => {
+      const users = UserStore.from({ backend: store, saltRounds: 2 })
+      const user = { id: 'alice.example.com', email: 'alice@example.com' }
+
+      return users.createUser(user, '12345')
+        .then(() => users.findUserByEmail('alice@example.com'))
+        .then(foundUser => {
+          expect(foundUser).to.deep.equal({ id: 'alice.example.com' })
+
+          return users.findUser('alice.example.com')
+        })
+        .then(foundUser => {
+          expect(foundUser.email).to.equal('alice@example.com')
+          expect(foundUser.hashedPassword).to.exist()
+        })
+    })
+  })
+})
@@ -0,0 +1,14 @@
+module.exports = clientId => ({
+  '@context': ['https://www.w3.org/ns/solid/oidc-context.jsonld'],
+  client_id: clientId,
+  client_name: 'Solid Notes',
+  redirect_uris: ['https://app.example/callback'],
+  post_logout_redirect_uris: ['https://app.example/logout'],
+  client_uri: 'https://app.example/',
+  logo_uri: 'https://app.example/logo.png',
+  scope: 'openid webid offline_access',
+  grant_types: ['authorization_code', 'refresh_token'],
+  response_types: ['code'],
+  default_max_age: 3600,
+  require_auth_time: true
+})
@@ -0,0 +1,13 @@
+module.exports = issuer => ({
+  issuer,
+  authorization_endpoint: `${issuer}/authorize`,
+  token_endpoint: `${issuer}/token`,
+  userinfo_endpoint: `${issuer}/userinfo`,
+  jwks_uri: `${issuer}/jwks`,
+  registration_endpoint: `${issuer}/register`,
+  end_session_endpoint: `${issuer}/logout`,
+  response_types_supported: ['code', 'id_token token', 'code id_token token'],
+  id_token_signing_alg_values_supported: ['RS256', 'ES256'],
+  scopes_supported: ['openid', 'webid'],
+  subject_types_supported: ['public']
+})
@@ -0,0 +1,19 @@
+module.exports = JSON.stringify({
+  '@context': {
+    solid: 'http://www.w3.org/ns/solid/terms#',
+    foaf: 'http://xmlns.com/foaf/0.1/',
+    schema: 'http://schema.org/'
+  },
+  '@graph': [
+    {
+      '@id': '',
+      '@type': 'foaf:PersonalProfileDocument',
+      'foaf:primaryTopic': { '@id': '#me' }
+    },
+    {
+      '@id': '#me',
+      '@type': 'schema:Person',
+      'solid:oidcIssuer': { '@id': 'https://provider.com' }
+    }
+  ]
+})
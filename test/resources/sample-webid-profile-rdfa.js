@@ -0,0 +1,14 @@
+module.exports = `
+<!DOCTYPE html>
+<html>
+  <head>
+    <title>Alice's profile</title>
+  </head>
+  <body prefix="solid: http://www.w3.org/ns/solid/terms# schema: http://schema.org/">
+    <div about="#me" typeof="schema:Person">
+      <h1 property="schema:name">Alice</h1>
+      <a rel="solid:oidcIssuer" href="https://provider.com">My identity provider</a>
+    </div>
+  </body>
+</html>
+`
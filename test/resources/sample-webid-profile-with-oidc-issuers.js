@@ -0,0 +1,17 @@
+module.exports = `
+@prefix solid: <http://www.w3.org/ns/solid/terms#>.
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+@prefix pim: <http://www.w3.org/ns/pim/space#>.
+@prefix schema: <http://schema.org/>.
+
+<>
+    a foaf:PersonalProfileDocument ;
+    foaf:primaryTopic <#me> .
+
+<#me>
+    a schema:Person ;
+
+    pim:storage </> ;    # root storage
+
+    solid:oidcIssuer <https://provider.com>, <https://backup-provider.com> .
+`
@@ -0,0 +1,86 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+chai.use(sinonChai)
+const expect = chai.expect
+
+const AudiencePolicy = require('../../src/audience-policy')
+
+describe('AudiencePolicy', () => {
+  describe('allows()', () => {
+    it('should default to the server uri and its immediate subdomains', () => {
+      const policy = new AudiencePolicy({ serverUri: 'https://example.com' })
+
+      expect(policy.allows('https://example.com/test')).to.be.true()
+      expect(policy.allows('https://alice.example.com/profile#me')).to.be.true()
+      expect(policy.allows('https://bob.alice.example.com')).to.be.false()
+      expect(policy.allows('https://other.com')).to.be.false()
+      expect(policy.allows('http://example.com')).to.be.false()
+      expect(policy.allows('https://example.com:8443')).to.be.false()
+      expect(policy.allows(undefined)).to.be.false()
+    })
+
+    it('should accept an audience list instead of the server uri', () => {
+      const policy = new AudiencePolicy({
+        serverUri: 'https://example.com',
+        audiences: ['https://pods.example.org', 'https://alice.custom-domain.net']
+      })
+
+      expect(policy.allows(['https://other.com', 'https://pods.example.org/'])).to.be.true()
+      expect(policy.allows('https://alice.custom-domain.net/')).to.be.true()
+      expect(policy.allows('https://example.com')).to.be.false()
+    })
+
+    it('should match multi-level subdomains up to subdomainDepth', () => {
+      const policy = new AudiencePolicy({ serverUri: 'https://example.com', subdomainDepth: 2 })
+      const strict = new AudiencePolicy({ serverUri: 'https://example.com', subdomainDepth: 0 })
+
+      expect(policy.allows('https://bob.alice.example.com')).to.be.true()
+      expect(policy.allows('https://a.bob.alice.example.com')).to.be.false()
+      expect(strict.allows('https://example.com')).to.be.true()
+      expect(strict.allows('https://alice.example.com')).to.be.false()
+    })
+
+    it('should match wildcard patterns at any depth', () => {
+      const policy = new AudiencePolicy({ audiences: ['https://*.pods.example.org'] })
+
+      expect(policy.allows('https://alice.pods.example.org')).to.be.true()
+      expect(policy.allows('https://a.b.c.pods.example.org')).to.be.true()
+      expect(policy.allows('https://pods.example.org')).to.be.false()
+      expect(policy.allows('https://evilpods.example.org')).to.be.false()
+    })
+
+    it('should match path prefixes', () => {
+      const policy = new AudiencePolicy({ audiences: ['https://proxy.example.com/pods/'] })
+
+      expect(policy.allows('https://proxy.example.com/pods')).to.be.true()
+      expect(policy.allows('https://proxy.example.com/pods/alice/')).to.be.true()
+      expect(policy.allows('https://proxy.example.com/podsevil')).to.be.false()
+      expect(policy.allows('https://proxy.example.com/')).to.be.false()
+    })
+
+    it('should ask the callback about the audiences the list does not accept', () => {
+      const req = { hostname: 'alice.custom-domain.net' }
+      const callback = sinon.stub().callsFake((aud, req) => aud === `https://${req.hostname}`)
+      const policy = new AudiencePolicy({ serverUri: 'https://example.com', callback })
+
+      expect(policy.allows('https://example.com', req)).to.be.true()
+      expect(callback).to.not.have.been.called()
+
+      expect(policy.allows('https://alice.custom-domain.net', req)).to.be.true()
+      expect(policy.allows('https://bob.custom-domain.net', req)).to.be.false()
+      expect(callback).to.have.been.calledWith('https://alice.custom-domain.net', req)
+    })
+
+    it('should ignore invalid audiences', () => {
+      const policy = new AudiencePolicy({ audiences: ['not a uri', 'https://example.com'] })
+
+      expect(policy.allows(['not a uri', 'https://example.com'])).to.be.true()
+      expect(policy.allows('not a uri')).to.be.false()
+    })
+  })
+})
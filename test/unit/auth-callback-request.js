@@ -12,6 +12,8 @@ const expect = chai.expect
 const HttpMocks = require('node-mocks-http')
 
 const AuthCallbackRequest = require('../../src/handlers/auth-callback-request')
+const UntrustedIssuerError = require('../../src/errors/untrusted-issuer-error')
+const Logger = require('../../src/logger')
 
 describe('AuthCallbackRequest', () => {
   let res
@@ -30,7 +32,7 @@ describe('AuthCallbackRequest', () => {
         session: {},
         serverUri: 'https://example.com',
         returnToUrl: 'https://example.com/resource',
-        debug: {}
+        logger: {}
       }
 
       const request = new AuthCallbackRequest(options)
@@ -41,14 +43,14 @@ describe('AuthCallbackRequest', () => {
       expect(request.response).to.equal(options.response)
       expect(request.session).to.equal(options.session)
       expect(request.serverUri).to.equal(options.serverUri)
-      expect(request.debug).to.equal(options.debug)
+      expect(request.logger).to.equal(options.logger)
       expect(request.returnToUrl).to.equal(options.returnToUrl)
     })
 
-    it('should init debug to console by default', () => {
+    it('should init a default logger', () => {
       const request = new AuthCallbackRequest({})
 
-      expect(request.debug).to.exist()
+      expect(request.logger).to.be.an.instanceof(Logger)
     })
   })
 
@@ -66,6 +68,31 @@ describe('AuthCallbackRequest', () => {
           expect(AuthCallbackRequest.fromParams).to.have.been.calledWith(req, res)
         })
     })
+
+    it('should emit a callback:failed event on error', () => {
+      const AuthCallbackRequest = require('../../src/handlers/auth-callback-request')
+      const oidc = { emit: sinon.spy() }
+      const req = HttpMocks.createRequest({
+        session: {},
+        params: { issuer_id: encodeURIComponent('https://example.com') },
+        app: { locals: { oidc, host: {} } }
+      })
+      const error = new Error('Invalid state')
+      const next = sinon.spy()
+
+      AuthCallbackRequest.handle = sinon.stub().rejects(error)
+      sinon.stub(process.stderr, 'write') // silence the default log output
+
+      return AuthCallbackRequest.get(req, res, next)
+        .finally(() => process.stderr.write.restore())
+        .then(() => {
+          expect(next).to.have.been.calledWith(error)
+          expect(oidc.emit).to.have.been.calledWithMatch('callback:failed', {
+            issuer: 'https://example.com',
+            error
+          })
+        })
+    })
   })
 
   describe('fromParams()', () => {
@@ -114,19 +141,18 @@ describe('AuthCallbackRequest', () => {
   })
 
   describe('loadClient()', () => {
-    it('should load an rp by issuer from the client store', () => {
+    it('should load an rp by issuer from the oidc manager', () => {
       const issuer = 'https://example.com'
       const client = {}
       const oidcManager = {
-        clients: {}
+        clientForIssuer: sinon.stub().resolves(client)
       }
-      oidcManager.clients.clientForIssuer = sinon.stub().resolves(client)
 
       const request = new AuthCallbackRequest({ issuer, oidcManager })
 
       return request.loadClient()
         .then(loadedClient => {
-          expect(oidcManager.clients.clientForIssuer)
+          expect(oidcManager.clientForIssuer)
             .to.have.been.calledWith(issuer)
           expect(loadedClient).to.equal(client)
         })
@@ -163,6 +189,36 @@ describe('AuthCallbackRequest', () => {
       }
       expect(session.credentials).to.eql(expectedCredentials)
     })
+
+    it('should pass on a 403 from the issuer policy', async () => {
+      const session = {}
+      const oidcManager = {
+        webIdFromClaims: sinon.stub().rejects(new UntrustedIssuerError('https://example.com', 'issuer is on the deny list'))
+      }
+      const request = new AuthCallbackRequest({ session, oidcManager })
+
+      try {
+        await request.initSessionUserAuth({ idClaims: { iss: 'https://example.com' } })
+        throw new Error('Expected initSessionUserAuth() to throw')
+      } catch (error) {
+        expect(error.statusCode).to.equal(403)
+        expect(error.cause.code).to.equal('ISSUER_NOT_TRUSTED')
+      }
+    })
+
+    it('should emit a user:login event', async () => {
+      const oidcManager = { emit: sinon.spy() }
+      oidcManager.webIdFromClaims = sinon.stub().resolves(aliceWebId)
+
+      const request = new AuthCallbackRequest({ session: {}, oidcManager })
+
+      await request.initSessionUserAuth(rpSession)
+
+      expect(oidcManager.emit).to.have.been.calledWithMatch('user:login', {
+        webId: aliceWebId,
+        issuer: 'https://example.com'
+      })
+    })
   })
 
   describe('validateResponse()', () => {
@@ -183,6 +239,41 @@ describe('AuthCallbackRequest', () => {
     })
   })
 
+  describe('loadProviderMetadata()', () => {
+    it('should load the metadata of the issuer', () => {
+      const metadata = { issuer: 'https://example.com' }
+      const oidcManager = { providerMetadataFor: sinon.stub().resolves(metadata) }
+
+      const request = new AuthCallbackRequest({ issuer: 'https://example.com', oidcManager })
+
+      return request.loadProviderMetadata()
+        .then(() => {
+          expect(oidcManager.providerMetadataFor).to.have.been.calledWith('https://example.com')
+          expect(request.providerMetadata).to.equal(metadata)
+        })
+    })
+  })
+
+  describe('validateIssuer()', () => {
+    const providerMetadata = { issuer: 'https://example.com' }
+
+    it('should accept ID Tokens issued by the provider', () => {
+      const request = new AuthCallbackRequest({})
+      request.providerMetadata = providerMetadata
+
+      expect(() => request.validateIssuer({ idClaims: { iss: 'https://example.com/' } }))
+        .to.not.throw()
+    })
+
+    it('should reject ID Tokens issued by another provider', () => {
+      const request = new AuthCallbackRequest({})
+      request.providerMetadata = providerMetadata
+
+      expect(() => request.validateIssuer({ idClaims: { iss: 'https://evil.com' } }))
+        .to.throw(/ID Token issuer https:\/\/evil.com does not match provider https:\/\/example.com/)
+    })
+  })
+
   describe('resumeUserWorkflow()', () => {
     it('should redirect to the returnToUrl and clear it from session', () => {
       const response = HttpMocks.createResponse()
@@ -0,0 +1,109 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const ClientIdDocument = require('../../src/client-id-document')
+const sampleClientIdDocument = require('../resources/sample-client-id-document')
+
+describe('ClientIdDocument', () => {
+  const clientId = 'https://app.example/id'
+
+  describe('isClientIdUri()', () => {
+    it('should be true for web uris', () => {
+      expect(ClientIdDocument.isClientIdUri(clientId)).to.be.true()
+    })
+
+    it('should be false for dynamically registered client ids', () => {
+      expect(ClientIdDocument.isClientIdUri('7fb23d4b6ad3e08d6b4a8b0e0b5c9c12')).to.be.false()
+      expect(ClientIdDocument.isClientIdUri(undefined)).to.be.false()
+    })
+  })
+
+  describe('from()', () => {
+    it('should return a ClientIdDocument instance', () => {
+      const clientDocument = ClientIdDocument.from(sampleClientIdDocument(clientId), clientId)
+
+      expect(clientDocument).to.be.an.instanceof(ClientIdDocument)
+      expect(clientDocument.clientId).to.equal(clientId)
+      expect(clientDocument.clientName).to.equal('Solid Notes')
+      expect(clientDocument.logoUri).to.equal('https://app.example/logo.png')
+      expect(clientDocument.redirectUris).to.deep.equal(['https://app.example/callback'])
+    })
+
+    it('should throw a DISCOVERY_INVALID_CLIENT_DOCUMENT error', () => {
+      expect(() => ClientIdDocument.from([], clientId))
+        .to.throw(/Invalid Client ID Document https:\/\/app.example\/id: not a JSON object/)
+
+      try {
+        ClientIdDocument.from({}, clientId)
+      } catch (error) {
+        expect(error.code).to.equal('DISCOVERY_INVALID_CLIENT_DOCUMENT')
+        expect(error.statusCode).to.equal(502)
+      }
+    })
+  })
+
+  describe('validate()', () => {
+    it('should accept a valid document', () => {
+      expect(ClientIdDocument.validate(sampleClientIdDocument(clientId), clientId)).to.be.empty()
+    })
+
+    it('should accept a single @context', () => {
+      const document = sampleClientIdDocument(clientId)
+      document['@context'] = 'https://www.w3.org/ns/solid/oidc-context.jsonld'
+
+      expect(ClientIdDocument.validate(document, clientId)).to.be.empty()
+    })
+
+    it('should require the document to be about the client it was fetched for', () => {
+      const document = sampleClientIdDocument('https://evil.example/id')
+
+      expect(ClientIdDocument.validate(document, clientId)).to.deep.equal([
+        'client_id https://evil.example/id does not match https://app.example/id'
+      ])
+    })
+
+    it('should list every problem with the document', () => {
+      const document = sampleClientIdDocument(clientId)
+      delete document['@context']
+      document.redirect_uris = ['https://app.example/callback', 'not a uri']
+      document.client_name = ['Solid Notes']
+      document.logo_uri = 'javascript:alert(1)'
+
+      expect(ClientIdDocument.validate(document, clientId)).to.deep.equal([
+        '@context does not include https://www.w3.org/ns/solid/oidc-context.jsonld',
+        'redirect_uris contains an invalid uri',
+        'client_name is not a string',
+        'logo_uri is not a valid URL'
+      ])
+    })
+
+    it('should require redirect uris', () => {
+      const document = sampleClientIdDocument(clientId)
+      document.redirect_uris = []
+
+      expect(ClientIdDocument.validate(document, clientId)).to.deep.equal([
+        'redirect_uris is missing or empty'
+      ])
+    })
+  })
+
+  describe('registration()', () => {
+    it('should return a public client registration', () => {
+      const registration = ClientIdDocument.from(sampleClientIdDocument(clientId), clientId)
+        .registration()
+
+      expect(registration.client_id).to.equal(clientId)
+      expect(registration.redirect_uris).to.deep.equal(['https://app.example/callback'])
+      expect(registration.post_logout_redirect_uris).to.deep.equal(['https://app.example/logout'])
+      expect(registration.client_name).to.equal('Solid Notes')
+      expect(registration.default_max_age).to.equal(3600)
+      expect(registration.token_endpoint_auth_method).to.equal('none')
+      expect(registration.client_id_document).to.be.true()
+      expect(registration).to.not.have.property('@context')
+    })
+  })
+})
@@ -0,0 +1,165 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const sinon = require('sinon')
+const expect = chai.expect
+
+const DiscoveryCache = require('../../src/discovery-cache')
+const DiscoveryError = require('../../src/errors/discovery-error')
+const ProviderMetadata = require('../../src/provider-metadata')
+const { parseCacheControl } = DiscoveryCache
+
+describe('DiscoveryCache', () => {
+  const webId = 'https://alice.example.com/profile#me'
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: 1000000 })
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  describe('set() / get()', () => {
+    it('should return fresh entries until their ttl is up', () => {
+      const cache = new DiscoveryCache()
+
+      cache.set(webId, { providerUris: ['https://provider.com'] }, 1000)
+
+      const entry = cache.get(webId)
+      expect(entry.providerUris).to.deep.equal(['https://provider.com'])
+      expect(cache.isFresh(entry)).to.be.true()
+
+      clock.tick(1001)
+      expect(cache.isFresh(cache.get(webId))).to.be.false()
+      expect(cache.get(webId)).to.exist() // kept for revalidation
+    })
+
+    it('should not cache results with a null ttl', () => {
+      const cache = new DiscoveryCache()
+
+      cache.set(webId, { providerUris: ['https://provider.com'] }, null)
+
+      expect(cache.get(webId)).to.not.exist()
+    })
+
+    it('should evict the least recently used entries', () => {
+      const cache = new DiscoveryCache({ maxEntries: 2 })
+
+      cache.set('https://a.com/#me', { providerUris: ['https://a.com'] }, 1000)
+      cache.set('https://b.com/#me', { providerUris: ['https://b.com'] }, 1000)
+      cache.get('https://a.com/#me')
+      cache.set('https://c.com/#me', { providerUris: ['https://c.com'] }, 1000)
+
+      expect(cache.size).to.equal(2)
+      expect(cache.get('https://b.com/#me')).to.not.exist()
+      expect(cache.get('https://a.com/#me')).to.exist()
+      expect(cache.get('https://c.com/#me')).to.exist()
+    })
+
+    it('should hand out copies of the cached results', () => {
+      const cache = new DiscoveryCache()
+      const result = { providerUris: ['https://provider.com'] }
+
+      cache.set(webId, result, 1000)
+      result.providerUris.push('https://other.com')
+      cache.get(webId).providerUris.push('https://other.com')
+
+      expect(cache.get(webId).providerUris).to.deep.equal(['https://provider.com'])
+    })
+
+    it('should keep the class of cached instances', () => {
+      const cache = new DiscoveryCache()
+      const metadata = ProviderMetadata.from({
+        issuer: 'https://provider.com',
+        authorization_endpoint: 'https://provider.com/authorize',
+        token_endpoint: 'https://provider.com/token',
+        jwks_uri: 'https://provider.com/jwks',
+        response_types_supported: ['code'],
+        id_token_signing_alg_values_supported: ['RS256']
+      }, 'https://provider.com')
+
+      cache.set('openid-configuration https://provider.com', { metadata }, 1000)
+      const cached = cache.get('openid-configuration https://provider.com').metadata
+      cached.scopesSupported.push('offline_access')
+
+      expect(cached).to.be.an.instanceof(ProviderMetadata)
+      expect(cached).to.not.equal(metadata)
+      expect(cache.get('openid-configuration https://provider.com').metadata)
+        .to.deep.equal(metadata)
+    })
+  })
+
+  describe('setFailure()', () => {
+    it('should cache errors for negativeTtl', () => {
+      const cache = new DiscoveryCache({ negativeTtl: 500 })
+      const error = new Error('Could not reach Web ID')
+
+      cache.setFailure(webId, error)
+
+      expect(cache.get(webId).error.message).to.equal('Could not reach Web ID')
+
+      clock.tick(501)
+      expect(cache.isFresh(cache.get(webId))).to.be.false()
+    })
+
+    it('should hand out copies of the cached errors', () => {
+      const cache = new DiscoveryCache()
+      const error = new DiscoveryError('Could not reach Web ID', 'DISCOVERY_UNREACHABLE')
+
+      cache.setFailure(webId, error)
+
+      const cachedError = cache.get(webId).error
+      cachedError.statusCode = 401
+
+      expect(cachedError).to.be.an.instanceof(DiscoveryError)
+      expect(cachedError).to.not.equal(error)
+      expect(cachedError.code).to.equal('DISCOVERY_UNREACHABLE')
+      expect(cachedError.stack).to.equal(error.stack)
+      expect(cache.get(webId).error.statusCode).to.equal(400)
+    })
+  })
+
+  describe('invalidate()', () => {
+    it('should remove an entry', () => {
+      const cache = new DiscoveryCache()
+      cache.set(webId, { providerUris: ['https://provider.com'] }, 1000)
+
+      expect(cache.invalidate(webId)).to.be.true()
+      expect(cache.get(webId)).to.not.exist()
+      expect(cache.invalidate(webId)).to.be.false()
+    })
+  })
+
+  describe('ttlFor()', () => {
+    const cache = new DiscoveryCache({ ttl: 300000, maxTtl: 3600000 })
+
+    it('should use the shortest max-age', () => {
+      expect(cache.ttlFor(['public, max-age=600', 'max-age=60'])).to.equal(60000)
+    })
+
+    it('should default to the configured ttl', () => {
+      expect(cache.ttlFor([null, 'public'])).to.equal(300000)
+    })
+
+    it('should cap the ttl at maxTtl', () => {
+      expect(cache.ttlFor(['max-age=31536000'])).to.equal(3600000)
+    })
+
+    it('should return 0 for no-cache and null for no-store', () => {
+      expect(cache.ttlFor(['no-cache', 'max-age=60'])).to.equal(0)
+      expect(cache.ttlFor(['max-age=60', 'no-store'])).to.be.null()
+    })
+  })
+
+  describe('parseCacheControl()', () => {
+    it('should parse directives', () => {
+      expect(parseCacheControl('Private, max-age="60", no-cache'))
+        .to.deep.equal({ private: true, 'max-age': '60', 'no-cache': true })
+      expect(parseCacheControl(null)).to.deep.equal({})
+    })
+  })
+})
@@ -0,0 +1,78 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const { isPublicSuffix, isSubdomainOf, subdomainLevels } = require('../../src/domains')
+
+describe('domains.js', () => {
+  describe('isPublicSuffix()', () => {
+    it('should be true for public suffixes', () => {
+      expect(isPublicSuffix('com')).to.be.true()
+      expect(isPublicSuffix('co.uk')).to.be.true()
+      expect(isPublicSuffix('github.io')).to.be.true()
+    })
+
+    it('should be false for registrable domains and their subdomains', () => {
+      expect(isPublicSuffix('example.co.uk')).to.be.false()
+      expect(isPublicSuffix('alice.github.io')).to.be.false()
+      expect(isPublicSuffix('alice.example.com')).to.be.false()
+    })
+
+    it('should be false for hosts under unlisted TLDs', () => {
+      expect(isPublicSuffix('localhost')).to.be.false()
+      expect(isPublicSuffix('example.test')).to.be.false()
+    })
+  })
+
+  describe('subdomainLevels()', () => {
+    it('should count the levels of a subdomain', () => {
+      expect(subdomainLevels('example.com', 'example.com')).to.equal(0)
+      expect(subdomainLevels('alice.example.com', 'example.com')).to.equal(1)
+      expect(subdomainLevels('bob.alice.example.com', 'example.com')).to.equal(2)
+    })
+
+    it('should be Infinity for hosts outside the domain', () => {
+      expect(subdomainLevels('example.org', 'example.com')).to.equal(Infinity)
+      expect(subdomainLevels('badexample.com', 'example.com')).to.equal(Infinity)
+    })
+  })
+
+  describe('isSubdomainOf()', () => {
+    it('should match immediate subdomains by default', () => {
+      expect(isSubdomainOf('alice.example.com', 'example.com')).to.be.true()
+      expect(isSubdomainOf('Alice.Example.com', 'example.COM')).to.be.true()
+      expect(isSubdomainOf('alice.example.co.uk', 'example.co.uk')).to.be.true()
+    })
+
+    it('should not match the domain itself, or other domains', () => {
+      expect(isSubdomainOf('example.com', 'example.com')).to.be.false()
+      expect(isSubdomainOf('badexample.com', 'example.com')).to.be.false()
+    })
+
+    it('should match deeper subdomains up to the given depth', () => {
+      expect(isSubdomainOf('bob.alice.example.com', 'example.com')).to.be.false()
+      expect(isSubdomainOf('bob.alice.example.com', 'example.com', 2)).to.be.true()
+      expect(isSubdomainOf('bob.alice.example.com', 'alice.example.com')).to.be.true()
+      expect(isSubdomainOf('alice.example.com', 'example.com', 0)).to.be.false()
+    })
+
+    it('should not match across a public suffix', () => {
+      expect(isSubdomainOf('evil.co.uk', 'co.uk')).to.be.false()
+      expect(isSubdomainOf('alice.github.io', 'github.io')).to.be.false()
+      expect(isSubdomainOf('evil.example.co.uk', 'co.uk', 2)).to.be.false()
+    })
+
+    it('should compare the labels of hosts under unlisted TLDs', () => {
+      expect(isSubdomainOf('alice.localhost', 'localhost')).to.be.true()
+      expect(isSubdomainOf('alice.example.test', 'example.test')).to.be.true()
+    })
+
+    it('should not match IP addresses', () => {
+      expect(isSubdomainOf('10.0.0.1', '0.0.1')).to.be.false()
+      expect(isSubdomainOf('1.127.0.0.1', '127.0.0.1')).to.be.false()
+    })
+  })
+})
@@ -0,0 +1,191 @@
+'use strict'
+
+const crypto = require('crypto')
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const DpopVerifier = require('../../src/dpop-verifier')
+const DpopError = require('../../src/errors/dpop-error')
+
+const serverUri = 'https://pod.example'
+const accessToken = 'header.payload.signature'
+
+function base64url (value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function proofFor (claims) {
+  const header = { typ: 'dpop+jwt', alg: 'ES256' }
+
+  return [header, claims].map(part => base64url(JSON.stringify(part))).join('.') + '.sig'
+}
+
+function requestWith (claims, headers = {}) {
+  return {
+    headers: Object.assign({
+      authorization: `DPoP ${accessToken}`,
+      dpop: proofFor(claims)
+    }, headers)
+  }
+}
+
+function rejection (promise) {
+  return promise.then(
+    () => { throw new Error('Expected the proof to be refused') },
+    error => error
+  )
+}
+
+describe('DpopVerifier', () => {
+  const now = Date.now()
+  const iat = Math.floor(now / 1000)
+  const ath = crypto.createHash('sha256').update(accessToken).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+  describe('isDpopRequest()', () => {
+    it('should only be true for DPoP authorization headers', () => {
+      expect(DpopVerifier.isDpopRequest({ headers: { authorization: 'DPoP abc' } })).to.be.true()
+      expect(DpopVerifier.isDpopRequest({ headers: { authorization: 'Bearer abc' } })).to.be.false()
+      expect(DpopVerifier.isDpopRequest({ headers: {} })).to.be.false()
+    })
+  })
+
+  describe('baseUriFor()', () => {
+    const headers = {
+      'x-forwarded-proto': 'http',
+      'x-forwarded-host': 'proxy.example',
+      'x-forwarded-prefix': '/pods/'
+    }
+
+    it('should ignore the forwarded headers by default', () => {
+      const verifier = new DpopVerifier()
+
+      expect(verifier.baseUriFor({ headers }, serverUri + '/')).to.equal(serverUri)
+    })
+
+    it('should use the X-Forwarded headers if trusted', () => {
+      const verifier = new DpopVerifier({ trustForwardedHeaders: true })
+
+      expect(verifier.baseUriFor({ headers }, serverUri)).to.equal('http://proxy.example/pods')
+    })
+
+    it('should prefer the Forwarded header, and use the values of the closest proxy', () => {
+      const verifier = new DpopVerifier({ trustForwardedHeaders: true })
+      const req = {
+        headers: {
+          forwarded: 'host=evil.example;proto=http, for=192.0.2.1;host="Proxy.example:8443";proto=https',
+          'x-forwarded-host': 'other.example'
+        }
+      }
+
+      expect(verifier.baseUriFor(req, serverUri)).to.equal('https://proxy.example:8443')
+    })
+
+    it('should fall back to the serverUri', () => {
+      const verifier = new DpopVerifier({ trustForwardedHeaders: true })
+
+      expect(verifier.baseUriFor({ headers: {} }, serverUri)).to.equal(serverUri)
+      expect(verifier.baseUriFor({ headers: { 'x-forwarded-host': 'a b' } }, serverUri))
+        .to.equal(serverUri)
+    })
+  })
+
+  describe('verify()', () => {
+    it('should accept a recent proof', () => {
+      const verifier = new DpopVerifier()
+
+      return verifier.verify(requestWith({ jti: 'jti-1', iat, ath }), now)
+    })
+
+    it('should allow for clock skew', () => {
+      const verifier = new DpopVerifier({ clockSkew: 10000 })
+
+      return verifier.verify(requestWith({ jti: 'jti-1', iat: iat + 5 }), now)
+        .then(() => rejection(verifier.verify(requestWith({ jti: 'jti-2', iat: iat + 20 }), now)))
+        .then(error => {
+          expect(error).to.be.an.instanceof(DpopError)
+          expect(error.statusCode).to.equal(401)
+          expect(error.error).to.equal('invalid_dpop_proof')
+          expect(error.message).to.equal('DPoP proof is issued in the future')
+        })
+    })
+
+    it('should refuse expired proofs', () => {
+      const verifier = new DpopVerifier({ maxAge: 60000, clockSkew: 0 })
+
+      return rejection(verifier.verify(requestWith({ jti: 'jti-1', iat: iat - 120 }), now))
+        .then(error => {
+          expect(error.message).to.equal('DPoP proof has expired')
+        })
+    })
+
+    it('should refuse replayed proofs', () => {
+      const verifier = new DpopVerifier()
+      const req = requestWith({ jti: 'jti-1', iat })
+
+      return verifier.verify(req, now)
+        .then(() => rejection(verifier.verify(req, now)))
+        .then(error => {
+          expect(error.message).to.equal('DPoP proof has already been used')
+        })
+    })
+
+    it('should allow replays without a replay cache', () => {
+      const verifier = new DpopVerifier({ replayCache: false })
+      const req = requestWith({ jti: 'jti-1', iat })
+
+      return verifier.verify(req, now)
+        .then(() => verifier.verify(req, now))
+    })
+
+    it('should check the access token hash', () => {
+      const verifier = new DpopVerifier()
+
+      return rejection(verifier.verify(requestWith({ jti: 'jti-1', iat, ath: base64url('other') }), now))
+        .then(error => {
+          expect(error.message).to.equal('DPoP proof ath does not match the access token')
+        })
+    })
+
+    it('should require the access token hash if configured', () => {
+      const verifier = new DpopVerifier({ requireAth: true })
+
+      return rejection(verifier.verify(requestWith({ jti: 'jti-1', iat }), now))
+        .then(error => {
+          expect(error.message).to.equal('DPoP proof has no ath')
+        })
+    })
+
+    it('should refuse proofs without jti or iat, or that are not JWTs', () => {
+      const verifier = new DpopVerifier()
+
+      return rejection(verifier.verify(requestWith({ iat }), now))
+        .then(error => {
+          expect(error.message).to.equal('DPoP proof has no jti')
+
+          return rejection(verifier.verify(requestWith({ jti: 'jti-1' }), now))
+        })
+        .then(error => {
+          expect(error.message).to.equal('DPoP proof has no iat')
+
+          return rejection(verifier.verify(requestWith({}, { dpop: 'not a jwt' }), now))
+        })
+        .then(error => {
+          expect(error.message).to.equal('DPoP proof is not a valid JWT')
+        })
+    })
+  })
+
+  describe('DpopError', () => {
+    it('should format a WWW-Authenticate challenge', () => {
+      const error = new DpopError('DPoP proof has "no" jti')
+
+      expect(error.challenge(serverUri)).to.equal(
+        'DPoP realm="https://pod.example", error="invalid_dpop_proof", ' +
+        'error_description="DPoP proof has \'no\' jti"')
+    })
+  })
+})
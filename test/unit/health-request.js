@@ -0,0 +1,93 @@
+'use strict'
+
+const chai = require('chai')
+const sinon = require('sinon')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const sinonChai = require('sinon-chai')
+chai.use(sinonChai)
+const expect = chai.expect
+const HttpMocks = require('node-mocks-http')
+
+const HealthRequest = require('../../src/handlers/health-request')
+const Logger = require('../../src/logger')
+
+describe('HealthRequest', () => {
+  function requestWith (oidc) {
+    return HttpMocks.createRequest({ app: { locals: { oidc } } })
+  }
+
+  it('should respond with 200 and the status if ready', () => {
+    const status = {
+      ready: true,
+      storage: { op: { writable: true } },
+      keychain: { loaded: true },
+      localRp: { registered: true },
+      lastError: null
+    }
+    const oidc = { status: sinon.stub().resolves(status) }
+    const res = HttpMocks.createResponse()
+
+    return HealthRequest.get(requestWith(oidc), res, () => {})
+      .then(() => {
+        expect(res.statusCode).to.equal(200)
+        expect(res._getJSONData()).to.deep.equal({
+          ready: true,
+          storage: { op: { writable: true } },
+          keychain: { loaded: true },
+          localRp: { registered: true }
+        })
+      })
+  })
+
+  it('should log the error details rather than respond with them', () => {
+    const status = {
+      ready: false,
+      storage: {
+        op: { writable: false, error: "EACCES: permission denied, open '/var/db/oidc/op/codes'" }
+      },
+      keychain: { loaded: true },
+      localRp: { registered: false },
+      lastError: { message: 'Could not register local RP', timestamp: '2020-01-01T00:00:00.000Z' }
+    }
+    const logger = { error: sinon.stub(), warn: sinon.stub(), info: sinon.stub(), debug: sinon.stub() }
+    const oidc = { status: sinon.stub().resolves(status), logger: Logger.from({ logger }) }
+    const res = HttpMocks.createResponse()
+
+    return HealthRequest.get(requestWith(oidc), res, () => {})
+      .then(() => {
+        const body = JSON.stringify(res._getJSONData())
+
+        expect(body).to.not.include('/var/db/oidc')
+        expect(body).to.not.include('Could not register local RP')
+        expect(res._getJSONData().storage.op).to.deep.equal({ writable: false })
+        expect(logger.warn).to.have.been.calledWithMatch('Health check failed', {
+          storage: status.storage,
+          lastError: status.lastError
+        })
+      })
+  })
+
+  it('should respond with 503 if not ready', () => {
+    const status = { ready: false, keychain: { loaded: false } }
+    const oidc = { status: sinon.stub().resolves(status) }
+    const res = HttpMocks.createResponse()
+
+    return HealthRequest.get(requestWith(oidc), res, () => {})
+      .then(() => {
+        expect(res.statusCode).to.equal(503)
+        expect(res._getJSONData().ready).to.be.false()
+      })
+  })
+
+  it('should pass a 500 error to next() if no OidcManager is initialized', () => {
+    const res = HttpMocks.createResponse()
+    const next = sinon.stub()
+
+    return HealthRequest.get(requestWith(undefined), res, next)
+      .then(() => {
+        expect(next).to.have.been.calledOnce()
+        expect(next.firstCall.args[0].statusCode).to.equal(500)
+      })
+  })
+})
@@ -0,0 +1,92 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+chai.use(sinonChai)
+const expect = chai.expect
+
+const IssuerPolicy = require('../../src/issuer-policy')
+const UntrustedIssuerError = require('../../src/errors/untrusted-issuer-error')
+
+describe('IssuerPolicy', () => {
+  describe('isListed()', () => {
+    it('should allow any issuer without lists', () => {
+      const policy = new IssuerPolicy()
+
+      expect(policy.hasLists).to.be.false()
+      expect(policy.isListed('https://provider.com')).to.be.true()
+    })
+
+    it('should only allow the issuers on the allow list', () => {
+      const policy = new IssuerPolicy({ allow: ['https://idp.university.edu/'] })
+
+      expect(policy.isListed('https://IDP.university.edu')).to.be.true()
+      expect(policy.isListed('https://provider.com')).to.be.false()
+    })
+
+    it('should refuse the issuers on the deny list', () => {
+      const policy = new IssuerPolicy({ deny: ['https://evil.com'] })
+
+      expect(policy.isListed('https://evil.com/')).to.be.false()
+      expect(policy.isListed('https://provider.com')).to.be.true()
+    })
+
+    it('should always allow trusted issuers, unless denied', () => {
+      const policy = new IssuerPolicy({
+        allow: ['https://idp.university.edu'],
+        trusted: ['https://localhost:8443']
+      })
+
+      expect(policy.isListed('https://localhost:8443')).to.be.true()
+      expect(new IssuerPolicy({ deny: ['https://localhost:8443'], trusted: ['https://localhost:8443'] })
+        .isListed('https://localhost:8443')).to.be.false()
+    })
+  })
+
+  describe('check()', () => {
+    it('should reject refused issuers with a 403 UntrustedIssuerError', () => {
+      const policy = new IssuerPolicy({ deny: ['https://evil.com'] })
+
+      return policy.check('https://evil.com')
+        .then(() => { throw new Error('Expected check() to reject') })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(UntrustedIssuerError)
+          expect(error.statusCode).to.equal(403)
+          expect(error.code).to.equal('ISSUER_NOT_TRUSTED')
+          expect(error.message).to.equal('Issuer https://evil.com is not trusted: issuer is on the deny list')
+        })
+    })
+
+    it('should consult the predicate', () => {
+      const predicate = sinon.stub()
+      predicate.withArgs('https://provider.com').resolves(true)
+      predicate.withArgs('https://other.com').resolves(false)
+      const policy = new IssuerPolicy({ predicate })
+      const context = { webId: 'https://alice.example.com/#me' }
+
+      return Promise.all([
+        expect(policy.check('https://provider.com', context)).to.be.fulfilled(),
+        expect(policy.check('https://other.com', context))
+          .to.be.rejectedWith(UntrustedIssuerError, /refused by the issuer policy/)
+      ])
+        .then(() => {
+          expect(predicate).to.have.been.calledWith('https://provider.com', context)
+        })
+    })
+
+    it('should not consult the predicate for trusted issuers', () => {
+      const predicate = sinon.stub().resolves(false)
+      const policy = new IssuerPolicy({ predicate, trusted: ['https://localhost:8443'] })
+
+      return policy.check('https://localhost:8443/')
+        .then(() => {
+          expect(predicate).to.not.have.been.called()
+        })
+    })
+  })
+})
@@ -0,0 +1,55 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const { normalizeIssuer, issuersMatch } = require('../../src/issuer')
+
+describe('issuer.js', () => {
+  describe('normalizeIssuer()', () => {
+    it('should lower case the scheme and host', () => {
+      expect(normalizeIssuer('HTTPS://IdP.Example.COM')).to.equal('https://idp.example.com')
+    })
+
+    it('should drop default ports, and keep the others', () => {
+      expect(normalizeIssuer('https://idp.example:443')).to.equal('https://idp.example')
+      expect(normalizeIssuer('http://idp.example:80/')).to.equal('http://idp.example')
+      expect(normalizeIssuer('https://idp.example:8443/')).to.equal('https://idp.example:8443')
+      expect(normalizeIssuer('http://idp.example:443')).to.equal('http://idp.example:443')
+    })
+
+    it('should drop trailing slashes', () => {
+      expect(normalizeIssuer('https://idp.example/')).to.equal('https://idp.example')
+      expect(normalizeIssuer('https://idp.example/tenant/')).to.equal('https://idp.example/tenant')
+    })
+
+    it('should keep the case of the path', () => {
+      expect(normalizeIssuer('https://idp.example/Tenant')).to.equal('https://idp.example/Tenant')
+    })
+
+    it('should return invalid and non-hierarchical uris unchanged', () => {
+      expect(normalizeIssuer('not a uri')).to.equal('not a uri')
+      expect(normalizeIssuer('urn:example:idp')).to.equal('urn:example:idp')
+    })
+  })
+
+  describe('issuersMatch()', () => {
+    it('should match equivalent issuers', () => {
+      expect(issuersMatch('https://idp.example/', 'https://IDP.example:443')).to.be.true()
+    })
+
+    it('should not match different schemes, ports or paths', () => {
+      expect(issuersMatch('http://idp.example', 'https://idp.example')).to.be.false()
+      expect(issuersMatch('https://idp.example:8443', 'https://idp.example')).to.be.false()
+      expect(issuersMatch('https://idp.example/a', 'https://idp.example/b')).to.be.false()
+      expect(issuersMatch('https://idp.example/a', 'https://idp.example/A')).to.be.false()
+    })
+
+    it('should be false for missing issuers', () => {
+      expect(issuersMatch(undefined, undefined)).to.be.false()
+      expect(issuersMatch('https://idp.example', null)).to.be.false()
+    })
+  })
+})
@@ -0,0 +1,149 @@
+'use strict'
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+chai.use(sinonChai)
+const crypto = require('crypto')
+
+const {
+  secretFrom,
+  encryptPrivateKeys,
+  decryptPrivateKeys,
+  hasEncryptedKeys
+} = require('../../src/key-encryption')
+
+describe('key-encryption.js', () => {
+  const privateJwk = { kid: 'abc', kty: 'EC', d: 'secret-param', x: 'x', y: 'y' }
+  let keys
+
+  beforeEach(() => {
+    keys = {
+      token: {
+        signing: {
+          ES256: { privateJwk: Object.assign({}, privateJwk), publicJwk: { kid: 'def' } }
+        }
+      }
+    }
+  })
+
+  describe('encryptPrivateKeys() / decryptPrivateKeys()', () => {
+    it('should encrypt only the private JWKs', () => {
+      encryptPrivateKeys(keys, 'passphrase')
+
+      const envelope = keys.token.signing.ES256.privateJwk
+      expect(envelope.encrypted).to.be.true()
+      expect(envelope.cipher).to.equal('aes-256-gcm')
+      expect(JSON.stringify(envelope)).to.not.include('secret-param')
+      expect(keys.token.signing.ES256.publicJwk).to.deep.equal({ kid: 'def' })
+      expect(hasEncryptedKeys(keys)).to.be.true()
+    })
+
+    it('should round-trip the private JWKs', () => {
+      encryptPrivateKeys(keys, 'passphrase')
+      decryptPrivateKeys(keys, 'passphrase')
+
+      expect(keys.token.signing.ES256.privateJwk).to.deep.equal(privateJwk)
+      expect(hasEncryptedKeys(keys)).to.be.false()
+    })
+
+    describe('with several private JWKs', () => {
+      beforeEach(() => {
+        keys.token.signing.ES384 = { privateJwk: Object.assign({}, privateJwk, { kid: 'ghi' }) }
+        sinon.spy(crypto, 'scryptSync')
+      })
+
+      afterEach(() => {
+        crypto.scryptSync.restore()
+      })
+
+      it('should derive the key once per call', () => {
+        encryptPrivateKeys(keys, 'passphrase')
+        expect(crypto.scryptSync).to.have.been.calledOnce()
+
+        const { ES256, ES384 } = keys.token.signing
+        expect(ES256.privateJwk.salt).to.equal(ES384.privateJwk.salt)
+        expect(ES256.privateJwk.iv).to.not.equal(ES384.privateJwk.iv)
+
+        decryptPrivateKeys(keys, 'passphrase')
+        expect(crypto.scryptSync).to.have.been.calledTwice()
+        expect(keys.token.signing.ES384.privateJwk.kid).to.equal('ghi')
+      })
+
+      it('should decrypt envelopes with different salts', () => {
+        const es384 = { ES384: keys.token.signing.ES384 }
+        delete keys.token.signing.ES384
+
+        encryptPrivateKeys(keys, 'passphrase')
+        encryptPrivateKeys(es384, 'passphrase')
+        keys.token.signing.ES384 = es384.ES384
+
+        decryptPrivateKeys(keys, 'passphrase')
+
+        expect(keys.token.signing.ES256.privateJwk).to.deep.equal(privateJwk)
+        expect(keys.token.signing.ES384.privateJwk.kid).to.equal('ghi')
+      })
+    })
+
+    it('should throw a clear error on a wrong secret', () => {
+      encryptPrivateKeys(keys, 'passphrase')
+
+      expect(() => decryptPrivateKeys(keys, 'wrong'))
+        .to.throw(/Could not decrypt provider keys: the key encryption secret is wrong/)
+    })
+
+    it('should detect tampered ciphertext', () => {
+      encryptPrivateKeys(keys, 'passphrase')
+      const envelope = keys.token.signing.ES256.privateJwk
+      envelope.ciphertext = Buffer.from('tampered').toString('base64')
+
+      expect(() => decryptPrivateKeys(keys, 'passphrase'))
+        .to.throw(/Could not decrypt provider keys/)
+    })
+  })
+
+  describe('secretFrom()', () => {
+    const envVar = 'OIDC_TEST_KEY_PASSPHRASE'
+
+    afterEach(() => {
+      delete process.env[envVar]
+    })
+
+    it('should return a passphrase given directly', () => {
+      expect(secretFrom({ passphrase: 'abc' })).to.equal('abc')
+    })
+
+    it('should read the passphrase from an environment variable', () => {
+      process.env[envVar] = 'from-env'
+
+      expect(secretFrom({ passphraseEnv: envVar })).to.equal('from-env')
+    })
+
+    it('should throw if the environment variable is not set', () => {
+      expect(() => secretFrom({ passphraseEnv: envVar }))
+        .to.throw(/environment variable OIDC_TEST_KEY_PASSPHRASE is not set/)
+    })
+
+    it('should read the secret from a key file', () => {
+      const keyFile = path.join(os.tmpdir(), 'oidc-test-key-file')
+      fs.writeFileSync(keyFile, 'from-file\n')
+
+      try {
+        expect(secretFrom({ keyFile })).to.equal('from-file')
+      } finally {
+        fs.removeSync(keyFile)
+      }
+    })
+
+    it('should throw if no secret source is configured', () => {
+      expect(() => secretFrom({}))
+        .to.throw(/requires a passphrase, passphraseEnv, keyFile or keyFileEnv/)
+    })
+  })
+})
@@ -277,6 +277,21 @@ describe('LoginConsentRequest', () => {
             expect(render).to.not.have.been.called()
           })
       })
+      it('should emit a consent:granted event', () => {
+        const oidc = { emit: sinon.spy() }
+        opAuthRequest.req.app.locals.oidc = oidc
+        opAuthRequest.subject = { _id: 'https://alice.example.com/#me' }
+        const request = LoginConsentRequest.from(opAuthRequest)
+
+        return LoginConsentRequest.obtainConsent(request)
+          .then(() => {
+            expect(oidc.emit).to.have.been.calledWithMatch('consent:granted', {
+              webId: 'https://alice.example.com/#me',
+              clientId,
+              scope: 'openid'
+            })
+          })
+      })
     })
 
     describe('if body.consent param is NOT present', () => {
@@ -372,5 +387,35 @@ describe('LoginConsentRequest', () => {
           expect(redirect).to.have.been.called()
         })
     })
+
+    it('should save the client metadata for the consent screen', () => {
+      const res = HttpMocks.createResponse()
+      sinon.stub(res, 'redirect')
+
+      const opAuthRequest = createOpAuthRequest({
+        res,
+        client: {
+          client_id: 'https://app.example/id',
+          client_name: 'Solid Notes',
+          logo_uri: 'https://app.example/logo.png',
+          client_id_document: true
+        }
+      })
+      opAuthRequest.req.query = { client_id: 'https://app.example/id' }
+      opAuthRequest.req.session = {}
+      const request = LoginConsentRequest.from(opAuthRequest)
+
+      expect(() => request.redirectToConsent()).to.throw('User redirected')
+
+      expect(opAuthRequest.req.session.consentClient).to.deep.equal({
+        clientId: 'https://app.example/id',
+        clientName: 'Solid Notes',
+        logoUri: 'https://app.example/logo.png',
+        clientUri: undefined,
+        policyUri: undefined,
+        tosUri: undefined,
+        clientIdDocument: true
+      })
+    })
   })
 })
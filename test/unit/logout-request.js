@@ -4,6 +4,9 @@ const chai = require('chai')
 const dirtyChai = require('dirty-chai')
 chai.use(dirtyChai)
 const expect = chai.expect
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+chai.use(sinonChai)
 const HttpMocks = require('node-mocks-http')
 
 const LogoutRequest = require('../../src/handlers/logout-request')
@@ -37,4 +40,31 @@ describe('LogoutRequest', () => {
         expect(res._getRedirectUrl()).to.equal('/goodbye')
       })
   })
+
+  it('should emit a user:logout event', () => {
+    const oidc = { emit: sinon.spy() }
+    const req = {
+      session: { userId: 'https://alice.example.com/#me' },
+      app: { locals: { oidc } }
+    }
+    const res = HttpMocks.createResponse()
+
+    return LogoutRequest.handle(req, res)
+      .then(() => {
+        expect(oidc.emit).to.have.been.calledWithMatch('user:logout', {
+          webId: 'https://alice.example.com/#me'
+        })
+      })
+  })
+
+  it('should not emit a user:logout event if no user was logged in', () => {
+    const oidc = { emit: sinon.spy() }
+    const req = { session: {}, app: { locals: { oidc } } }
+    const res = HttpMocks.createResponse()
+
+    return LogoutRequest.handle(req, res)
+      .then(() => {
+        expect(oidc.emit).to.not.have.been.called()
+      })
+  })
 })
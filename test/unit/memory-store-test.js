@@ -0,0 +1,157 @@
+'use strict'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const MemoryStore = require('../../src/storage/memory-store')
+
+describe('MemoryStore', () => {
+  let store
+
+  beforeEach(() => {
+    store = new MemoryStore({ collections: ['users', 'users-by-email'] })
+    store.initCollections()
+  })
+
+  describe('put() and get()', () => {
+    it('should store and load a value', () => {
+      const user = { id: 'https://alice.example.com/#me' }
+
+      return store.put('users', 'alice', user)
+        .then(() => store.get('users', 'alice'))
+        .then(result => {
+          expect(result).to.deep.equal(user)
+          expect(result).to.not.equal(user)
+        })
+    })
+
+    it('should resolve with null for a missing key', () => {
+      return store.get('users', 'missing')
+        .then(result => {
+          expect(result).to.be.null()
+        })
+    })
+
+    it('should apply overridden serialize / deserialize hooks', () => {
+      store.serialize = (data) => JSON.stringify({ wrapped: data })
+      store.deserialize = (data) => JSON.parse(data).wrapped
+
+      return store.put('users', 'alice', { id: 'alice' })
+        .then(() => {
+          expect(store.data.get('users').get('alice'))
+            .to.equal('{"wrapped":{"id":"alice"}}')
+
+          return store.get('users', 'alice')
+        })
+        .then(result => {
+          expect(result).to.deep.equal({ id: 'alice' })
+        })
+    })
+
+    it('should reject if the collection does not exist', () => {
+      return expect(store.put('tokens', 'abc', {}))
+        .to.be.rejectedWith(/collection "tokens" does not exist/)
+    })
+
+    it('should reject on an empty key', () => {
+      return expect(store.put('users', '', {}))
+        .to.be.rejectedWith(TypeError)
+    })
+  })
+
+  describe('del()', () => {
+    it('should delete a stored value', () => {
+      return store.put('users', 'alice', { id: 'alice' })
+        .then(() => store.del('users', 'alice'))
+        .then(deleted => {
+          expect(deleted).to.be.true()
+
+          return store.get('users', 'alice')
+        })
+        .then(result => {
+          expect(result).to.be.null()
+        })
+    })
+
+    it('should resolve with false if the key did not exist', () => {
+      return store.del('users', 'missing')
+        .then(deleted => {
+          expect(deleted).to.be.false()
+        })
+    })
+  })
+
+  describe('putIfAbsent()', () => {
+    it('should only store a value if the key does not exist', () => {
+      return Promise.all([
+        store.putIfAbsent('users', 'alice', { id: 'alice' }),
+        store.putIfAbsent('users', 'alice', { id: 'mallory' })
+      ])
+        .then(results => {
+          expect(results).to.deep.equal([true, false])
+
+          return store.get('users', 'alice')
+        })
+        .then(result => {
+          expect(result).to.deep.equal({ id: 'alice' })
+        })
+    })
+
+    it('should reject if the collection does not exist', () => {
+      return expect(store.putIfAbsent('tokens', 'abc', {}))
+        .to.be.rejectedWith(/collection "tokens" does not exist/)
+    })
+  })
+
+  describe('batch()', () => {
+    it('should apply all operations', () => {
+      const operations = [
+        { type: 'put', collection: 'users', key: 'alice', data: { id: 'alice' } },
+        { type: 'put', collection: 'users-by-email', key: 'alice%40example.com', data: { id: 'alice' } }
+      ]
+
+      return store.batch(operations)
+        .then(() => store.get('users-by-email', 'alice%40example.com'))
+        .then(result => {
+          expect(result).to.deep.equal({ id: 'alice' })
+        })
+    })
+
+    it('should not apply any operations if one of them is invalid', () => {
+      const operations = [
+        { type: 'put', collection: 'users', key: 'alice', data: { id: 'alice' } },
+        { type: 'put', collection: 'tokens', key: 'abc', data: {} }
+      ]
+
+      return expect(store.batch(operations)).to.be.rejected()
+        .then(() => store.get('users', 'alice'))
+        .then(result => {
+          expect(result).to.be.null()
+        })
+    })
+  })
+
+  describe('list()', () => {
+    it('should list the keys in a collection', () => {
+      return Promise.all([
+        store.put('users', 'alice', {}),
+        store.put('users', 'bob', {})
+      ])
+        .then(() => store.list('users'))
+        .then(keys => {
+          expect(keys).to.deep.equal(['alice', 'bob'])
+        })
+    })
+
+    it('should return an empty list for a missing collection', () => {
+      return store.list('tokens')
+        .then(keys => {
+          expect(keys).to.deep.equal([])
+        })
+    })
+  })
+})
@@ -1,5 +1,6 @@
 'use strict'
 
+const path = require('path')
 const chai = require('chai')
 const nock = require('nock')
 const chaiAsPromised = require('chai-as-promised')
@@ -12,9 +13,17 @@ const sinonChai = require('sinon-chai')
 chai.use(sinonChai)
 chai.should()
 
+const HttpMocks = require('node-mocks-http')
+const ResourceAuthenticator = require('@solid/oidc-rs')
 const OidcManager = require('../../src/oidc-manager')
+const MemoryStore = require('../../src/storage/memory-store')
+const InvalidConfigError = require('../../src/errors/invalid-config-error')
+const Logger = require('../../src/logger')
 
 const sampleProfileSrc = require('../resources/sample-webid-profile')
+const sampleProfileSrcWithOidcIssuer = require('../resources/sample-webid-profile-with-oidc-issuer')
+const sampleProviderMetadata = require('../resources/sample-provider-metadata')
+const sampleClientIdDocument = require('../resources/sample-client-id-document')
 
 describe('OidcManager', () => {
   afterEach(() => {
@@ -59,6 +68,473 @@ describe('OidcManager', () => {
       expect(oidc.users).to.exist()
       expect(oidc.provider).to.exist()
     })
+
+    it('should use the built-in memory backend if configured', () => {
+      const providerUri = 'https://localhost:8443'
+      const config = {
+        providerUri,
+        authCallbackUri: providerUri + '/api/oidc/rp',
+        postLogoutUri: providerUri + '/goodbye',
+        backend: 'memory'
+      }
+
+      const oidc = OidcManager.from(config)
+
+      expect(oidc.clients.store.backend).to.be.an.instanceof(MemoryStore)
+      expect(oidc.provider.backend).to.be.an.instanceof(MemoryStore)
+      expect(oidc.users.backend).to.be.an.instanceof(MemoryStore)
+    })
+
+    it('should create each store through a custom backend factory', () => {
+      const providerUri = 'https://localhost:8443'
+      const factory = sinon.spy(options => new MemoryStore(options))
+      const config = {
+        providerUri,
+        authCallbackUri: providerUri + '/api/oidc/rp',
+        postLogoutUri: providerUri + '/goodbye',
+        dbPath: './db/oidc-mgr',
+        backend: factory
+      }
+
+      OidcManager.from(config)
+
+      expect(factory).to.have.been.calledThrice()
+      const [rp, users, op] = factory.getCalls().map(call => call.args[0])
+      expect(rp.name).to.equal('rp')
+      expect(rp.collections).to.deep.equal(['clients', 'health-checks'])
+      expect(users.name).to.equal('users')
+      expect(users.collections).to.deep.equal(['users', 'users-by-email', 'health-checks'])
+      expect(op.name).to.equal('op')
+      expect(op.collections).to.deep.equal(['codes', 'clients', 'tokens', 'refresh', 'dpop-proofs', 'health-checks'])
+      expect(op.path.endsWith('oidc-mgr/op')).to.be.true()
+      expect(op.dbPath).to.equal('./db/oidc-mgr')
+    })
+
+    it('should throw on an unknown backend name', () => {
+      const providerUri = 'https://localhost:8443'
+      const config = {
+        providerUri,
+        authCallbackUri: providerUri + '/api/oidc/rp',
+        postLogoutUri: providerUri + '/goodbye',
+        backend: 'cassandra'
+      }
+
+      expect(() => OidcManager.from(config))
+        .to.throw(/backend must be one of 'file', 'memory', 'sqlite', or a backend factory function/)
+    })
+
+    it('should use an injected logger', () => {
+      const providerUri = 'https://localhost:8443'
+      const logger = new Logger({ level: 'debug', write: sinon.spy() })
+      const config = {
+        providerUri,
+        authCallbackUri: providerUri + '/api/oidc/rp',
+        postLogoutUri: providerUri + '/goodbye',
+        backend: 'memory',
+        logger
+      }
+
+      const oidc = OidcManager.from(config)
+
+      expect(oidc.logger).to.equal(logger)
+      expect(oidc.provider.host.logger).to.equal(logger)
+
+      oidc.recordError(new Error('Registration failed'))
+      expect(logger.write).to.have.been.calledWithMatch({
+        level: 'error',
+        msg: 'Registration failed'
+      })
+    })
+  })
+
+  describe('validateConfig()', () => {
+    const serverUri = 'https://localhost:8443'
+    let config
+
+    beforeEach(() => {
+      config = {
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: '/goodbye'
+      }
+    })
+
+    it('should accept a valid config', () => {
+      config.saltRounds = 10
+      config.dbPath = './db/oidc'
+      config.host = { authenticate: () => {} }
+      config.delayBeforeRegisteringInitialClient = 1000
+
+      expect(() => OidcManager.validateConfig(config)).to.not.throw()
+    })
+
+    it('should accept providerUri as an alias for serverUri', () => {
+      delete config.serverUri
+      config.providerUri = serverUri
+
+      expect(() => OidcManager.validateConfig(config)).to.not.throw()
+    })
+
+    it('should list every problem in a single error', () => {
+      const badConfig = {
+        serverUri: 'localhost:8443',
+        postLogoutUri: 'goodbye',
+        saltRounds: 100,
+        host: { authenticate: 'yes' },
+        delayBeforeRegisteringInitialClient: '1000'
+      }
+
+      try {
+        OidcManager.validateConfig(badConfig)
+        throw new Error('Expected validateConfig() to throw')
+      } catch (error) {
+        expect(error).to.be.an.instanceof(InvalidConfigError)
+        expect(error.errors).to.have.members([
+          "config must have required property 'authCallbackUri'",
+          'serverUri must be an absolute http(s) URI',
+          'postLogoutUri must be an absolute http(s) URI or an absolute path',
+          'saltRounds must be <= 31',
+          'delayBeforeRegisteringInitialClient must be number',
+          'host.authenticate must be a function'
+        ])
+        expect(error.message).to.include('saltRounds must be <= 31')
+      }
+    })
+
+    it('should reject an invalid logger or log level', () => {
+      config.logger = { info: () => {} }
+      config.logLevel = 'verbose'
+
+      try {
+        OidcManager.validateConfig(config)
+        throw new Error('Expected validateConfig() to throw')
+      } catch (error) {
+        expect(error.errors).to.include.members([
+          "logger must have required property 'error'",
+          'logLevel must be equal to one of the allowed values'
+        ])
+      }
+    })
+
+    it('should validate the token types and DPoP settings', () => {
+      config.tokenTypesSupported = ['dpop', 'bearer']
+      config.dpop = { clockSkew: -1, replayCache: {} }
+
+      try {
+        OidcManager.validateConfig(config)
+        throw new Error('Expected validateConfig() to throw')
+      } catch (error) {
+        expect(error.errors).to.have.members([
+          'tokenTypesSupported.1 must be equal to one of the allowed values',
+          'dpop.clockSkew must be >= 0',
+          'dpop.replayCache must be false, or an object with an add(jti, expiresAt) method'
+        ])
+      }
+    })
+
+    it('should accept profile parsers, and reject ones that are not functions', () => {
+      config.discovery = { profileParsers: { 'text/n3': () => [], 'text/html': null } }
+      expect(() => OidcManager.validateConfig(config)).to.not.throw()
+
+      config.discovery = { profileParsers: { 'text/n3': 'n3' } }
+      expect(() => OidcManager.validateConfig(config)).to.throw(InvalidConfigError)
+    })
+
+    it('should reject a dbPath that cannot be written to', () => {
+      config.dbPath = path.join(__filename, 'oidc')
+
+      expect(() => OidcManager.validateConfig(config))
+        .to.throw(/dbPath must be a writable directory path/)
+    })
+
+    it('should be called by from()', () => {
+      delete config.postLogoutUri
+
+      expect(() => OidcManager.from(config))
+        .to.throw(InvalidConfigError, /must have required property 'postLogoutUri'/)
+    })
+  })
+
+  describe('status()', () => {
+    const serverUri = 'https://localhost:8443'
+    let oidc
+
+    beforeEach(() => {
+      oidc = OidcManager.from({
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        backend: 'memory',
+        debug: () => {}
+      })
+    })
+
+    it('should report not ready before initialization', () => {
+      return oidc.status()
+        .then(status => {
+          expect(status.ready).to.be.false()
+          expect(status.storage.rp.writable).to.be.false()
+          expect(status.storage.op.error).to.match(/does not exist/)
+          expect(status.keychain.loaded).to.be.false()
+          expect(status.localRp.registered).to.be.false()
+          expect(status.lastError).to.be.null()
+        })
+    })
+
+    it('should report ready once storage, keychain and local RP are up', () => {
+      oidc.initStorage()
+      oidc.keychainLoaded = true
+      oidc.localRp = {}
+
+      return oidc.status()
+        .then(status => {
+          expect(status.ready).to.be.true()
+          expect(status.storage).to.deep.equal({
+            rp: { writable: true },
+            op: { writable: true },
+            users: { writable: true }
+          })
+
+          return oidc.users.backend.list(OidcManager.HEALTH_COLLECTION)
+        })
+        .then(keys => {
+          expect(keys).to.be.empty() // probe records are cleaned up
+        })
+    })
+
+    it('should not write to the data collections', () => {
+      oidc.initStorage()
+      const put = sinon.spy(oidc.users.backend, 'put')
+
+      return oidc.status()
+        .then(() => {
+          expect(put).to.have.been.calledOnce()
+          expect(put).to.have.been
+            .calledWith(OidcManager.HEALTH_COLLECTION, sinon.match.string)
+        })
+    })
+
+    it('should reuse a recent storage check', () => {
+      oidc.initStorage()
+      const put = sinon.spy(oidc.users.backend, 'put')
+
+      return oidc.status()
+        .then(() => oidc.status())
+        .then(status => {
+          expect(status.storage.users.writable).to.be.true()
+          expect(put).to.have.been.calledOnce()
+
+          oidc.storageCheck.checkedAt -= 5000
+
+          return oidc.status()
+        })
+        .then(() => {
+          expect(put).to.have.been.calledTwice()
+        })
+    })
+
+    it('should report the last error recorded by initialize()', () => {
+      oidc.initStorage = sinon.stub().throws(new Error('Disk full'))
+
+      return oidc.initialize()
+        .then(() => oidc.status())
+        .then(status => {
+          expect(status.ready).to.be.false()
+          expect(status.lastError.message).to.equal('Disk full')
+          expect(Date.parse(status.lastError.timestamp)).to.not.be.NaN()
+        })
+    })
+  })
+
+  describe('initLocalRpClient()', () => {
+    const serverUri = 'https://localhost:8443'
+    const localClient = { provider: { url: serverUri } }
+    let oidc, events
+
+    beforeEach(() => {
+      oidc = OidcManager.from({
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        backend: 'memory',
+        localRpRetry: { maxAttempts: 3, initialDelay: 1, maxDelay: 5 },
+        debug: () => {}
+      })
+
+      events = []
+      ;['localRp:attempt', 'localRp:registered', 'localRp:failed'].forEach(name => {
+        oidc.on(name, event => events.push([name, event.attempt]))
+      })
+    })
+
+    afterEach(() => {
+      clearTimeout(oidc.localRpRetryTimer)
+    })
+
+    it('should not wait for the retries before resolving', () => {
+      oidc.clients.clientForIssuer = sinon.stub().rejects(new Error('ECONNRESET'))
+
+      return oidc.initLocalRpClient()
+        .then(client => {
+          expect(client).to.be.undefined()
+          expect(oidc.clients.clientForIssuer).to.have.been.calledOnce()
+          expect(oidc.localRpRetryTimer).to.exist()
+          expect(oidc.localRpRetryTimer.hasRef()).to.be.false()
+        })
+    })
+
+    it('should retry with backoff in the background until registration succeeds', () => {
+      oidc.clients.clientForIssuer = sinon.stub()
+      oidc.clients.clientForIssuer.onFirstCall().rejects(new Error('ECONNRESET'))
+      oidc.clients.clientForIssuer.onSecondCall().rejects(new Error('ECONNRESET'))
+      oidc.clients.clientForIssuer.onThirdCall().resolves(localClient)
+
+      const registered = new Promise(resolve => oidc.once('localRp:registered', resolve))
+
+      return oidc.initLocalRpClient()
+        .then(() => registered)
+        .then(() => {
+          expect(oidc.localRp).to.equal(localClient)
+          expect(events).to.deep.equal([
+            ['localRp:attempt', 1], ['localRp:failed', 1],
+            ['localRp:attempt', 2], ['localRp:failed', 2],
+            ['localRp:attempt', 3], ['localRp:registered', 3]
+          ])
+          expect(oidc.lastError.message).to.equal('ECONNRESET')
+        })
+    })
+
+    it('should keep retrying after maxAttempts failures', () => {
+      oidc.clients.clientForIssuer = sinon.stub().rejects(new Error('ECONNRESET'))
+
+      const failedThrice = new Promise(resolve => {
+        oidc.on('localRp:failed', event => {
+          if (event.attempt === 3) { resolve() }
+        })
+      })
+
+      return oidc.initLocalRpClient()
+        .then(() => failedThrice)
+        .then(() => {
+          oidc.clients.clientForIssuer = sinon.stub().resolves(localClient)
+
+          return new Promise(resolve => oidc.once('localRp:registered', resolve))
+        })
+        .then(event => {
+          expect(event.attempt).to.equal(4)
+          expect(oidc.localRp).to.equal(localClient)
+        })
+    })
+
+    it('should compute exponentially growing, capped delays', () => {
+      expect(oidc.localRpRetryDelay(1)).to.equal(1)
+      expect(oidc.localRpRetryDelay(2)).to.equal(2)
+      expect(oidc.localRpRetryDelay(3)).to.equal(4)
+      expect(oidc.localRpRetryDelay(4)).to.equal(5)
+    })
+
+    it('should use the deprecated delayBeforeRegisteringInitialClient as the initial delay', () => {
+      oidc = OidcManager.from({
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        backend: 'memory',
+        delayBeforeRegisteringInitialClient: 3000,
+        debug: () => {}
+      })
+
+      expect(oidc.localRpRetry.initialDelay).to.equal(3000)
+      expect(oidc.localRpRetryDelay(2)).to.equal(6000)
+    })
+  })
+
+  describe('localRpClient()', () => {
+    const serverUri = 'https://localhost:8443'
+    let oidc
+
+    beforeEach(() => {
+      oidc = OidcManager.from({
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        backend: 'memory',
+        debug: () => {}
+      })
+    })
+
+    it('should return an already registered client', () => {
+      oidc.localRp = {}
+      oidc.clients.clientForIssuer = sinon.stub()
+
+      return oidc.localRpClient()
+        .then(client => {
+          expect(client).to.equal(oidc.localRp)
+          expect(oidc.clients.clientForIssuer).to.not.have.been.called()
+        })
+    })
+
+    it('should lazily register the client on first use', () => {
+      const localClient = {}
+      oidc.clients.clientForIssuer = sinon.stub().resolves(localClient)
+
+      return Promise.all([oidc.localRpClient(), oidc.localRpClient()])
+        .then(([first, second]) => {
+          expect(first).to.equal(localClient)
+          expect(second).to.equal(localClient)
+          expect(oidc.clients.clientForIssuer).to.have.been.calledOnce()
+        })
+    })
+  })
+
+  describe('clientForIssuer()', () => {
+    const serverUri = 'https://localhost:8443'
+    let oidc
+
+    beforeEach(() => {
+      oidc = OidcManager.from({
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        backend: 'memory',
+        debug: () => {}
+      })
+    })
+
+    it('should register the local RP client on first use', () => {
+      const localClient = {}
+      oidc.clients.clientForIssuer = sinon.stub().resolves(localClient)
+
+      return oidc.clientForIssuer(serverUri + '/')
+        .then(client => {
+          expect(client).to.equal(localClient)
+          expect(oidc.localRp).to.equal(localClient)
+          expect(oidc.clients.clientForIssuer).to.have.been.calledWith(serverUri)
+        })
+    })
+
+    it('should load the clients of other issuers from the client store', () => {
+      const client = {}
+      oidc.clients.clientForIssuer = sinon.stub().resolves(client)
+
+      return oidc.clientForIssuer('https://provider.com')
+        .then(loadedClient => {
+          expect(loadedClient).to.equal(client)
+          expect(oidc.localRp).to.be.null()
+        })
+    })
+
+    it('should build the authorization url with the local RP client', () => {
+      const localClient = {}
+      const session = {}
+      oidc.localRp = localClient
+      oidc.clients.authUrl = sinon.stub().resolves('https://localhost:8443/authorize')
+
+      return oidc.authUrlForIssuer(serverUri, session)
+        .then(authUrl => {
+          expect(authUrl).to.equal('https://localhost:8443/authorize')
+          expect(oidc.clients.authUrl).to.have.been.calledWith(localClient, session)
+        })
+    })
   })
 
   describe('initMultiRpClient()', () => {
@@ -99,6 +575,131 @@ describe('OidcManager', () => {
       expect(oidc.rs.defaults.query).to.be.true()
       expect(oidc.rs.defaults.realm).to.equal(serverUri)
       expect(oidc.rs).to.respondTo('authenticate')
+      expect(oidc.rs.defaults.allow.issuers).to.not.exist()
+    })
+
+    it('should restrict token issuers to the issuer policy lists', () => {
+      const serverUri = 'https://localhost:8443'
+      const config = {
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye',
+        issuerPolicy: { allow: ['https://idp.university.edu'] }
+      }
+
+      const oidc = OidcManager.from(config)
+      const allowIssuer = oidc.rs.defaults.allow.issuers
+
+      expect(allowIssuer('https://idp.university.edu/')).to.be.true()
+      expect(allowIssuer(serverUri)).to.be.true()
+      expect(allowIssuer('https://provider.com')).to.be.false()
+    })
+
+    describe('token types and DPoP proofs', () => {
+      const serverUri = 'https://localhost:8443'
+      const config = {
+        serverUri,
+        authCallbackUri: serverUri + '/api/oidc/rp',
+        postLogoutUri: serverUri + '/goodbye'
+      }
+      let authenticate
+
+      beforeEach(() => {
+        // Stands in for oidc-rs, accepting every token
+        authenticate = sinon.stub(ResourceAuthenticator.prototype, 'authenticate')
+          .returns((req, res, next) => next())
+      })
+
+      afterEach(() => {
+        authenticate.restore()
+      })
+
+      it('should refuse bearer tokens if only DPoP is supported', () => {
+        const oidc = OidcManager.from(Object.assign({ tokenTypesSupported: ['dpop'] }, config))
+        const req = HttpMocks.createRequest({ headers: { authorization: 'Bearer abc' } })
+        const res = HttpMocks.createResponse()
+        const next = sinon.spy()
+
+        oidc.rs.authenticate()(req, res, next)
+
+        expect(oidc.rs.defaults.tokenTypesSupported).to.eql(['dpop'])
+        expect(authenticate).to.not.have.been.called()
+        expect(res.statusCode).to.equal(401)
+        expect(res.get('WWW-Authenticate')).to.match(/^DPoP realm="https:\/\/localhost:8443", error="invalid_token"/)
+        expect(next.firstCall.args[0].message).to.equal('Only DPoP-bound access tokens are supported')
+      })
+
+      it('should verify the DPoP proof once oidc-rs has authenticated the request', () => {
+        const oidc = OidcManager.from(Object.assign({
+          dpop: { trustForwardedHeaders: true, requireAth: true }
+        }, config))
+        const req = HttpMocks.createRequest({
+          headers: {
+            authorization: 'DPoP abc',
+            dpop: 'proof',
+            'x-forwarded-host': 'pod.example'
+          }
+        })
+        const res = HttpMocks.createResponse()
+        const verify = sinon.stub(oidc.dpopVerifier, 'verify').resolves()
+
+        return new Promise(resolve => oidc.rs.authenticate()(req, res, resolve))
+          .then(error => {
+            expect(error).to.not.exist()
+            expect(authenticate.firstCall.args[0].realm).to.equal('https://pod.example')
+            expect(verify).to.have.been.calledWith(req)
+          })
+      })
+
+      it('should refuse DPoP proofs replayed to another process sharing the backend', () => {
+        const backend = new MemoryStore({ collections: OidcManager.STORES.op.collections })
+        backend.initCollections()
+        const shared = Object.assign({ backend: ({ name }) => name === 'op' ? backend : new MemoryStore() }, config)
+        const oidc = OidcManager.from(shared)
+        const otherProcess = OidcManager.from(shared)
+
+        const iat = Math.floor(Date.now() / 1000)
+        const payload = Buffer.from(JSON.stringify({ jti: 'jti-1', iat })).toString('base64')
+        const headers = { authorization: 'DPoP abc', dpop: `header.${payload}.sig` }
+        const authenticated = oidc => new Promise(resolve => {
+          oidc.rs.authenticate()(HttpMocks.createRequest({ headers }), HttpMocks.createResponse(), resolve)
+        })
+
+        expect(oidc.dpopVerifier.replayCache).to.equal(oidc.replayCache)
+        expect(oidc.replayCache.backend).to.equal(oidc.provider.backend)
+
+        return authenticated(oidc)
+          .then(error => {
+            expect(error).to.not.exist()
+
+            return authenticated(otherProcess)
+          })
+          .then(error => {
+            expect(error.message).to.equal('DPoP proof has already been used')
+          })
+      })
+
+      it('should use the configured replay cache, if any', () => {
+        const oidc = OidcManager.from(Object.assign({ dpop: { replayCache: false } }, config))
+
+        expect(oidc.replayCache).to.be.null()
+        expect(oidc.dpopVerifier.replayCache).to.be.null()
+      })
+
+      it('should pass refused DPoP proofs on as 401 errors', () => {
+        const oidc = OidcManager.from(config)
+        const req = HttpMocks.createRequest({
+          headers: { authorization: 'DPoP abc', dpop: 'not a jwt' }
+        })
+        const res = HttpMocks.createResponse()
+
+        return new Promise(resolve => oidc.rs.authenticate()(req, res, resolve))
+          .then(error => {
+            expect(error.message).to.equal('DPoP proof is not a valid JWT')
+            expect(res.statusCode).to.equal(401)
+            expect(res.get('WWW-Authenticate')).to.match(/error="invalid_dpop_proof"/)
+          })
+      })
     })
   })
 
@@ -153,6 +754,104 @@ describe('OidcManager', () => {
     })
   })
 
+  describe('clientRegistrationFor()', () => {
+    const providerUri = 'https://localhost:8443'
+    const clientId = 'https://app.example/id'
+    let logger, oidc
+
+    beforeEach(() => {
+      logger = new Logger({ level: 'debug', write: sinon.spy() })
+      oidc = OidcManager.from({
+        providerUri,
+        authCallbackUri: providerUri + '/api/oidc/rp',
+        postLogoutUri: providerUri + '/goodbye',
+        backend: 'memory',
+        outboundPolicy: { resolve: () => Promise.resolve(['93.184.216.34']) },
+        logger
+      })
+    })
+
+    it('should serve Client ID Documents to the provider', () => {
+      nock('https://app.example')
+        .get('/id')
+        .reply(200, sampleClientIdDocument(clientId))
+
+      return oidc.provider.backend.get('clients', clientId)
+        .then(client => {
+          expect(client.client_id).to.equal(clientId)
+          expect(client.redirect_uris).to.deep.equal(['https://app.example/callback'])
+          expect(client.client_name).to.equal('Solid Notes')
+        })
+    })
+
+    it('should still look up dynamically registered clients in the store', () => {
+      const client = { client_id: 'abc123', redirect_uris: ['https://app.example/callback'] }
+
+      oidc.provider.backend.initCollections()
+
+      return oidc.provider.backend.put('clients', 'abc123', client)
+        .then(() => oidc.provider.backend.get('clients', 'abc123'))
+        .then(registration => {
+          expect(registration).to.deep.equal(client)
+        })
+    })
+
+    it('should treat invalid documents as unknown clients', () => {
+      nock('https://app.example')
+        .get('/id')
+        .reply(200, sampleClientIdDocument('https://evil.example/id'))
+
+      return oidc.clientRegistrationFor(clientId)
+        .then(client => {
+          expect(client).to.be.null()
+          expect(logger.write).to.have.been.calledWithMatch({
+            level: 'warn',
+            msg: 'Could not load Client ID Document',
+            clientId
+          })
+        })
+    })
+  })
+
+  describe('providerMetadataFor()', () => {
+    const providerUri = 'https://localhost:8443'
+    const config = {
+      providerUri,
+      dbPath: './db/oidc-mgr',
+      authCallbackUri: providerUri + '/api/oidc/rp',
+      postLogoutUri: providerUri + '/goodbye',
+      outboundPolicy: { resolve: () => Promise.resolve(['93.184.216.34']) }
+    }
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    it('should read the metadata of the local provider without a request', () => {
+      const oidc = OidcManager.from(config)
+      oidc.initProvider()
+
+      return oidc.providerMetadataFor(providerUri + '/')
+        .then(metadata => {
+          expect(metadata.issuer).to.equal(providerUri)
+          expect(metadata.authorizationEndpoint).to.equal(providerUri + '/authorize')
+        })
+    })
+
+    it('should fetch the metadata of other issuers', () => {
+      const oidc = OidcManager.from(config)
+
+      nock('https://provider.com')
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata('https://provider.com'))
+
+      return oidc.providerMetadataFor('https://provider.com')
+        .then(metadata => {
+          expect(metadata.tokenEndpoint).to.equal('https://provider.com/token')
+        })
+    })
+  })
+
   describe('providerConfigPath()', () => {
     it('should return the Provider config file path', () => {
       const providerUri = 'https://localhost:8443'
@@ -226,9 +925,15 @@ describe('OidcManager', () => {
     const providerUri = 'https://example.com'
     const authCallbackUri = providerUri + '/api/oidc/rp'
     const postLogoutUri = providerUri + '/goodbye'
-    const config = { providerUri, authCallbackUri, postLogoutUri }
+    // Resolves the (nock mocked) Web ID hosts for the outbound policy
+    const outboundPolicy = { resolve: () => Promise.resolve(['93.184.216.34']) }
+    const config = { providerUri, authCallbackUri, postLogoutUri, outboundPolicy, logLevel: 'error' }
     const oidc = OidcManager.from(config)
 
+    beforeEach(() => {
+      oidc.discoveryCache.clear()
+    })
+
     it('should resolve with null webid with missing claims', () => {
       return oidc.webIdFromClaims(null)
         .then(webId => {
@@ -270,6 +975,111 @@ describe('OidcManager', () => {
         })
     })
 
+    it('should cache the discovered provider until invalidated', () => {
+      const claims = {
+        iss: 'https://provider.com',
+        sub: 'https://example.com/profile#me'
+      }
+
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, sampleProfileSrc)
+
+      nock('https://example.com')
+        .options('/profile')
+        .reply(204, 'No content', {
+          Link: '<https://provider.com>; rel="http://openid.net/specs/connect/1.0/issuer"'
+        })
+
+      return oidc.webIdFromClaims(claims)
+        .then(() => oidc.webIdFromClaims(claims)) // no further requests mocked
+        .then(webId => {
+          expect(webId).to.equal(claims.sub)
+          expect(oidc.discoveryCache.invalidate(claims.sub)).to.be.true()
+        })
+    })
+
+    it('should refuse to discover providers of Web IDs on private networks', () => {
+      const claims = {
+        iss: 'https://provider.com',
+        sub: 'https://intranet.example.com/profile#me'
+      }
+      const intranetOidc = OidcManager.from(Object.assign({}, config, {
+        outboundPolicy: { resolve: () => Promise.resolve(['10.0.0.5']) }
+      }))
+
+      return intranetOidc.webIdFromClaims(claims)
+        .then(() => { throw new Error('Expected the discovery to be refused') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_FORBIDDEN')
+          expect(error.message).to.match(/private network address/)
+        })
+    })
+
+    it('should discover the providers of Web IDs on its own origin', () => {
+      const claims = {
+        iss: 'https://provider.com',
+        sub: 'https://pod.intranet/profile#me'
+      }
+      const intranetOidc = OidcManager.from(Object.assign({}, config, {
+        serverUri: 'https://pod.intranet',
+        outboundPolicy: { resolve: () => Promise.resolve(['10.0.0.5']) }
+      }))
+
+      nock('https://pod.intranet')
+        .get('/profile')
+        .reply(200, `
+          @prefix solid: <http://www.w3.org/ns/solid/terms#>.
+          <#me> solid:oidcIssuer <https://provider.com>.
+        `, { 'Content-Type': 'text/turtle' })
+
+      return intranetOidc.webIdFromClaims(claims)
+        .then(webId => {
+          expect(webId).to.equal('https://pod.intranet/profile#me')
+        })
+    })
+
+    it('should not cache discovery results if disabled', () => {
+      const uncached = OidcManager.from(Object.assign({ discoveryCache: false }, config))
+
+      expect(uncached.discoveryCache).to.be.null()
+    })
+
+    it('should accept any of the issuers listed in the Web ID profile', () => {
+      const claims = {
+        iss: 'https://backup-provider.com',
+        sub: 'https://example.com/profile#me'
+      }
+
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, `
+          @prefix solid: <http://www.w3.org/ns/solid/terms#>.
+          <#me> solid:oidcIssuer <https://provider.com>, <https://backup-provider.com>.
+        `, { 'Content-Type': 'text/turtle' })
+
+      return oidc.webIdFromClaims(claims)
+        .then(webId => {
+          expect(webId).to.equal('https://example.com/profile#me')
+        })
+    })
+
+    it('should match the token issuer to the advertised issuers in their canonical form', () => {
+      const claims = {
+        iss: 'https://Provider.com:443/',
+        sub: 'https://example.com/profile#me'
+      }
+
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return oidc.webIdFromClaims(claims)
+        .then(webId => {
+          expect(webId).to.equal('https://example.com/profile#me')
+        })
+    })
+
     it('should throw an error if provider could not be verified', done => {
       const claims = {
         iss: 'https://provider.com',
@@ -292,6 +1102,94 @@ describe('OidcManager', () => {
           done()
         })
     })
+
+    it('should reject a provider that is not trusted with a 403', () => {
+      const claims = {
+        iss: 'https://provider.com',
+        sub: 'https://provider.com/alice#me'
+      }
+      const restricted = OidcManager.from(Object.assign({}, config, {
+        issuerPolicy: { deny: ['https://provider.com'] }
+      }))
+      const listener = sinon.spy()
+      restricted.once('webid:verification-failed', listener)
+
+      return restricted.webIdFromClaims(claims)
+        .then(() => { throw new Error('Expected the issuer to be refused') })
+        .catch(error => {
+          expect(error.statusCode).to.equal(403)
+          expect(error.code).to.equal('ISSUER_NOT_TRUSTED')
+          expect(listener).to.have.been.calledWithMatch({ issuer: claims.iss, error })
+        })
+    })
+
+    it('should check the issuer policy predicate', () => {
+      const claims = {
+        iss: 'https://provider.com',
+        sub: 'https://provider.com/alice#me'
+      }
+      const predicate = sinon.stub().resolves(true)
+      const restricted = OidcManager.from(Object.assign({}, config, {
+        issuerPolicy: { predicate }
+      }))
+
+      return restricted.webIdFromClaims(claims)
+        .then(webId => {
+          expect(webId).to.equal(claims.sub)
+          expect(predicate).to.have.been.calledWith('https://provider.com', { webId: claims.sub })
+        })
+    })
+
+    it('should reject an unverified Web ID with a 401', () => {
+      const claims = {
+        iss: 'https://provider.com',
+        sub: 'https://example.com/profile#me'
+      }
+
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, `
+          @prefix solid: <http://www.w3.org/ns/solid/terms#>.
+          <#me> solid:oidcIssuer <https://another-provider.com>.
+        `, { 'Content-Type': 'text/turtle' })
+
+      return oidc.webIdFromClaims(claims)
+        .then(() => { throw new Error('Expected verification to fail') })
+        .catch(error => {
+          expect(error.statusCode).to.equal(401)
+        })
+    })
+
+    it('should emit a webid:verification-failed event', () => {
+      const claims = {
+        iss: 'https://provider.com',
+        sub: 'https://example.com/profile#me'
+      }
+      const listener = sinon.spy()
+
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, sampleProfileSrc)
+
+      nock('https://example.com')
+        .options('/profile')
+        .reply(204, 'No content', {
+          Link: '<https://another-provider.com>; rel="http://openid.net/specs/connect/1.0/issuer"'
+        })
+
+      oidc.once('webid:verification-failed', listener)
+
+      return oidc.webIdFromClaims(claims)
+        .then(() => { throw new Error('Expected verification to fail') })
+        .catch(error => {
+          expect(listener).to.have.been.calledWithMatch({
+            event: 'webid:verification-failed',
+            webId: claims.sub,
+            issuer: claims.iss,
+            error
+          })
+        })
+    })
   })
 
   describe('domainMatches', () => {
@@ -329,6 +1227,62 @@ describe('OidcManager', () => {
 
       expect(OidcManager.domainMatches(issuer, webId)).to.be.false()
     })
+
+    it('should compare issuers in their canonical form', () => {
+      const webId = 'https://alice.example.com/profile#me'
+
+      expect(OidcManager.domainMatches('https://alice.example.com/', webId)).to.be.true()
+      expect(OidcManager.domainMatches('HTTPS://Alice.Example.com:443', webId)).to.be.true()
+      expect(OidcManager.domainMatches('https://Example.com/', webId)).to.be.true()
+      expect(OidcManager.domainMatches('https://alice.example.com/idp', webId)).to.be.false()
+    })
+
+    it('should be false if the issuer is a public suffix', () => {
+      expect(OidcManager.domainMatches('https://co.uk', 'https://evil.co.uk/#me')).to.be.false()
+      expect(OidcManager.domainMatches('https://github.io', 'https://alice.github.io/#me')).to.be.false()
+    })
+
+    it('should only match subdomains up to the given depth', () => {
+      const webId = 'https://alice.pods.example.com/profile#me'
+      const issuer = 'https://example.com'
+
+      expect(OidcManager.domainMatches(issuer, webId)).to.be.false()
+      expect(OidcManager.domainMatches(issuer, webId, 2)).to.be.true()
+      expect(OidcManager.domainMatches(issuer, 'https://alice.example.com/#me', 0)).to.be.false()
+    })
+
+    it('should match subdomains of hosts under unlisted TLDs', () => {
+      const webId = 'https://alice.localhost:8443/profile#me'
+
+      expect(OidcManager.domainMatches('https://localhost:8443', webId)).to.be.true()
+    })
+  })
+
+  describe('webIdSubdomainDepth', () => {
+    const providerUri = 'https://example.com'
+    const authCallbackUri = providerUri + '/api/oidc/rp'
+    const postLogoutUri = providerUri + '/goodbye'
+
+    it('should default to one level', () => {
+      const oidc = OidcManager.from({ providerUri, authCallbackUri, postLogoutUri })
+
+      expect(oidc.webIdSubdomainDepth).to.equal(1)
+    })
+
+    it('should be used to match Web IDs to their issuer', () => {
+      const oidc = OidcManager.from({
+        providerUri, authCallbackUri, postLogoutUri, webIdSubdomainDepth: 2
+      })
+      const claims = {
+        iss: providerUri,
+        sub: 'https://alice.pods.example.com/profile#me'
+      }
+
+      return oidc.webIdFromClaims(claims)
+        .then(webId => {
+          expect(webId).to.equal('https://alice.pods.example.com/profile#me')
+        })
+    })
   })
 
   describe('filterAudience', () => {
@@ -359,5 +1313,50 @@ describe('OidcManager', () => {
     it('should be false if audience is a different domain than server', () => {
       expect(oidc.filterAudience('https://other.com')).to.be.false()
     })
+
+    it('should use the configured audience policy', () => {
+      const callback = sinon.stub().returns(true)
+      const configured = OidcManager.from(Object.assign({}, config, {
+        audiencePolicy: { audiences: ['https://*.pods.example.org'], callback }
+      }))
+      const req = {}
+
+      expect(configured.filterAudience('https://alice.pods.example.org')).to.be.true()
+      expect(configured.filterAudience('https://example.com', req)).to.be.true()
+      expect(callback).to.have.been.calledWith('https://example.com', req)
+    })
+
+    it('should pass the request to the audience policy from the resource server', () => {
+      const middleware = sinon.spy()
+      const authenticate = sinon.stub(ResourceAuthenticator.prototype, 'authenticate').returns(middleware)
+      const callback = sinon.stub().returns(true)
+
+      try {
+        const configured = OidcManager.from(Object.assign({}, config, {
+          audiencePolicy: { audiences: [], callback }
+        }))
+        const req = {}
+        const res = {}
+        const next = () => {}
+
+        configured.rs.authenticate({ tokenTypesSupported: ['dpop'] })(req, res, next)
+
+        const options = authenticate.firstCall.args[0]
+        expect(options.tokenTypesSupported).to.eql(['dpop'])
+        expect(middleware).to.have.been.calledWith(req, res, next)
+        expect(options.allow.audience('https://custom-domain.net')).to.be.true()
+        expect(callback).to.have.been.calledWith('https://custom-domain.net', req)
+      } finally {
+        authenticate.restore()
+      }
+    })
+
+    it('should match audiences regardless of trailing slash, case and default port', () => {
+      const slashed = OidcManager.from(Object.assign({}, config, { serverUri: 'https://example.com/' }))
+
+      expect(slashed.filterAudience('https://example.com')).to.be.true()
+      expect(oidc.filterAudience('https://EXAMPLE.com:443/')).to.be.true()
+      expect(oidc.filterAudience('https://example.com:8443/')).to.be.false()
+    })
   })
 })
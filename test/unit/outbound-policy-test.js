@@ -0,0 +1,157 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+chai.use(sinonChai)
+const expect = chai.expect
+const { URL } = require('whatwg-url')
+
+const OutboundPolicy = require('../../src/outbound-policy')
+const { isPrivateAddress } = OutboundPolicy
+
+const publicResolve = () => Promise.resolve(['93.184.216.34'])
+
+describe('OutboundPolicy', () => {
+  describe('isPrivateAddress()', () => {
+    it('should be true for loopback, private and link-local addresses', () => {
+      const addresses = [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'
+      ]
+
+      addresses.forEach(address => {
+        expect(isPrivateAddress(address), address).to.be.true()
+      })
+    })
+
+    it('should be false for public addresses', () => {
+      ['93.184.216.34', '172.32.0.1', '2606:2800:220:1::1', '::ffff:8.8.8.8'].forEach(address => {
+        expect(isPrivateAddress(address), address).to.be.false()
+      })
+    })
+  })
+
+  describe('check()', () => {
+    it('should allow https uris of public hosts', () => {
+      const policy = new OutboundPolicy({ resolve: publicResolve })
+
+      return expect(policy.check('https://example.com/profile#me'))
+        .to.eventually.deep.equal(['93.184.216.34'])
+    })
+
+    it('should require https unless disabled', () => {
+      const policy = new OutboundPolicy({ resolve: publicResolve, requireHttps: true })
+      const devPolicy = new OutboundPolicy({ resolve: publicResolve, requireHttps: false })
+
+      return Promise.all([
+        expect(policy.check('http://example.com/profile'))
+          .to.be.rejectedWith(/https is required/),
+        expect(policy.check('ftp://example.com/profile'))
+          .to.be.rejectedWith(/https is required/),
+        expect(devPolicy.check('http://example.com/profile')).to.be.fulfilled()
+      ])
+    })
+
+    it('should refuse hosts that resolve to a private address', () => {
+      const resolve = sinon.stub().resolves(['93.184.216.34', '10.0.0.1'])
+      const policy = new OutboundPolicy({ resolve })
+
+      return policy.check('https://rebind.example.com/')
+        .then(() => { throw new Error('Expected check() to reject') })
+        .catch(error => {
+          expect(resolve).to.have.been.calledWith('rebind.example.com')
+          expect(error.code).to.equal('DISCOVERY_FORBIDDEN')
+          expect(error.statusCode).to.equal(403)
+        })
+    })
+
+    it('should refuse private address literals without resolving them', () => {
+      const resolve = sinon.stub().resolves(['93.184.216.34'])
+      const policy = new OutboundPolicy({ resolve })
+
+      return Promise.all([
+        expect(policy.check('https://127.0.0.1:8443/')).to.be.rejectedWith(/private network/),
+        expect(policy.check('https://[::1]/')).to.be.rejectedWith(/private network/)
+      ])
+        .then(() => {
+          expect(resolve).to.not.have.been.called()
+        })
+    })
+
+    it('should allow private addresses if configured', () => {
+      const policy = new OutboundPolicy({ allowPrivateNetworks: true })
+
+      return expect(policy.check('https://127.0.0.1/')).to.be.fulfilled()
+    })
+
+    it('should apply the host allow and deny lists', () => {
+      const policy = new OutboundPolicy({
+        resolve: publicResolve,
+        allowHosts: ['*.solidcommunity.net', 'example.com'],
+        denyHosts: ['evil.solidcommunity.net']
+      })
+
+      return Promise.all([
+        expect(policy.check('https://alice.solidcommunity.net/')).to.be.fulfilled(),
+        expect(policy.check('https://EXAMPLE.com/')).to.be.fulfilled(),
+        expect(policy.check('https://evil.solidcommunity.net/'))
+          .to.be.rejectedWith(/host evil.solidcommunity.net are not allowed/),
+        expect(policy.check('https://example.org/')).to.be.rejectedWith(/not allowed/),
+        expect(policy.check('https://solidcommunity.net/')).to.be.rejectedWith(/not allowed/)
+      ])
+    })
+    it('should always allow the trusted origins', () => {
+      const resolve = sinon.stub().resolves(['127.0.0.1'])
+      const policy = new OutboundPolicy({
+        resolve,
+        requireHttps: true,
+        trustedOrigins: ['http://localhost:8443/']
+      })
+
+      return Promise.all([
+        expect(policy.check('http://localhost:8443/profile/card#me')).to.be.fulfilled(),
+        expect(policy.check('http://localhost:8080/')).to.be.rejectedWith(/https is required/),
+        expect(policy.check('https://localhost:8443/')).to.be.rejectedWith(/private network/)
+      ])
+        .then(() => {
+          expect(resolve).to.have.been.calledOnce() // only for https://localhost:8443
+        })
+    })
+  })
+
+  describe('agentFor()', () => {
+    it('should use the default agent for the trusted origins', () => {
+      const policy = new OutboundPolicy({ trustedOrigins: ['https://pod.intranet'] })
+
+      expect(policy.agentFor(new URL('https://pod.intranet/.well-known/openid-configuration')))
+        .to.be.undefined()
+      expect(policy.agentFor(new URL('https://example.com/'))).to.equal(policy.agents.https)
+    })
+  })
+
+  describe('lookupFunction()', () => {
+    it('should refuse to connect to private addresses', done => {
+      const policy = new OutboundPolicy({ resolve: () => Promise.resolve(['192.168.0.10']) })
+
+      policy.lookupFunction()('example.com', {}, error => {
+        expect(error.code).to.equal('DISCOVERY_FORBIDDEN')
+        done()
+      })
+    })
+
+    it('should return the resolved addresses', done => {
+      const policy = new OutboundPolicy({ resolve: publicResolve })
+
+      policy.lookupFunction()('example.com', { all: true }, (error, addresses) => {
+        expect(error).to.be.null()
+        expect(addresses).to.deep.equal([{ address: '93.184.216.34', family: 4 }])
+        done()
+      })
+    })
+  })
+})
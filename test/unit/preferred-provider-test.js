@@ -1,18 +1,29 @@
 'use strict'
 
 const provider = require('../../src/preferred-provider')
+const DiscoveryCache = require('../../src/discovery-cache')
+const DiscoveryError = require('../../src/errors/discovery-error')
+const ProviderMetadata = require('../../src/provider-metadata')
+const ClientIdDocument = require('../../src/client-id-document')
+const OutboundPolicy = require('../../src/outbound-policy')
 
 const nock = require('nock')
+const { PassThrough } = require('stream')
 const chai = require('chai')
-// const sinon = require('sinon')
+const sinon = require('sinon')
 chai.use(require('dirty-chai'))
-// const sinonChai = require('sinon-chai')
-// chai.use(sinonChai)
+const sinonChai = require('sinon-chai')
+chai.use(sinonChai)
 const expect = chai.expect
 const serverUri = 'https://example.com'
 
 const sampleProfileSrc = require('../resources/sample-webid-profile')
 const sampleProfileSrcWithOidcIssuer = require('../resources/sample-webid-profile-with-oidc-issuer')
+const sampleProfileSrcWithOidcIssuers = require('../resources/sample-webid-profile-with-oidc-issuers')
+const sampleProviderMetadata = require('../resources/sample-provider-metadata')
+const sampleProfileSrcJsonLd = require('../resources/sample-webid-profile-jsonld')
+const sampleProfileSrcRdfa = require('../resources/sample-webid-profile-rdfa')
+const sampleClientIdDocument = require('../resources/sample-client-id-document')
 
 describe('preferred-provider.js', () => {
   afterEach(() => {
@@ -101,6 +112,441 @@ describe('preferred-provider.js', () => {
     })
   })
 
+  describe('discoverProvidersFor()', () => {
+    const webId = 'https://example.com/#me'
+
+    it('should return all the issuers listed in the webid profile', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuers, {
+          'Content-Type': 'text/turtle'
+        })
+
+      return provider.discoverProvidersFor(webId)
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com', 'https://backup-provider.com'])
+        })
+    })
+
+    it('should return all the issuers from the link rel headers', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrc)
+        .options('/')
+        .reply(204, 'No content', {
+          Link: '<https://provider.com>; rel="http://openid.net/specs/connect/1.0/issuer", ' +
+            '<https://example.com/meta>; rel="describedby", ' +
+            '<https://backup-provider.com>; rel="http://openid.net/specs/connect/1.0/issuer"'
+        })
+
+      return provider.discoverProvidersFor(webId)
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com', 'https://backup-provider.com'])
+        })
+    })
+
+    it('should reject if any of the issuers is invalid', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrc)
+        .options('/')
+        .reply(204, 'No content', {
+          Link: '<https://provider.com>; rel="http://openid.net/specs/connect/1.0/issuer", ' +
+            '<provider.com>; rel="http://openid.net/specs/connect/1.0/issuer"'
+        })
+
+      return provider.discoverProvidersFor(webId)
+        .then(() => { throw new Error('Expected discovery to fail') })
+        .catch(error => {
+          expect(error.statusCode).to.equal(400)
+          expect(error.message).to.match(/is not a valid URI: provider.com/)
+        })
+    })
+  })
+
+  describe('discoverProvidersFor() profile parsing', () => {
+    const webId = 'https://example.com/profile#me'
+
+    it('should negotiate Turtle, JSON-LD and RDFa profiles', () => {
+      nock('https://example.com', {
+        reqheaders: {
+          accept: 'text/turtle, application/ld+json;q=0.9, application/rdf+xml;q=0.8, ' +
+            'text/html;q=0.7, application/xhtml+xml;q=0.6'
+        }
+      })
+        .get('/profile')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProvidersFor(webId)
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com'])
+        })
+    })
+
+    it('should parse JSON-LD profiles', () => {
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, sampleProfileSrcJsonLd, { 'Content-Type': 'application/ld+json' })
+
+      return provider.discoverProvidersFor(webId)
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com'])
+        })
+    })
+
+    it('should parse RDFa profiles', () => {
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, sampleProfileSrcRdfa, { 'Content-Type': 'text/html; charset=utf-8' })
+
+      return provider.discoverProvidersFor(webId)
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com'])
+        })
+    })
+
+    it('should reject profiles that are not valid RDF', () => {
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, '<#me> solid:oidcIssuer', { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProvidersFor(webId)
+        .then(() => { throw new Error('Expected discovery to fail') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_UNPARSEABLE')
+          expect(error.message).to.equal('Could not parse Web ID profile https://example.com/profile as text/turtle')
+          expect(error.cause).to.exist()
+        })
+    })
+
+    it('should reject profiles of an unsupported content type', () => {
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, 'GIF89a', { 'Content-Type': 'image/gif' })
+
+      return provider.discoverProvidersFor(webId)
+        .then(() => { throw new Error('Expected discovery to fail') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_UNPARSEABLE')
+          expect(error.message).to.match(/unsupported content type image\/gif/)
+        })
+    })
+
+    it('should tell apart profiles without an issuer', () => {
+      nock('https://example.com')
+        .get('/profile')
+        .reply(200, sampleProfileSrc, { 'Content-Type': 'text/turtle' })
+        .options('/profile')
+        .reply(204)
+
+      return provider.discoverProvidersFor(webId)
+        .then(() => { throw new Error('Expected discovery to fail') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_NO_ISSUER')
+          expect(error.statusCode).to.equal(400)
+        })
+    })
+
+    it('should use the given profile parsers', () => {
+      const profileParsers = {
+        'text/html': null,
+        'application/vnd.example+json': (body, { webId }) => JSON.parse(body)[webId]
+      }
+
+      nock('https://example.com', {
+        reqheaders: {
+          accept: 'text/turtle, application/ld+json;q=0.9, application/rdf+xml;q=0.8, ' +
+            'application/xhtml+xml;q=0.7, application/vnd.example+json;q=0.6'
+        }
+      })
+        .get('/profile')
+        .reply(200, JSON.stringify({ [webId]: ['https://provider.com'] }), {
+          'Content-Type': 'application/vnd.example+json'
+        })
+
+      return provider.discoverProvidersFor(webId, { profileParsers })
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com'])
+        })
+    })
+  })
+
+  describe('parseProviderLinks()', () => {
+    it('should return an empty list without a link header', () => {
+      const headers = { get: () => null }
+
+      expect(provider.parseProviderLinks(headers)).to.deep.equal([])
+    })
+  })
+
+  describe('discoverProviderFor() request limits', () => {
+    const webId = 'https://example.com/#me'
+
+    it('should fail with DISCOVERY_TIMEOUT if the profile is too slow', () => {
+      nock(serverUri)
+        .get('/')
+        .delay(200)
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { timeout: 50 })
+        .then(() => { throw new Error('Expected a timeout') })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(DiscoveryError)
+          expect(error.code).to.equal('DISCOVERY_TIMEOUT')
+          expect(error.statusCode).to.equal(504)
+          expect(error.message).to.match(/Timed out after 50 ms/)
+        })
+    })
+
+    it('should fail with DISCOVERY_TOO_LARGE if the profile is over maxSize', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { maxSize: 100 })
+        .then(() => { throw new Error('Expected a size error') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_TOO_LARGE')
+          expect(error.statusCode).to.equal(502)
+          expect(error.message).to.match(/^Web ID profile https:\/\/example.com\/#me is too large/)
+        })
+    })
+
+    it('should not download a body whose Content-Length is over maxSize', () => {
+      const destroy = sinon.spy(PassThrough.prototype, 'destroy')
+
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuer, {
+          'Content-Type': 'text/turtle',
+          'Content-Length': '100000'
+        })
+
+      return provider.discoverProviderFor(webId, { maxSize: 100 })
+        .then(() => { throw new Error('Expected a size error') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_TOO_LARGE')
+          expect(destroy).to.have.been.called()
+        })
+        .finally(() => destroy.restore())
+    })
+
+    it('should apply the timeout to the whole redirect chain', () => {
+      nock(serverUri)
+        .get('/')
+        .delay(60)
+        .reply(302, '', { Location: serverUri + '/profile' })
+        .get('/profile')
+        .delay(60)
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { timeout: 100 })
+        .then(() => { throw new Error('Expected a timeout') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_TIMEOUT')
+          expect(error.message).to.match(/Timed out after 100 ms/)
+        })
+    })
+
+    it('should fail with DISCOVERY_TOO_MANY_REDIRECTS past maxRedirects', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(302, '', { Location: serverUri + '/profile' })
+        .get('/profile')
+        .reply(302, '', { Location: serverUri + '/profile/card' })
+
+      return provider.discoverProviderFor(webId, { maxRedirects: 1 })
+        .then(() => { throw new Error('Expected a redirect error') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_TOO_MANY_REDIRECTS')
+        })
+    })
+
+    it('should fail with DISCOVERY_UNREACHABLE on network errors', () => {
+      nock(serverUri)
+        .get('/')
+        .replyWithError('connect ECONNREFUSED')
+
+      return provider.discoverProviderFor(webId)
+        .then(() => { throw new Error('Expected a network error') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_UNREACHABLE')
+          expect(error.statusCode).to.equal(400)
+          expect(error.cause.message).to.match(/ECONNREFUSED/)
+        })
+    })
+
+    it('should fail with DISCOVERY_UNPARSEABLE on an invalid profile', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, '<<< not turtle', { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId)
+        .then(() => { throw new Error('Expected a parse error') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_UNPARSEABLE')
+        })
+    })
+  })
+
+  describe('discoverProviderFor() with an outbound policy', () => {
+    const webId = 'https://example.com/#me'
+    const resolve = hostname => Promise.resolve(
+      hostname === 'internal.example.com' ? ['10.0.0.1'] : ['93.184.216.34']
+    )
+    const policy = new OutboundPolicy({ resolve })
+
+    it('should allow requests to public hosts', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { policy })
+        .then(providerUri => {
+          expect(providerUri).to.equal('https://provider.com')
+        })
+    })
+
+    it('should check redirect locations against the policy', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(302, '', { Location: 'https://internal.example.com/profile' })
+
+      const internal = nock('https://internal.example.com')
+        .get('/profile')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { policy })
+        .then(() => { throw new Error('Expected the redirect to be refused') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_FORBIDDEN')
+          expect(internal.isDone()).to.be.false()
+        })
+    })
+
+    it('should refuse to check for a provider at a loopback address', () => {
+      return provider.preferredProviderFor('https://127.0.0.1/profile#me', { policy })
+        .then(() => { throw new Error('Expected the request to be refused') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_FORBIDDEN')
+        })
+    })
+  })
+
+  describe('discoverProviderFor() with a cache', () => {
+    const webId = 'https://example.com/#me'
+    let cache
+
+    beforeEach(() => {
+      cache = new DiscoveryCache()
+    })
+
+    it('should return a cached result without refetching the profile', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuer, {
+          'Content-Type': 'text/turtle',
+          'Cache-Control': 'max-age=60'
+        })
+
+      const refetch = nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrc, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { cache })
+        .then(() => provider.discoverProviderFor(webId, { cache }))
+        .then(providerUri => {
+          expect(providerUri).to.equal('https://provider.com')
+          expect(refetch.isDone()).to.be.false()
+        })
+    })
+
+    it('should revalidate an expired result with the profile ETag', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuer, {
+          'Content-Type': 'text/turtle',
+          'Cache-Control': 'no-cache',
+          ETag: '"v1"'
+        })
+
+      const revalidation = nock(serverUri)
+        .get('/')
+        .matchHeader('if-none-match', '"v1"')
+        .reply(304, '', { 'Cache-Control': 'max-age=60' })
+
+      return provider.discoverProviderFor(webId, { cache })
+        .then(() => provider.discoverProviderFor(webId, { cache }))
+        .then(providerUri => {
+          expect(revalidation.isDone()).to.be.true()
+          expect(providerUri).to.equal('https://provider.com')
+          expect(cache.isFresh(cache.get(webId))).to.be.true()
+        })
+    })
+
+    it('should refetch the profile on a 304 response with no previous result', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(304, '')
+        .get('/')
+        .matchHeader('cache-control', 'no-cache')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { cache })
+        .then(providerUri => {
+          expect(providerUri).to.equal('https://provider.com')
+        })
+    })
+
+    it('should fail with DISCOVERY_UNREACHABLE if the refetch is a 304 again', () => {
+      nock(serverUri)
+        .get('/').times(2).reply(304, '')
+
+      return provider.discoverProviderFor(webId)
+        .then(() => { throw new Error('Expected a discovery error') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_UNREACHABLE')
+        })
+    })
+
+    it('should not cache results from no-store responses', () => {
+      nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuer, {
+          'Content-Type': 'text/turtle',
+          'Cache-Control': 'no-store'
+        })
+
+      return provider.discoverProviderFor(webId, { cache })
+        .then(() => {
+          expect(cache.get(webId)).to.not.exist()
+        })
+    })
+
+    it('should cache failed discoveries', () => {
+      nock(serverUri)
+        .get('/').reply(404)
+        .options('/').reply(404)
+
+      const refetch = nock(serverUri)
+        .get('/')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProviderFor(webId, { cache })
+        .catch(error => error)
+        .then(firstError => {
+          return provider.discoverProviderFor(webId, { cache })
+            .then(() => { throw new Error('Expected a cached failure') })
+            .catch(error => {
+              expect(error).to.not.equal(firstError) // a copy
+              expect(error.code).to.equal(firstError.code)
+              expect(error.message).to.match(/Could not reach Web ID/)
+              expect(refetch.isDone()).to.be.false()
+            })
+        })
+    })
+  })
+
   describe('validateProviderUri()', () => {
     it('throws a 400 on an invalid provider uri', done => {
       try {
@@ -116,8 +562,8 @@ describe('preferred-provider.js', () => {
   describe('providerExists()', () => {
     it('should return the provider uri if oidc config exists there', () => {
       nock(serverUri)
-        .head('/.well-known/openid-configuration')
-        .reply(200)
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata(serverUri))
 
       return provider.providerExists(serverUri + '/whatever')
         .then(result => {
@@ -127,7 +573,7 @@ describe('preferred-provider.js', () => {
 
     it('should return null if no oidc capability exists', () => {
       nock(serverUri)
-        .head('/.well-known/openid-configuration')
+        .get('/.well-known/openid-configuration')
         .reply(404)
 
       return provider.providerExists(serverUri + '/whatever')
@@ -135,13 +581,314 @@ describe('preferred-provider.js', () => {
           expect(result).to.be.null()
         })
     })
+
+    it('should return null if the oidc config is not valid provider metadata', () => {
+      nock(serverUri)
+        .get('/.well-known/openid-configuration')
+        .reply(200, '<html>Single page app</html>', { 'Content-Type': 'text/html' })
+
+      return provider.providerExists(serverUri + '/whatever')
+        .then(result => {
+          expect(result).to.be.null()
+        })
+    })
+  })
+
+  describe('fetchProviderMetadata()', () => {
+    const issuer = 'https://provider.com'
+
+    it('should return the validated provider metadata', () => {
+      nock(issuer)
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata(issuer))
+
+      return provider.fetchProviderMetadata(issuer + '/')
+        .then(metadata => {
+          expect(metadata).to.be.an.instanceof(ProviderMetadata)
+          expect(metadata.issuer).to.equal(issuer)
+          expect(metadata.authorizationEndpoint).to.equal('https://provider.com/authorize')
+          expect(metadata.supportsResponseType('token id_token')).to.be.true()
+        })
+    })
+
+    it('should name the OpenID configuration if it is over maxSize', () => {
+      nock(issuer)
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata(issuer))
+
+      return provider.fetchProviderMetadata(issuer, { maxSize: 100 })
+        .then(() => { throw new Error('Expected a size error') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_TOO_LARGE')
+          expect(error.message).to.match(/^OpenID configuration https:\/\/provider.com\/.well-known\/openid-configuration is too large/)
+        })
+    })
+
+    it('should reject metadata of another issuer', () => {
+      nock(issuer)
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata('https://evil.com'))
+
+      return provider.fetchProviderMetadata(issuer)
+        .then(() => { throw new Error('Expected the metadata to be rejected') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_INVALID_METADATA')
+          expect(error.statusCode).to.equal(502)
+          expect(error.message).to.match(/issuer https:\/\/evil.com does not match https:\/\/provider.com/)
+        })
+    })
+
+    it('should list missing endpoints and unsupported response types and algorithms', () => {
+      const metadata = sampleProviderMetadata(issuer)
+      delete metadata.token_endpoint
+      metadata.response_types_supported = ['id_token']
+      metadata.id_token_signing_alg_values_supported = ['HS256']
+
+      nock(issuer)
+        .get('/.well-known/openid-configuration')
+        .reply(200, metadata)
+
+      return provider.fetchProviderMetadata(issuer)
+        .then(() => { throw new Error('Expected the metadata to be rejected') })
+        .catch(error => {
+          expect(error.message).to.match(/token_endpoint is missing/)
+          expect(error.message).to.match(/response type 'code' is not supported/)
+          expect(error.message).to.match(/signing algorithm RS256 is not supported/)
+        })
+    })
+
+    it('should reject metadata that is not valid JSON', () => {
+      nock(issuer)
+        .get('/.well-known/openid-configuration')
+        .reply(200, '{ "issuer": ')
+
+      return provider.fetchProviderMetadata(issuer)
+        .then(() => { throw new Error('Expected the metadata to be rejected') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_INVALID_METADATA')
+          expect(error.message).to.match(/not valid JSON/)
+        })
+    })
+
+    it('should cache the metadata', () => {
+      const cache = new DiscoveryCache()
+
+      nock(issuer)
+        .get('/.well-known/openid-configuration')
+        .once()
+        .reply(200, sampleProviderMetadata(issuer), { 'Cache-Control': 'max-age=600' })
+
+      return provider.fetchProviderMetadata(issuer, { cache })
+        .then(() => provider.fetchProviderMetadata(issuer, { cache }))
+        .then(metadata => {
+          expect(metadata.issuer).to.equal(issuer)
+          expect(cache.get('openid-configuration https://provider.com/.well-known/openid-configuration')).to.exist()
+        })
+    })
+
+    it('should not be affected by a failed discovery for a Web ID of the same uri', () => {
+      const cache = new DiscoveryCache()
+      const configUri = issuer + '/.well-known/openid-configuration'
+
+      nock(issuer)
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata(issuer), { 'Content-Type': 'application/json' })
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata(issuer), { 'Content-Type': 'application/json' })
+
+      return provider.discoverProvidersFor(configUri, { cache })
+        .then(() => { throw new Error('Expected the Web ID discovery to fail') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_UNPARSEABLE')
+
+          return provider.fetchProviderMetadata(issuer, { cache })
+        })
+        .then(metadata => {
+          expect(metadata.issuer).to.equal(issuer)
+          expect(cache.get(configUri).error.code).to.equal('DISCOVERY_UNPARSEABLE')
+        })
+    })
+  })
+
+  describe('fetchClientIdDocument()', () => {
+    const clientId = 'https://app.example/id'
+
+    it('should return the validated Client ID Document', () => {
+      nock('https://app.example', { reqheaders: { accept: /application\/ld\+json/ } })
+        .get('/id')
+        .reply(200, sampleClientIdDocument(clientId), { 'Content-Type': 'application/ld+json' })
+
+      return provider.fetchClientIdDocument(clientId)
+        .then(clientDocument => {
+          expect(clientDocument).to.be.an.instanceof(ClientIdDocument)
+          expect(clientDocument.clientName).to.equal('Solid Notes')
+        })
+    })
+
+    it('should reject a missing document', () => {
+      nock('https://app.example')
+        .get('/id')
+        .reply(404)
+
+      return provider.fetchClientIdDocument(clientId)
+        .then(() => { throw new Error('Expected the document to be rejected') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_INVALID_CLIENT_DOCUMENT')
+          expect(error.message).to.equal('No Client ID Document found at https://app.example/id (HTTP 404)')
+        })
+    })
+
+    it('should reject a document that is not valid JSON', () => {
+      nock('https://app.example')
+        .get('/id')
+        .reply(200, '<html></html>', { 'Content-Type': 'text/html' })
+
+      return provider.fetchClientIdDocument(clientId)
+        .then(() => { throw new Error('Expected the document to be rejected') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_INVALID_CLIENT_DOCUMENT')
+          expect(error.message).to.match(/not valid JSON/)
+        })
+    })
+
+    it('should reject a document of another client', () => {
+      nock('https://app.example')
+        .get('/id')
+        .reply(200, sampleClientIdDocument('https://evil.example/id'))
+
+      return provider.fetchClientIdDocument(clientId)
+        .then(() => { throw new Error('Expected the document to be rejected') })
+        .catch(error => {
+          expect(error.message).to.match(/client_id https:\/\/evil.example\/id does not match/)
+        })
+    })
+
+    it('should cache documents and failures under their own key', () => {
+      const cache = new DiscoveryCache()
+      const webId = 'https://app.example/profile#me'
+
+      nock('https://app.example')
+        .get('/id')
+        .once()
+        .reply(200, sampleClientIdDocument(clientId), { 'Cache-Control': 'max-age=600' })
+        .get('/profile')
+        .reply(200, sampleProfileSrc, { 'Content-Type': 'text/turtle' })
+
+      return provider.fetchClientIdDocument(clientId, { cache })
+        .then(() => provider.fetchClientIdDocument(clientId, { cache }))
+        .then(clientDocument => {
+          expect(clientDocument.clientId).to.equal(clientId)
+          expect(cache.get(clientId)).to.not.exist()
+
+          return provider.fetchClientIdDocument(webId, { cache })
+        })
+        .then(() => { throw new Error('Expected the document to be rejected') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_INVALID_CLIENT_DOCUMENT')
+          expect(cache.get(webId)).to.not.exist()
+        })
+    })
+  })
+
+  describe('isAcctIdentifier()', () => {
+    it('should recognize email-like account identifiers', () => {
+      expect(provider.isAcctIdentifier('alice@example.org')).to.be.true()
+      expect(provider.isAcctIdentifier('acct:alice@example.org:8443')).to.be.true()
+    })
+
+    it('should not match uris', () => {
+      expect(provider.isAcctIdentifier('https://alice@example.org/profile')).to.be.false()
+      expect(provider.isAcctIdentifier('https://example.org/#me')).to.be.false()
+      expect(provider.isAcctIdentifier('example.org')).to.be.false()
+    })
+  })
+
+  describe('discoverProvidersForAcct()', () => {
+    const webfingerPath = '/.well-known/webfinger?resource=acct%3Aalice%40example.org'
+
+    it('should return the issuers linked from the WebFinger JRD', () => {
+      nock('https://example.org')
+        .get(webfingerPath)
+        .reply(200, {
+          subject: 'acct:alice@example.org',
+          links: [
+            { rel: 'http://openid.net/specs/connect/1.0/issuer', href: 'https://provider.com' },
+            { rel: 'http://webfinger.net/rel/avatar', href: 'https://example.org/alice.png' }
+          ]
+        }, { 'Content-Type': 'application/jrd+json' })
+
+      return provider.preferredProvidersFor('alice@example.org')
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com'])
+        })
+    })
+
+    it('should discover the providers of the linked Web ID', () => {
+      nock('https://example.org')
+        .get(webfingerPath)
+        .reply(200, {
+          subject: 'acct:alice@example.org',
+          links: [{ rel: 'http://webid.info/spec/identity', href: 'https://alice.example.org/profile#me' }]
+        })
+
+      nock('https://alice.example.org')
+        .get('/profile')
+        .reply(200, sampleProfileSrcWithOidcIssuer, { 'Content-Type': 'text/turtle' })
+
+      return provider.discoverProvidersForAcct('acct:alice@example.org')
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com'])
+        })
+    })
+
+    it('should fall back to the account host if it has no WebFinger entry', () => {
+      nock('https://example.org')
+        .get(webfingerPath)
+        .reply(404)
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata('https://example.org'))
+
+      return provider.discoverProvidersForAcct('alice@example.org')
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://example.org'])
+        })
+    })
+
+    it('should reject a WebFinger response that is not JSON', () => {
+      nock('https://example.org')
+        .get(webfingerPath)
+        .reply(200, '<html></html>')
+
+      return provider.discoverProvidersForAcct('alice@example.org')
+        .then(() => { throw new Error('Expected discovery to fail') })
+        .catch(error => {
+          expect(error.code).to.equal('DISCOVERY_UNPARSEABLE')
+        })
+    })
+  })
+
+  describe('preferredProvidersFor()', () => {
+    it('should return all the providers advertised by the webid', () => {
+      nock('https://example.com')
+        .get('/.well-known/openid-configuration')
+        .reply(404)
+        .get('/profile')
+        .reply(200, sampleProfileSrcWithOidcIssuers, {
+          'Content-Type': 'text/turtle'
+        })
+
+      return provider.preferredProvidersFor('https://example.com/profile#me')
+        .then(providerUris => {
+          expect(providerUris).to.deep.equal(['https://provider.com', 'https://backup-provider.com'])
+        })
+    })
   })
 
   describe('preferredProviderFor()', () => {
     it('should return the provider uri if oidc provider exists at webid', () => {
       nock('https://example.com')
-        .head('/.well-known/openid-configuration')
-        .reply(200)
+        .get('/.well-known/openid-configuration')
+        .reply(200, sampleProviderMetadata(serverUri))
 
       const webId = 'https://example.com/profile#me'
 
@@ -157,7 +904,7 @@ describe('preferred-provider.js', () => {
         .reply(200, sampleProfileSrc)
 
       nock('https://example.com')
-        .head('/.well-known/openid-configuration')
+        .get('/.well-known/openid-configuration')
         .reply(404)
 
       nock('https://example.com')
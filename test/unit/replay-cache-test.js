@@ -0,0 +1,184 @@
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+chai.use(dirtyChai)
+const expect = chai.expect
+
+const { BackendReplayCache, MemoryReplayCache } = require('../../src/replay-cache')
+const MemoryStore = require('../../src/storage/memory-store')
+
+describe('MemoryReplayCache', () => {
+  const now = Date.now()
+
+  it('should only accept a key once until it expires', () => {
+    const cache = new MemoryReplayCache()
+
+    return cache.add('jti-1', now + 1000, now)
+      .then(isNew => {
+        expect(isNew).to.be.true()
+
+        return cache.add('jti-1', now + 1000, now + 500)
+      })
+      .then(isNew => {
+        expect(isNew).to.be.false()
+
+        return cache.add('jti-1', now + 3000, now + 1000)
+      })
+      .then(isNew => {
+        expect(isNew).to.be.true()
+      })
+  })
+
+  it('should drop expired entries', () => {
+    const cache = new MemoryReplayCache()
+
+    return cache.add('jti-1', now + 1000, now)
+      .then(() => cache.add('jti-2', now + 5000, now + 2000))
+      .then(() => {
+        expect(cache.size).to.equal(1)
+      })
+  })
+
+  it('should evict the oldest entries past maxEntries', () => {
+    const cache = new MemoryReplayCache({ maxEntries: 2 })
+
+    return cache.add('jti-1', now + 1000, now)
+      .then(() => cache.add('jti-2', now + 1000, now))
+      .then(() => cache.add('jti-3', now + 1000, now))
+      .then(() => {
+        expect(cache.size).to.equal(2)
+
+        return cache.add('jti-1', now + 1000, now)
+      })
+      .then(isNew => {
+        expect(isNew).to.be.true()
+      })
+  })
+})
+
+describe('BackendReplayCache', () => {
+  const now = Date.now()
+  let backend
+
+  beforeEach(() => {
+    backend = new MemoryStore({ collections: ['dpop-proofs'] })
+    backend.initCollections()
+  })
+
+  it('should only accept a key once until it expires', () => {
+    const cache = new BackendReplayCache({ backend })
+
+    return cache.add('jti-1', now + 1000, now)
+      .then(isNew => {
+        expect(isNew).to.be.true()
+
+        return cache.add('jti-1', now + 1000, now + 500)
+      })
+      .then(isNew => {
+        expect(isNew).to.be.false()
+
+        return cache.add('jti-1', now + 3000, now + 1000)
+      })
+      .then(isNew => {
+        expect(isNew).to.be.true()
+      })
+  })
+
+  it('should share the seen keys through the backend', () => {
+    const cache = new BackendReplayCache({ backend })
+    const otherProcessCache = new BackendReplayCache({ backend })
+
+    return cache.add('jti-1', now + 1000, now)
+      .then(() => otherProcessCache.add('jti-1', now + 1000, now))
+      .then(isNew => {
+        expect(isNew).to.be.false()
+      })
+  })
+
+  it('should accept a key only once when added concurrently', () => {
+    const cache = new BackendReplayCache({ backend })
+    const otherProcessCache = new BackendReplayCache({ backend })
+
+    return Promise.all([
+      cache.add('jti-1', now + 1000, now),
+      otherProcessCache.add('jti-1', now + 1000, now)
+    ])
+      .then(results => {
+        expect(results.filter(Boolean)).to.have.length(1)
+      })
+  })
+
+  it('should fall back to get() and put() without backend putIfAbsent()', () => {
+    backend.putIfAbsent = undefined
+    const cache = new BackendReplayCache({ backend })
+
+    return cache.add('jti-1', now + 1000, now)
+      .then(isNew => {
+        expect(isNew).to.be.true()
+
+        return cache.add('jti-1', now + 1000, now)
+      })
+      .then(isNew => {
+        expect(isNew).to.be.false()
+      })
+  })
+
+  it('should store hashed keys, prefixed with their expiry', () => {
+    const cache = new BackendReplayCache({ backend })
+
+    return cache.add('../jti/1', now + 1000, now)
+      .then(() => backend.list('dpop-proofs'))
+      .then(keys => {
+        expect(keys).to.deep.equal([BackendReplayCache.storeKeyFor('../jti/1', now + 1000)])
+        expect(keys[0]).to.match(/^\d{15}-[0-9a-f]{64}$/)
+        expect(BackendReplayCache.expiryOf(keys[0])).to.equal(now + 1000)
+      })
+  })
+
+  it('should prune expired entries without reading them', () => {
+    const cache = new BackendReplayCache({ backend, pruneInterval: Infinity })
+
+    return cache.add('jti-1', now + 1000, now)
+      .then(() => cache.add('jti-2', now + 5000, now))
+      .then(() => {
+        backend.get = () => Promise.reject(new Error('Unexpected read'))
+
+        return cache.prune(now + 2000)
+      })
+      .then(deleted => {
+        expect(deleted).to.equal(1)
+
+        return backend.list('dpop-proofs')
+      })
+      .then(keys => {
+        expect(keys).to.deep.equal([BackendReplayCache.storeKeyFor('jti-2', now + 5000)])
+      })
+  })
+
+  it('should cap the number of concurrent deletes while pruning', () => {
+    const cache = new BackendReplayCache({ backend, pruneInterval: Infinity, pruneConcurrency: 2 })
+    const del = backend.del.bind(backend)
+    let pending = 0
+    let maxPending = 0
+
+    backend.del = (collection, key) => {
+      pending++
+      maxPending = Math.max(maxPending, pending)
+
+      return del(collection, key).then(result => {
+        pending--
+        return result
+      })
+    }
+
+    return Promise.all(['jti-1', 'jti-2', 'jti-3', 'jti-4', 'jti-5']
+      .map(jti => cache.add(jti, now + 1000, now)))
+      .then(() => backend.put('dpop-proofs', 'legacy-key', {}))
+      .then(() => cache.prune(now + 2000))
+      .then(deleted => {
+        expect(deleted).to.equal(6)
+        expect(maxPending).to.equal(2)
+      })
+  })
+})
@@ -10,6 +10,8 @@ const expect = chai.expect
 const HttpMocks = require('node-mocks-http')
 
 const SelectProviderRequest = require('../../src/handlers/select-provider-request')
+const DiscoveryError = require('../../src/errors/discovery-error')
+const Logger = require('../../src/logger')
 
 describe('SelectProviderRequest', () => {
   describe('normalizeWebId()', () => {
@@ -23,6 +25,13 @@ describe('SelectProviderRequest', () => {
       expect(result).to.be.null()
     })
 
+    it('should turn email-like identifiers into acct: uris', () => {
+      expect(SelectProviderRequest.normalizeUri(' alice@example.org '))
+        .to.equal('acct:alice@example.org')
+      expect(SelectProviderRequest.normalizeUri('acct:alice@example.org'))
+        .to.equal('acct:alice@example.org')
+    })
+
     it('should return a valid uri unchanged', () => {
       const result = SelectProviderRequest.normalizeUri('https://alice.example.com')
       expect(result).to.equal('https://alice.example.com')
@@ -114,6 +123,17 @@ describe('SelectProviderRequest', () => {
       const request = SelectProviderRequest.fromParams(req, res)
       expect(request.webId).to.equal('https://alice.example.com')
     })
+
+    it('should read the provider the user chose', () => {
+      const req = {
+        session: {},
+        body: { webid: 'https://alice.example.com/#me', provider: 'https://provider.com' },
+        app: { locals: { oidc: {}, host: { serverUri } } }
+      }
+
+      const request = SelectProviderRequest.fromParams(req, res)
+      expect(request.provider).to.equal('https://provider.com')
+    })
   })
 
   describe('static get()', () => {
@@ -147,11 +167,10 @@ describe('SelectProviderRequest', () => {
   describe('selectProvider()', () => {
     it('should fetch the provider uri and redirect user to its /authorize endpoint', () => {
       const webId = 'https://example.com/#me'
-      const clientStore = {}
       const authUrl = 'https://example.com/authorize?client_id=1234'
-      clientStore.authUrlForIssuer = sinon.stub().resolves(authUrl)
       const oidcManager = {
-        clients: clientStore,
+        authUrlForIssuer: sinon.stub().resolves(authUrl),
+        providerMetadataFor: sinon.stub().resolves({ issuer: 'https://example.com' }),
         debug: console.log.bind(console)
       }
 
@@ -161,17 +180,109 @@ describe('SelectProviderRequest', () => {
       const request = new SelectProviderRequest({ webId, oidcManager, response, session })
 
       const providerUri = 'https://example.com'
-      request.preferredProviderUrl = sinon.stub().resolves(providerUri)
+      request.preferredProviderUrls = sinon.stub().resolves([providerUri])
 
       return request.selectProvider()
         .then(() => {
-          expect(request.preferredProviderUrl).to.have.been.called()
-          expect(clientStore.authUrlForIssuer).to.have.been.calledWith(providerUri, session)
+          expect(request.preferredProviderUrls).to.have.been.called()
+          expect(oidcManager.providerMetadataFor).to.have.been.calledWith(providerUri)
+          expect(oidcManager.authUrlForIssuer).to.have.been.calledWith(providerUri, session)
           expect(request.response._getRedirectUrl()).to.equal(authUrl)
         })
     })
   })
 
+  describe('selectProvider() with several providers', () => {
+    const webId = 'https://example.com/#me'
+    const providers = ['https://provider.com', 'https://backup-provider.com']
+    let oidcManager
+
+    beforeEach(() => {
+      oidcManager = {
+        authUrlForIssuer: sinon.stub().resolves('https://backup-provider.com/authorize'),
+        providerMetadataFor: sinon.stub().resolves({ issuer: 'https://backup-provider.com' })
+      }
+    })
+
+    it('should ask the user to choose a provider', () => {
+      const response = HttpMocks.createResponse()
+      response.render = sinon.stub()
+
+      const request = new SelectProviderRequest({
+        webId, oidcManager, response, serverUri: 'https://localhost:8443', returnToUrl: '/resource'
+      })
+      request.preferredProviderUrls = sinon.stub().resolves(providers)
+
+      return request.selectProvider()
+        .then(() => {
+          expect(oidcManager.authUrlForIssuer).to.not.have.been.called()
+          expect(response.render).to.have.been.calledWith('auth/select-provider', {
+            serverUri: 'https://localhost:8443',
+            webId,
+            providers,
+            returnToUrl: '/resource'
+          })
+        })
+    })
+
+    it('should redirect to the provider the user chose', () => {
+      const response = HttpMocks.createResponse()
+      const session = {}
+
+      const request = new SelectProviderRequest({
+        webId, provider: 'https://backup-provider.com', oidcManager, response, session
+      })
+      request.preferredProviderUrls = sinon.stub().resolves(providers)
+
+      return request.selectProvider()
+        .then(() => {
+          expect(oidcManager.authUrlForIssuer)
+            .to.have.been.calledWith('https://backup-provider.com', session)
+          expect(response._getRedirectUrl()).to.equal('https://backup-provider.com/authorize')
+        })
+    })
+
+    it('should match the chosen provider in its canonical form', () => {
+      const request = new SelectProviderRequest({
+        webId, provider: 'https://Backup-Provider.com/', oidcManager
+      })
+
+      expect(request.chosenProviderUrl(providers)).to.equal('https://backup-provider.com')
+    })
+
+    it('should not redirect to a provider with invalid metadata', done => {
+      const metadataError = new DiscoveryError('Invalid OpenID configuration', 'DISCOVERY_INVALID_METADATA')
+      oidcManager.providerMetadataFor = sinon.stub().rejects(metadataError)
+
+      const request = new SelectProviderRequest({
+        webId, provider: 'https://backup-provider.com', oidcManager
+      })
+      request.preferredProviderUrls = sinon.stub().resolves(providers)
+
+      request.selectProvider()
+        .catch(error => {
+          expect(error).to.equal(metadataError)
+          expect(oidcManager.authUrlForIssuer).to.not.have.been.called()
+          done()
+        })
+    })
+
+    it('should refuse a provider the Web ID does not list', done => {
+      const request = new SelectProviderRequest({
+        webId, provider: 'https://evil.com', oidcManager
+      })
+      request.preferredProviderUrls = sinon.stub().resolves(providers)
+
+      request.selectProvider()
+        .catch(error => {
+          expect(error.statusCode).to.equal(400)
+          expect(error.message).to.equal('Provider https://evil.com is not listed for Web ID https://example.com/#me')
+          expect(oidcManager.authUrlForIssuer).to.not.have.been.called()
+          done()
+        })
+    })
+  })
+
   describe('error()', () => {
     it('should render select provider form with appropriate error message', () => {
       const response = HttpMocks.createResponse()
@@ -188,6 +299,21 @@ describe('SelectProviderRequest', () => {
       expect(response.render).to
         .have.been.calledWith('auth/select-provider', { error: 'error message' })
     })
+
+    it('should explain failed discovery requests', () => {
+      const response = HttpMocks.createResponse()
+      response.render = sinon.stub()
+
+      const request = new SelectProviderRequest({ response, logger: new Logger({ write: () => {} }) })
+
+      request.error(new DiscoveryError('Timed out', 'DISCOVERY_TIMEOUT'))
+
+      expect(request.response.statusCode).to.equal(504)
+      expect(response.render).to.have.been.calledWith('auth/select-provider', {
+        error: 'The server hosting your WebID took too long to respond. Please try again later.',
+        errorCode: 'DISCOVERY_TIMEOUT'
+      })
+    })
   })
 
   describe('handlePost()', () => {
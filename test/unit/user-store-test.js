@@ -168,6 +168,47 @@ describe('UserStore', () => {
             .calledWith('users', localAccountKey, aliasUserRecord)
         })
     })
+
+    it('should write all user records in one batch if supported', () => {
+      const user = {
+        id: 'example.com/profile#me',
+        email: 'alice@example.com',
+        localAccountId: 'alice.solidtest.space/profile/card#me'
+      }
+      const password = '12345'
+
+      store.backend.batch = sinon.stub().resolves(true)
+      store.backend.put = sinon.stub().resolves()
+
+      return store.createUser(user, password)
+        .then(() => {
+          expect(store.backend.put).to.not.have.been.called()
+
+          const operations = store.backend.batch.firstCall.args[0]
+          expect(operations.map(op => [op.collection, op.key])).to.deep.equal([
+            ['users', 'alice.solidtest.space%2Fprofile%2Fcard%23me'],
+            ['users', 'example.com%2Fprofile%23me'],
+            ['users-by-email', 'alice%40example.com']
+          ])
+          expect(operations[1].data.hashedPassword).to.exist()
+        })
+    })
+
+    it('should emit a user:created event', () => {
+      const user = { id: 'abc' }
+      const events = { emit: sinon.spy() }
+
+      store.events = events
+      store.backend.put = sinon.stub().resolves()
+
+      return store.createUser(user, '12345')
+        .then(() => {
+          expect(events.emit).to.have.been.calledWithMatch('user:created', {
+            event: 'user:created',
+            userId: 'abc'
+          })
+        })
+    })
   })
 
   describe('findUser', () => {